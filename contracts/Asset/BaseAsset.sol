@@ -4,6 +4,8 @@ pragma solidity 0.8.17;
 import { DLTEnumerable } from "dual-layer-token/contracts/DLT/extensions/DLTEnumerable.sol";
 import { DLTPermit } from "dual-layer-token/contracts/DLT/extensions/DLTPermit.sol";
 import { AssetInfo, IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
+import { IBaseAssetExtension, RoyaltyInfo } from "contracts/Asset/interface/IBaseAssetExtension.sol";
+import { IERC2981 } from "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
 import { ERC165 } from "@openzeppelin/contracts/utils/introspection/ERC165.sol";
 import { Context } from "@openzeppelin/contracts/utils/Context.sol";
@@ -22,7 +24,8 @@ contract BaseAsset is
     DLTEnumerable,
     DLTPermit,
     AccessControl,
-    IBaseAsset
+    IBaseAsset,
+    IBaseAssetExtension
 {
     // Create a new role identifier for the marketplace role
     bytes32 public constant ASSET_MANAGER =
@@ -30,6 +33,8 @@ contract BaseAsset is
 
     mapping(uint256 => mapping(uint256 => AssetInfo)) private _assetInfo;
     mapping(uint256 => string) private _assetBaseURI;
+    mapping(uint256 => address) private _assetManager;
+    mapping(uint256 => RoyaltyInfo) private _royaltyInfo;
 
     constructor(
         string memory name,
@@ -51,6 +56,9 @@ contract BaseAsset is
         uint256 amount
     ) external onlyRole(ASSET_MANAGER) {
         _assetInfo[mainId][subId].initialOwner = owner;
+        if (_assetManager[mainId] == address(0)) {
+            _assetManager[mainId] = _msgSender();
+        }
         _mint(owner, mainId, subId, amount);
         emit AssetCreated(owner, mainId, subId, amount);
     }
@@ -78,6 +86,25 @@ contract BaseAsset is
         _setBaseURI(mainId, newBaseURI);
     }
 
+    /**
+     * @dev See {IBaseAssetExtension-setRoyalty}.
+     */
+    function setRoyalty(
+        uint256 mainId,
+        address receiver,
+        uint96 royaltyFraction
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (
+            royaltyFraction > 1e4 ||
+            (receiver == address(0) && royaltyFraction != 0)
+        ) {
+            revert InvalidRoyalty();
+        }
+
+        _royaltyInfo[mainId] = RoyaltyInfo(receiver, royaltyFraction);
+        emit RoyaltySet(mainId, receiver, royaltyFraction);
+    }
+
     /**
      * @dev See {IBaseAsset-tokenURI}.
      */
@@ -96,6 +123,34 @@ contract BaseAsset is
         return _assetInfo[mainId][subId];
     }
 
+    /**
+     * @dev See {IBaseAssetExtension-getAssetManager}.
+     */
+    function getAssetManager(uint256 mainId) external view returns (address) {
+        return _assetManager[mainId];
+    }
+
+    /**
+     * @dev See {IBaseAssetExtension-royaltyInfo}.
+     */
+    function royaltyInfo(
+        uint256 mainId,
+        uint256 salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount) {
+        RoyaltyInfo memory royalty = _royaltyInfo[mainId];
+        receiver = royalty.receiver;
+        royaltyAmount = (salePrice * royalty.royaltyFraction) / 1e4;
+    }
+
+    /**
+     * @dev See {IBaseAssetExtension-getRoyaltyInfo}.
+     */
+    function getRoyaltyInfo(
+        uint256 mainId
+    ) external view returns (RoyaltyInfo memory) {
+        return _royaltyInfo[mainId];
+    }
+
     /**
      * @dev See {IERC165-supportsInterface}.
      */
@@ -104,6 +159,8 @@ contract BaseAsset is
     ) public view virtual override(ERC165, AccessControl) returns (bool) {
         return
             interfaceId == type(IBaseAsset).interfaceId ||
+            interfaceId == type(IBaseAssetExtension).interfaceId ||
+            interfaceId == type(IERC2981).interfaceId ||
             super.supportsInterface(interfaceId);
     }
 
@@ -4,7 +4,7 @@ pragma solidity 0.8.17;
 import { Initializable } from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import { InvoiceInfo, IInvoiceAsset, IERC20 } from "contracts/Asset/interface/IInvoiceAsset.sol";
 import { ERC165Checker } from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
-import { ListedInfo, IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { ListedInfo, ListingTerms, IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
 import { IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
@@ -91,7 +91,18 @@ contract InvoiceAsset is Initializable, Context, AccessControl, IInvoiceAsset {
     function createInvoice(
         InvoiceInfo calldata invoiceInfo
     ) external onlyRole(ASSET_ORIGINATOR) returns (uint256) {
-        return _createInvoice(invoiceInfo);
+        return _createInvoice(invoiceInfo, 0, 0);
+    }
+
+    /**
+     * @dev See {IInvoiceAsset-createDutchInvoice}.
+     */
+    function createDutchInvoice(
+        InvoiceInfo calldata invoiceInfo,
+        uint256 floorPrice,
+        uint256 decayEndTime
+    ) external onlyRole(ASSET_ORIGINATOR) returns (uint256) {
+        return _createInvoice(invoiceInfo, floorPrice, decayEndTime);
     }
 
     /**
@@ -103,7 +114,7 @@ contract InvoiceAsset is Initializable, Context, AccessControl, IInvoiceAsset {
         uint256 length = invoiceInfos.length;
         uint256[] memory ids = new uint256[](length);
         for (uint256 i = 0; i < length; ) {
-            ids[i] = _createInvoice(invoiceInfos[i]);
+            ids[i] = _createInvoice(invoiceInfos[i], 0, 0);
 
             unchecked {
                 ++i;
@@ -350,11 +361,15 @@ contract InvoiceAsset is Initializable, Context, AccessControl, IInvoiceAsset {
     }
 
     /**
-     * @dev Called in createInvoice and batchCreateInvoice functions
+     * @dev Called in createInvoice, createDutchInvoice and batchCreateInvoice functions
      * @param invoiceInfo, related information for the invoice
+     * @param floorPrice, lowest price per fraction of the dutch listing
+     * @param decayEndTime, timestamp at which the price of the listing reaches floorPrice
      */
     function _createInvoice(
-        InvoiceInfo calldata invoiceInfo
+        InvoiceInfo calldata invoiceInfo,
+        uint256 floorPrice,
+        uint256 decayEndTime
     ) private returns (uint256 invoiceMainId) {
         if (address(invoiceInfo.settlementToken) == address(0)) {
             revert InvalidAddress();
@@ -401,18 +416,44 @@ contract InvoiceAsset is Initializable, Context, AccessControl, IInvoiceAsset {
             0,
             fractions
         );
-        _marketplace.list(
+        _listInvoice(
             invoiceMainId,
-            0,
             ListedInfo(
                 invoiceInfo.price / fractions,
                 fractions,
                 1,
                 invoiceInfo.settlementToken
-            )
+            ),
+            floorPrice,
+            decayEndTime
         );
     }
 
+    /**
+     * @dev Lists a created invoice on the marketplace, as a dutch listing if decayEndTime is not zero
+     * @param invoiceMainId, invoice unique identifier
+     * @param listedInfo, information of the listing of all invoice fractions
+     * @param floorPrice, lowest price per fraction of the dutch listing
+     * @param decayEndTime, timestamp at which the price of the listing reaches floorPrice
+     */
+    function _listInvoice(
+        uint256 invoiceMainId,
+        ListedInfo memory listedInfo,
+        uint256 floorPrice,
+        uint256 decayEndTime
+    ) private {
+        if (decayEndTime == 0) {
+            _marketplace.list(invoiceMainId, 0, listedInfo);
+        } else {
+            _marketplace.listWithTerms(
+                invoiceMainId,
+                0,
+                listedInfo,
+                ListingTerms(floorPrice, block.timestamp, decayEndTime, 0)
+            );
+        }
+    }
+
     /**
      * @dev Transfers rewards to owner and updates purchaseDate
      * @param invoiceMainId, invoice unique identifier
@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { RoyaltyInfo } from "contracts/lib/structs.sol";
+
+/**
+ * @dev Functions of the asset collection added after its first deployment
+ * @dev Kept out of IBaseAsset so its interface ID still matches deployed asset collections,
+ * callers should check the support of this interface or of IERC2981 before using them
+ */
+interface IBaseAssetExtension {
+    /**
+     * @dev Emitted when the royalty of an asset type is set
+     * @param mainId, unique identifier of asset type
+     * @param receiver, address receiving the royalty
+     * @param royaltyFraction, royalty percentage of the sale price with 2 decimals
+     */
+    event RoyaltySet(
+        uint256 indexed mainId,
+        address receiver,
+        uint96 royaltyFraction
+    );
+
+    /**
+     * @dev Reverted on setting a royalty above 100% or without receiver
+     */
+    error InvalidRoyalty();
+
+    /**
+     * @dev Sets the royalty paid to the receiver on secondary sales of an asset type
+     * @dev Needs admin access to set the royalty, zero receiver and fraction remove it
+     * @param mainId, unique identifier of asset type
+     * @param receiver, address receiving the royalty, e.g. the originator
+     * @param royaltyFraction, royalty percentage of the sale price with 2 decimals
+     */
+    function setRoyalty(
+        uint256 mainId,
+        address receiver,
+        uint96 royaltyFraction
+    ) external;
+
+    /**
+     * @dev Gets the asset manager contract that created the main id, e.g. invoice or property asset
+     * @param mainId, unique identifier of asset type
+     * @return address of the asset manager, zero address if the main id is not created
+     */
+    function getAssetManager(uint256 mainId) external view returns (address);
+
+    /**
+     * @dev Gets the royalty of a sale following ERC-2981 with the main id as token id
+     * @param mainId, unique identifier of asset type
+     * @param salePrice, price of the sale
+     * @return receiver address receiving the royalty
+     * @return royaltyAmount amount of royalty from the sale price
+     */
+    function royaltyInfo(
+        uint256 mainId,
+        uint256 salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount);
+
+    /**
+     * @dev Gets the royalty information of an asset type
+     * @param mainId, unique identifier of asset type
+     * @return RoyaltyInfo struct
+     */
+    function getRoyaltyInfo(
+        uint256 mainId
+    ) external view returns (RoyaltyInfo memory);
+}
@@ -83,6 +83,19 @@ interface IInvoiceAsset is GenericErrors {
         InvoiceInfo calldata invoiceInfo
     ) external returns (uint256);
 
+    /**
+     * @dev Creates an invoice and lists it with a price decaying from invoice price per fraction to floor price
+     * @param invoiceInfo, all related invoice information
+     * @param floorPrice, lowest price per fraction of the listing
+     * @param decayEndTime, timestamp at which the price of the listing reaches floorPrice
+     * @dev Needs asset originator access to create an invoice
+     */
+    function createDutchInvoice(
+        InvoiceInfo calldata invoiceInfo,
+        uint256 floorPrice,
+        uint256 decayEndTime
+    ) external returns (uint256);
+
     /**
      * @dev Batch creates invoices with their parameters
      * @param invoiceInfos, all related invoice informations
@@ -0,0 +1,334 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { AuctionInfo, AuctionBid, IEnglishAuction, IERC20 } from "contracts/Marketplace/interface/IEnglishAuction.sol";
+import { IDLTReceiver } from "dual-layer-token/contracts/DLT/interfaces/IDLTReceiver.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { TradingVenue } from "contracts/Marketplace/TradingVenue.sol";
+import { Sale } from "contracts/lib/structs.sol";
+
+/**
+ * @title The english auction for the all types of ERC-6960 assets
+ * @author Polytrade.Finance
+ * @dev Auctioned fractions and the highest bid are held in escrow until settlement
+ * @dev Refunds of outbid bidders and settled proceeds are escrowed to be withdrawn by their receivers
+ */
+contract EnglishAuction is TradingVenue, IDLTReceiver, IEnglishAuction {
+    using SafeERC20 for IERC20;
+
+    mapping(uint256 => mapping(uint256 => mapping(address => AuctionInfo)))
+        private _auctionInfo;
+    mapping(uint256 => mapping(uint256 => mapping(address => AuctionBid)))
+        private _highestBid;
+
+    /**
+     * @dev Initializer for the english auction
+     * @param assetCollection_, Address of the asset collection used in the auction
+     * @param feeManager_, Address of the fee manager
+     */
+    function initialize(
+        address assetCollection_,
+        address feeManager_
+    ) external initializer {
+        __TradingVenue_init(assetCollection_, feeManager_);
+    }
+
+    /**
+     * @dev See {IEnglishAuction-createAuction}.
+     */
+    function createAuction(
+        uint256 mainId,
+        uint256 subId,
+        AuctionInfo calldata auctionInfo
+    ) external nonReentrant {
+        if (address(auctionInfo.token) == address(0)) {
+            revert InvalidAddress();
+        }
+        if (auctionInfo.fractions == 0) {
+            revert InvalidFraction();
+        }
+        if (auctionInfo.reservePrice == 0) {
+            revert InvalidPrice();
+        }
+        if (auctionInfo.endTime <= block.timestamp) {
+            revert InvalidEndTime();
+        }
+        if (_auctionInfo[mainId][subId][_msgSender()].fractions != 0) {
+            revert AuctionAlreadyCreated();
+        }
+        _validateTrading(mainId, subId, address(auctionInfo.token));
+        _validatePaymentToken(
+            address(auctionInfo.token),
+            auctionInfo.reservePrice
+        );
+        if (
+            _assetCollection.subBalanceOf(_msgSender(), mainId, subId) <
+            auctionInfo.fractions
+        ) {
+            revert NotEnoughBalance();
+        }
+
+        _auctionInfo[mainId][subId][_msgSender()] = auctionInfo;
+
+        _assetCollection.safeTransferFrom(
+            _msgSender(),
+            address(this),
+            mainId,
+            subId,
+            auctionInfo.fractions,
+            ""
+        );
+
+        emit AuctionCreated(_msgSender(), mainId, subId, auctionInfo);
+    }
+
+    /**
+     * @dev See {IEnglishAuction-bid}.
+     */
+    function bid(
+        address seller,
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice
+    ) external nonReentrant {
+        AuctionInfo memory auctionInfo = _auctionInfo[mainId][subId][seller];
+        AuctionBid memory highestBid = _highestBid[mainId][subId][seller];
+        if (auctionInfo.fractions == 0) {
+            revert AuctionNotFound();
+        }
+        if (block.timestamp >= auctionInfo.endTime) {
+            revert AuctionEnded();
+        }
+        if (_msgSender() == seller) {
+            revert InvalidBidder();
+        }
+        _validateTrading(mainId, subId, address(auctionInfo.token));
+        if (
+            bidPrice <
+            (
+                highestBid.bidder == address(0)
+                    ? auctionInfo.reservePrice
+                    : highestBid.bidPrice + auctionInfo.minIncrement
+            )
+        ) {
+            revert BidTooLow();
+        }
+
+        uint256 payPrice = bidPrice * auctionInfo.fractions;
+        uint256 fee = (payPrice *
+            _getFee(seller, mainId, subId, _msgSender(), payPrice)) / 1e4;
+
+        _highestBid[mainId][subId][seller] = AuctionBid(
+            _msgSender(),
+            bidPrice,
+            fee
+        );
+
+        auctionInfo.token.safeTransferFrom(
+            _msgSender(),
+            address(this),
+            payPrice + fee
+        );
+        if (highestBid.bidder != address(0)) {
+            _escrowPayment(
+                highestBid.bidder,
+                address(auctionInfo.token),
+                highestBid.bidPrice * auctionInfo.fractions + highestBid.fee
+            );
+        }
+
+        emit AuctionBidPlaced(_msgSender(), seller, mainId, subId, bidPrice);
+    }
+
+    /**
+     * @dev See {IEnglishAuction-settleAuction}.
+     */
+    function settleAuction(
+        address seller,
+        uint256 mainId,
+        uint256 subId
+    ) external nonReentrant {
+        AuctionInfo memory auctionInfo = _auctionInfo[mainId][subId][seller];
+        AuctionBid memory highestBid = _highestBid[mainId][subId][seller];
+        if (auctionInfo.fractions == 0) {
+            revert AuctionNotFound();
+        }
+        if (block.timestamp < auctionInfo.endTime) {
+            revert AuctionNotEnded();
+        }
+
+        delete _auctionInfo[mainId][subId][seller];
+        delete _highestBid[mainId][subId][seller];
+
+        if (highestBid.bidder == address(0)) {
+            _assetCollection.safeTransferFrom(
+                address(this),
+                seller,
+                mainId,
+                subId,
+                auctionInfo.fractions,
+                ""
+            );
+
+            emit AuctionCancelled(seller, mainId, subId);
+            return;
+        }
+
+        _validateTrading(mainId, subId, address(auctionInfo.token));
+        uint256 payPrice = highestBid.bidPrice * auctionInfo.fractions;
+
+        _assetCollection.safeTransferFrom(
+            address(this),
+            highestBid.bidder,
+            mainId,
+            subId,
+            auctionInfo.fractions,
+            ""
+        );
+
+        _settlePayment(
+            Sale(
+                auctionInfo.token,
+                address(this),
+                highestBid.bidder,
+                seller,
+                seller,
+                address(0),
+                mainId,
+                subId,
+                highestBid.bidPrice,
+                auctionInfo.fractions
+            ),
+            highestBid.fee
+        );
+
+        emit AuctionSettled(
+            seller,
+            highestBid.bidder,
+            mainId,
+            subId,
+            highestBid.bidPrice,
+            payPrice,
+            auctionInfo.fractions,
+            address(auctionInfo.token)
+        );
+    }
+
+    /**
+     * @dev See {IEnglishAuction-cancelAuction}.
+     */
+    function cancelAuction(
+        uint256 mainId,
+        uint256 subId
+    ) external nonReentrant {
+        uint256 fractions = _auctionInfo[mainId][subId][_msgSender()].fractions;
+        if (fractions == 0) {
+            revert AuctionNotFound();
+        }
+        if (_highestBid[mainId][subId][_msgSender()].bidder != address(0)) {
+            revert AuctionHasBids();
+        }
+
+        delete _auctionInfo[mainId][subId][_msgSender()];
+
+        _assetCollection.safeTransferFrom(
+            address(this),
+            _msgSender(),
+            mainId,
+            subId,
+            fractions,
+            ""
+        );
+
+        emit AuctionCancelled(_msgSender(), mainId, subId);
+    }
+
+    /**
+     * @dev See {IEnglishAuction-getAuctionInfo}.
+     */
+    function getAuctionInfo(
+        address seller,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (AuctionInfo memory) {
+        return _auctionInfo[mainId][subId][seller];
+    }
+
+    /**
+     * @dev See {IEnglishAuction-getHighestBid}.
+     */
+    function getHighestBid(
+        address seller,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (AuctionBid memory) {
+        return _highestBid[mainId][subId][seller];
+    }
+
+    /**
+     * @dev See {IDLTReceiver-onDLTReceived}.
+     * @dev Only accepts fractions escrowed by the auction itself
+     */
+    function onDLTReceived(
+        address operator,
+        address,
+        uint256,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external view returns (bytes4) {
+        return
+            operator == address(this)
+                ? IDLTReceiver.onDLTReceived.selector
+                : bytes4(0);
+    }
+
+    /**
+     * @dev See {IDLTReceiver-onDLTBatchReceived}.
+     * @dev Batch transfers are not accepted
+     */
+    function onDLTBatchReceived(
+        address,
+        address,
+        uint256[] memory,
+        uint256[] memory,
+        uint256[] memory,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        return bytes4(0);
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override returns (bool) {
+        return
+            interfaceId == type(IEnglishAuction).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Gets the fee percentage applied to the auction of a seller
+     * @dev Initial fee applies if the seller is the initial owner of the asset, buying fee otherwise
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param bidder, address of the bidder
+     * @param payPrice, the price paid for the auctioned fractions
+     * @return percentage of fee with 2 decimals
+     */
+    function _getFee(
+        address seller,
+        uint256 mainId,
+        uint256 subId,
+        address bidder,
+        uint256 payPrice
+    ) private view returns (uint256) {
+        return
+            _assetCollection.getAssetInfo(mainId, subId).initialOwner != seller
+                ? _feeManager.getBuyingFee(mainId, subId, bidder, payPrice)
+                : _feeManager.getInitialFee(mainId, subId);
+    }
+}
@@ -3,19 +3,47 @@ pragma solidity 0.8.17;
 
 import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
 import { ERC165 } from "@openzeppelin/contracts/utils/introspection/ERC165.sol";
-import { IFeeManager } from "contracts/Marketplace/interface/IFeeManager.sol";
+import { IFeeManager, FeeBand, FeePolicy, FeeSplit } from "contracts/Marketplace/interface/IFeeManager.sol";
+import { ERC165Checker } from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import { IBaseAssetExtension } from "contracts/Asset/interface/IBaseAssetExtension.sol";
+import { BuyerTiers, FeePolicies, FeeDistribution, FeeTimelock } from "contracts/lib/structs.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
 
 /**
  * @title The fee manager for the marketplace
  * @author Polytrade.Finance
  */
 contract FeeManager is ERC165, AccessControl, IFeeManager {
+    using ERC165Checker for address;
+
     uint256 private _defaultInitialFee;
     uint256 private _defaultBuyingFee;
     address private _feeWallet;
 
     mapping(uint256 => mapping(uint256 => uint256)) private _initialFees;
     mapping(uint256 => mapping(uint256 => uint256)) private _buyingFees;
+    BuyerTiers private _buyerTiers;
+    FeeBand[] private _volumeFeeBands;
+    mapping(uint256 => mapping(uint256 => bool)) private _isInitialFeeSet;
+    mapping(uint256 => mapping(uint256 => bool)) private _isBuyingFeeSet;
+    FeePolicies private _feePolicies;
+    IBaseAssetExtension private _assetCollection;
+    uint256 private _sellerFee;
+    FeeDistribution private _feeDistribution;
+    uint256 private _feeCap;
+    FeeTimelock private _feeTimelock;
+
+    bytes4 private constant _ASSET_INTERFACE_ID =
+        type(IBaseAssetExtension).interfaceId;
+    uint256 private constant _MAX_FEE_DELAY = 30 days;
+
+    /**
+     * @dev Requires a ready proposal of the exact call if the fee delay is set
+     */
+    modifier timelocked() {
+        _useFeeChange();
+        _;
+    }
 
     constructor(
         uint256 defaultInitialFee_,
@@ -24,6 +52,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
     ) {
         _defaultInitialFee = defaultInitialFee_;
         _defaultBuyingFee = defaultBuyingFee_;
+        _feeCap = 10000;
 
         _setFeeWallet(feeWallet_);
         _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
@@ -35,8 +64,8 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
     function setDefaultFees(
         uint256 defaultInitialFee,
         uint256 defaultBuyingFee
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (defaultInitialFee > 10000 || defaultBuyingFee > 10000) {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (defaultInitialFee > _feeCap || defaultBuyingFee > _feeCap) {
             revert InvalidFee();
         }
         emit DefaultFeesChanged(
@@ -57,7 +86,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256 mainId,
         uint256 subId,
         uint256 initialFee
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
         _setInitialFee(mainId, subId, initialFee);
     }
 
@@ -68,7 +97,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256 mainId,
         uint256 subId,
         uint256 buyingFee
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
         _setBuyingFee(mainId, subId, buyingFee);
     }
 
@@ -79,7 +108,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256[] calldata mainIds,
         uint256[] calldata subIds,
         uint256[] calldata initialFees
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
         uint256 length = mainIds.length;
         if (subIds.length != length || length != initialFees.length) {
             revert NoArrayParity();
@@ -100,7 +129,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256[] calldata mainIds,
         uint256[] calldata subIds,
         uint256[] calldata buyingFees
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
         uint256 length = mainIds.length;
         if (subIds.length != length || length != buyingFees.length) {
             revert NoArrayParity();
@@ -114,12 +143,293 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         }
     }
 
+    /**
+     * @dev See {IFeeManager-removeFees}.
+     */
+    function removeFees(
+        uint256 mainId,
+        uint256 subId
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        delete _initialFees[mainId][subId];
+        delete _buyingFees[mainId][subId];
+        delete _isInitialFeeSet[mainId][subId];
+        delete _isBuyingFeeSet[mainId][subId];
+
+        emit FeesRemoved(mainId, subId);
+    }
+
+    /**
+     * @dev See {IFeeManager-setMainIdFeePolicy}.
+     */
+    function setMainIdFeePolicy(
+        uint256 mainId,
+        uint256 initialFee,
+        uint256 buyingFee
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        FeePolicy memory policy = _createFeePolicy(initialFee, buyingFee);
+        _feePolicies.mainIds[mainId] = policy;
+
+        emit MainIdFeePolicySet(mainId, policy);
+    }
+
+    /**
+     * @dev See {IFeeManager-removeMainIdFeePolicy}.
+     */
+    function removeMainIdFeePolicy(
+        uint256 mainId
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        delete _feePolicies.mainIds[mainId];
+
+        emit MainIdFeePolicySet(mainId, _feePolicies.mainIds[mainId]);
+    }
+
+    /**
+     * @dev See {IFeeManager-setOriginatorFeePolicy}.
+     */
+    function setOriginatorFeePolicy(
+        address originator,
+        uint256 initialFee,
+        uint256 buyingFee
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        FeePolicy memory policy = _createFeePolicy(initialFee, buyingFee);
+        _feePolicies.originators[originator] = policy;
+
+        emit OriginatorFeePolicySet(originator, policy);
+    }
+
+    /**
+     * @dev See {IFeeManager-removeOriginatorFeePolicy}.
+     */
+    function removeOriginatorFeePolicy(
+        address originator
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        delete _feePolicies.originators[originator];
+
+        emit OriginatorFeePolicySet(
+            originator,
+            _feePolicies.originators[originator]
+        );
+    }
+
+    /**
+     * @dev See {IFeeManager-setAssetCollection}.
+     */
+    function setAssetCollection(
+        address newAssetCollection
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (!newAssetCollection.supportsInterface(_ASSET_INTERFACE_ID)) {
+            revert UnsupportedInterface();
+        }
+
+        emit AssetCollectionSet(address(_assetCollection), newAssetCollection);
+        _assetCollection = IBaseAssetExtension(newAssetCollection);
+    }
+
+    /**
+     * @dev See {IFeeManager-setTierFee}.
+     */
+    function setTierFee(
+        uint256 tier,
+        uint256 fee
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (tier == 0) {
+            revert InvalidTier();
+        }
+        if (fee > _feeCap) {
+            revert InvalidFee();
+        }
+
+        emit TierFeeChanged(tier, _buyerTiers.fees[tier], fee);
+
+        _buyerTiers.fees[tier] = fee;
+        _buyerTiers.isSet[tier] = true;
+    }
+
+    /**
+     * @dev See {IFeeManager-setBuyerTier}.
+     */
+    function setBuyerTier(
+        address buyer,
+        uint256 tier
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (tier != 0 && !_buyerTiers.isSet[tier]) {
+            revert InvalidTier();
+        }
+
+        _buyerTiers.tiers[buyer] = tier;
+        emit BuyerTierSet(buyer, tier);
+    }
+
+    /**
+     * @dev See {IFeeManager-setReferrer}.
+     */
+    function setReferrer(
+        address referrer,
+        bool registered
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (referrer == address(0)) {
+            revert InvalidAddress();
+        }
+
+        _feeDistribution.referrers[referrer] = registered;
+        emit ReferrerSet(referrer, registered);
+    }
+
+    /**
+     * @dev See {IFeeManager-setVolumeFeeBands}.
+     */
+    function setVolumeFeeBands(
+        FeeBand[] calldata bands
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        uint256 length = bands.length;
+        if (length > 30) {
+            revert BatchLimitExceeded();
+        }
+
+        delete _volumeFeeBands;
+        for (uint256 i = 0; i < length; ) {
+            if (bands[i].fee > _feeCap) {
+                revert InvalidFee();
+            }
+            if (i != 0 && bands[i].minAmount <= bands[i - 1].minAmount) {
+                revert InvalidFeeBands();
+            }
+            _volumeFeeBands.push(bands[i]);
+
+            unchecked {
+                ++i;
+            }
+        }
+
+        emit VolumeFeeBandsSet(bands);
+    }
+
+    /**
+     * @dev See {IFeeManager-setSellerFee}.
+     */
+    function setSellerFee(
+        uint256 sellerFee
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (sellerFee > _feeCap) {
+            revert InvalidFee();
+        }
+
+        emit SellerFeeChanged(_sellerFee, sellerFee);
+        _sellerFee = sellerFee;
+    }
+
+    /**
+     * @dev See {IFeeManager-setFeeSplits}.
+     */
+    function setFeeSplits(
+        FeeSplit[] calldata splits
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        uint256 length = splits.length;
+        if (length > 10) {
+            revert BatchLimitExceeded();
+        }
+
+        delete _feeDistribution.splits;
+        uint256 totalShare;
+        for (uint256 i = 0; i < length; ) {
+            if (splits[i].wallet == address(0)) {
+                revert InvalidAddress();
+            }
+            totalShare += splits[i].share;
+            _feeDistribution.splits.push(splits[i]);
+
+            unchecked {
+                ++i;
+            }
+        }
+        if (length != 0 && totalShare != 10000) {
+            revert InvalidFeeSplits();
+        }
+
+        emit FeeSplitsSet(splits);
+    }
+
+    /**
+     * @dev See {IFeeManager-setReferralShare}.
+     */
+    function setReferralShare(
+        uint256 referralShare
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (referralShare > 10000) {
+            revert InvalidFee();
+        }
+
+        emit ReferralShareChanged(
+            _feeDistribution.referralShare,
+            referralShare
+        );
+        _feeDistribution.referralShare = referralShare;
+    }
+
+    /**
+     * @dev See {IFeeManager-proposeFeeChange}.
+     */
+    function proposeFeeChange(
+        bytes calldata data
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bytes32 changeId = keccak256(data);
+        _feeTimelock.proposedAt[changeId] = block.timestamp;
+
+        emit FeeChangeProposed(
+            changeId,
+            data,
+            block.timestamp + _feeTimelock.delay
+        );
+    }
+
+    /**
+     * @dev See {IFeeManager-cancelFeeChange}.
+     */
+    function cancelFeeChange(
+        bytes32 changeId
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_feeTimelock.proposedAt[changeId] == 0) {
+            revert FeeChangeNotFound();
+        }
+
+        delete _feeTimelock.proposedAt[changeId];
+        emit FeeChangeCancelled(changeId);
+    }
+
+    /**
+     * @dev See {IFeeManager-setFeeCap}.
+     */
+    function setFeeCap(
+        uint256 feeCap
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (feeCap > 10000) {
+            revert InvalidFee();
+        }
+
+        emit FeeCapChanged(_feeCap, feeCap);
+        _feeCap = feeCap;
+    }
+
+    /**
+     * @dev See {IFeeManager-setFeeDelay}.
+     */
+    function setFeeDelay(
+        uint256 feeDelay
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (feeDelay > _MAX_FEE_DELAY) {
+            revert InvalidFeeDelay();
+        }
+
+        emit FeeDelayChanged(_feeTimelock.delay, feeDelay);
+        _feeTimelock.delay = feeDelay;
+    }
+
     /**
      * @dev See {IFeeManager-setFeeWallet}.
      */
     function setFeeWallet(
         address newFeeWallet
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
         _setFeeWallet(newFeeWallet);
     }
 
@@ -144,10 +454,16 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256 mainId,
         uint256 subId
     ) external view returns (uint256) {
+        if (_isInitialFeeSet[mainId][subId]) {
+            return Math.min(_initialFees[mainId][subId], _feeCap);
+        }
+
+        FeePolicy memory policy = _getFeePolicy(mainId);
         return
-            _initialFees[mainId][subId] == 0
-                ? _defaultInitialFee
-                : _initialFees[mainId][subId];
+            Math.min(
+                policy.isSet ? policy.initialFee : _defaultInitialFee,
+                _feeCap
+            );
     }
 
     /**
@@ -155,12 +471,71 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
      */
     function getBuyingFee(
         uint256 mainId,
-        uint256 subId
+        uint256 subId,
+        address buyer,
+        uint256 amount
     ) external view returns (uint256) {
-        return
-            _buyingFees[mainId][subId] == 0
-                ? _defaultBuyingFee
-                : _buyingFees[mainId][subId];
+        uint256 fee = Math.min(_getBuyingFee(mainId, subId), _feeCap);
+
+        uint256 tier = _buyerTiers.tiers[buyer];
+        if (tier != 0) {
+            fee = Math.min(fee, _buyerTiers.fees[tier]);
+        }
+
+        return Math.min(fee, _getVolumeFee(amount));
+    }
+
+    /**
+     * @dev See {IFeeManager-getMainIdFeePolicy}.
+     */
+    function getMainIdFeePolicy(
+        uint256 mainId
+    ) external view returns (FeePolicy memory) {
+        return _feePolicies.mainIds[mainId];
+    }
+
+    /**
+     * @dev See {IFeeManager-getOriginatorFeePolicy}.
+     */
+    function getOriginatorFeePolicy(
+        address originator
+    ) external view returns (FeePolicy memory) {
+        return _feePolicies.originators[originator];
+    }
+
+    /**
+     * @dev See {IFeeManager-getAssetCollection}.
+     */
+    function getAssetCollection() external view returns (address) {
+        return address(_assetCollection);
+    }
+
+    /**
+     * @dev See {IFeeManager-getTierFee}.
+     */
+    function getTierFee(uint256 tier) external view returns (uint256) {
+        return _buyerTiers.fees[tier];
+    }
+
+    /**
+     * @dev See {IFeeManager-getBuyerTier}.
+     */
+    function getBuyerTier(address buyer) external view returns (uint256) {
+        return _buyerTiers.tiers[buyer];
+    }
+
+    /**
+     * @dev See {IFeeManager-isReferrer}.
+     */
+    function isReferrer(address referrer) external view returns (bool) {
+        return _feeDistribution.referrers[referrer];
+    }
+
+    /**
+     * @dev See {IFeeManager-getVolumeFeeBands}.
+     */
+    function getVolumeFeeBands() external view returns (FeeBand[] memory) {
+        return _volumeFeeBands;
     }
 
     /**
@@ -170,6 +545,51 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         return _feeWallet;
     }
 
+    /**
+     * @dev See {IFeeManager-getSellerFee}.
+     */
+    function getSellerFee() external view returns (uint256) {
+        return Math.min(_sellerFee, _feeCap);
+    }
+
+    /**
+     * @dev See {IFeeManager-getFeeSplits}.
+     */
+    function getFeeSplits() external view returns (FeeSplit[] memory) {
+        return _feeDistribution.splits;
+    }
+
+    /**
+     * @dev See {IFeeManager-getReferralShare}.
+     */
+    function getReferralShare() external view returns (uint256) {
+        return _feeDistribution.referralShare;
+    }
+
+    /**
+     * @dev See {IFeeManager-getFeeCap}.
+     */
+    function getFeeCap() external view returns (uint256) {
+        return _feeCap;
+    }
+
+    /**
+     * @dev See {IFeeManager-getFeeDelay}.
+     */
+    function getFeeDelay() external view returns (uint256) {
+        return _feeTimelock.delay;
+    }
+
+    /**
+     * @dev See {IFeeManager-getFeeChangeReadyAt}.
+     */
+    function getFeeChangeReadyAt(
+        bytes32 changeId
+    ) external view returns (uint256) {
+        uint256 proposedAt = _feeTimelock.proposedAt[changeId];
+        return proposedAt == 0 ? 0 : proposedAt + _feeTimelock.delay;
+    }
+
     /**
      * @dev See {IERC165-supportsInterface}.
      */
@@ -205,7 +625,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256 subId,
         uint256 initialFee
     ) private {
-        if (initialFee > 10000) {
+        if (initialFee > _feeCap) {
             revert InvalidFee();
         }
 
@@ -217,6 +637,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         );
 
         _initialFees[mainId][subId] = initialFee;
+        _isInitialFeeSet[mainId][subId] = true;
     }
 
     /**
@@ -230,7 +651,7 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         uint256 subId,
         uint256 buyingFee
     ) private {
-        if (buyingFee > 10000) {
+        if (buyingFee > _feeCap) {
             revert InvalidFee();
         }
 
@@ -242,5 +663,99 @@ contract FeeManager is ERC165, AccessControl, IFeeManager {
         );
 
         _buyingFees[mainId][subId] = buyingFee;
+        _isBuyingFeeSet[mainId][subId] = true;
+    }
+
+    /**
+     * @dev Uses the proposal of the current call if the fee delay is set
+     * @dev Proposal is identified by the hash of the calldata and is ready once the current fee delay passed
+     */
+    function _useFeeChange() private {
+        if (_feeTimelock.delay == 0) {
+            return;
+        }
+
+        bytes32 changeId = keccak256(_msgData());
+        uint256 proposedAt = _feeTimelock.proposedAt[changeId];
+        if (
+            proposedAt == 0 || block.timestamp < proposedAt + _feeTimelock.delay
+        ) {
+            revert FeeChangeNotReady();
+        }
+
+        delete _feeTimelock.proposedAt[changeId];
+        emit FeeChangeExecuted(changeId);
+    }
+
+    /**
+     * @dev Gets the buying fee of an asset resolving the sub ID, main ID, originator and default fees
+     * @param mainId, main identifiers of the asset
+     * @param subId, property identifiers of main asset
+     * @return percentage of buying fee with 2 decimals
+     */
+    function _getBuyingFee(
+        uint256 mainId,
+        uint256 subId
+    ) private view returns (uint256) {
+        if (_isBuyingFeeSet[mainId][subId]) {
+            return _buyingFees[mainId][subId];
+        }
+
+        FeePolicy memory policy = _getFeePolicy(mainId);
+        return policy.isSet ? policy.buyingFee : _defaultBuyingFee;
+    }
+
+    /**
+     * @dev Gets the fee policy of a main ID, or of its originator if the main ID has none
+     * @param mainId, main identifiers of the asset
+     * @return FeePolicy struct, unset if neither the main ID nor its originator has a policy
+     */
+    function _getFeePolicy(
+        uint256 mainId
+    ) private view returns (FeePolicy memory) {
+        if (
+            _feePolicies.mainIds[mainId].isSet ||
+            address(_assetCollection) == address(0)
+        ) {
+            return _feePolicies.mainIds[mainId];
+        }
+
+        return
+            _feePolicies.originators[_assetCollection.getAssetManager(mainId)];
+    }
+
+    /**
+     * @dev Gets the fee of the highest volume band reached by the payment amount
+     * @param amount, payment amount of the trade
+     * @return percentage of volume fee with 2 decimals, maximum if no band is reached
+     */
+    function _getVolumeFee(uint256 amount) private view returns (uint256) {
+        for (uint256 i = _volumeFeeBands.length; i > 0; ) {
+            unchecked {
+                --i;
+            }
+            if (amount >= _volumeFeeBands[i].minAmount) {
+                return _volumeFeeBands[i].fee;
+            }
+        }
+
+        return type(uint256).max;
+    }
+
+    /**
+     * @dev Creates a fee policy validating its fees
+     * @param initialFee, initial fee percentage with 2 decimals
+     * @param buyingFee, buying fee percentage with 2 decimals
+     * @return FeePolicy struct marked as set
+     */
+    function _createFeePolicy(
+        uint256 initialFee,
+        uint256 buyingFee
+    ) private view returns (FeePolicy memory) {
+        if (initialFee > _feeCap || buyingFee > _feeCap) {
+            revert InvalidFee();
+        }
+
+        return FeePolicy(initialFee, buyingFee, true);
     }
 }
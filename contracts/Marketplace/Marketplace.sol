@@ -3,17 +3,22 @@ pragma solidity 0.8.17;
 
 import { ReentrancyGuardUpgradeable } from "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import { EIP712Upgradeable } from "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
-import { ListedInfo, IMarketplace, IERC20 } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { ListedInfo, OfferInfo, CollectionOfferInfo, SignedListing, PermitInfo, Sale, Escrow } from "contracts/lib/structs.sol";
+import { ListingTerms, PaymentTokenInfo, PaymentTokenAllowlist, BuyLimits, TradingHalts } from "contracts/lib/structs.sol";
 import { Initializable } from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import { ERC165Checker } from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
-import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IMarketplace, IERC20 } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
 import { ERC165 } from "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import { IWrappedNative } from "contracts/Marketplace/interface/IWrappedNative.sol";
 import { IFeeManager } from "contracts/Marketplace/interface/IFeeManager.sol";
-import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import { IInvoiceAsset } from "contracts/Asset/interface/IInvoiceAsset.sol";
 import { IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
 import { Context } from "@openzeppelin/contracts/utils/Context.sol";
+import { Settlement } from "contracts/lib/Settlement.sol";
+import { Listings } from "contracts/lib/Listings.sol";
+import { Batches } from "contracts/lib/Batches.sol";
+import { Offers } from "contracts/lib/Offers.sol";
 import { Counters } from "contracts/lib/Counters.sol";
 
 /**
@@ -29,9 +34,9 @@ contract Marketplace is
     ReentrancyGuardUpgradeable,
     IMarketplace
 {
-    using SafeERC20 for IERC20;
     using ERC165Checker for address;
     using Counters for Counters.Counter;
+    using EnumerableSet for EnumerableSet.AddressSet;
 
     IBaseAsset private _assetCollection;
     IFeeManager private _feeManager;
@@ -39,29 +44,39 @@ contract Marketplace is
 
     mapping(uint256 => mapping(uint256 => mapping(address => ListedInfo)))
         private _listedInfo;
+    mapping(bytes32 => uint256) private _filledFractions;
+    mapping(address => mapping(bytes32 => bool)) private _cancelledOffers;
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+        private _listingNonce;
+    mapping(bytes32 => mapping(address => uint256)) private _tokenPrices;
+    IWrappedNative private _wrappedNative;
+    Escrow private _escrow;
+    uint256 private _batchLimit;
+    TradingHalts private _tradingHalts;
+    PaymentTokenAllowlist private _paymentTokens;
+    mapping(uint256 => mapping(uint256 => mapping(address => ListingTerms)))
+        private _listingTerms;
+
+    // Create a new role identifier for the pauser role
+    bytes32 public constant PAUSER_ROLE =
+        0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a;
 
-    // solhint-disable-next-line var-name-mixedcase
-    bytes32 private constant _OFFER_TYPEHASH =
-        keccak256(
-            abi.encodePacked(
-                "offer(",
-                "address owner,",
-                "address offeror,",
-                "address token,",
-                "uint256 offerPrice,",
-                "uint256 mainId,",
-                "uint256 subId,",
-                "uint256 fractionsToBuy,",
-                "uint256 nonce,",
-                "uint256 deadline",
-                ")"
-            )
-        );
     bytes4 private constant _ASSET_INTERFACE_ID = type(IBaseAsset).interfaceId;
 
     bytes4 private constant _FEEMANAGER_INTERFACE_ID =
         type(IFeeManager).interfaceId;
 
+    uint256 private constant _DEFAULT_BATCH_LIMIT = 30;
+
+    /**
+     * @dev Accepts native currency only when unwrapping the wrapped native token
+     */
+    receive() external payable {
+        if (_msgSender() != address(_wrappedNative)) {
+            revert UnsupportedToken();
+        }
+    }
+
     /**
      * @dev Initializer for the main Marketplace
      * @param assetCollection_, Address of the asset collection used in the marketplace
@@ -95,6 +110,43 @@ contract Marketplace is
         _list(mainId, subId, listedInfo);
     }
 
+    /**
+     * @dev See {IMarketplace-listWithTerms}.
+     */
+    function listWithTerms(
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo,
+        ListingTerms calldata listingTerms
+    ) external {
+        _list(mainId, subId, listedInfo, listingTerms);
+    }
+
+    /**
+     * @dev See {IMarketplace-listWithPermit}.
+     */
+    function listWithPermit(
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        Listings.permit(
+            _assetCollection,
+            mainId,
+            subId,
+            listedInfo.listedFractions,
+            deadline,
+            v,
+            r,
+            s
+        );
+        _list(mainId, subId, listedInfo);
+    }
+
     /**
      * @dev See {IMarketplace-batchList}.
      */
@@ -104,9 +156,7 @@ contract Marketplace is
         ListedInfo[] calldata listedInfos
     ) external {
         uint256 length = subIds.length;
-        if (length > 30) {
-            revert BatchLimitExceeded();
-        }
+        _validateBatchLength(length);
 
         if (mainIds.length != length || length != listedInfos.length) {
             revert NoArrayParity();
@@ -120,6 +170,45 @@ contract Marketplace is
         }
     }
 
+    /**
+     * @dev See {IMarketplace-tryBatchList}.
+     */
+    function tryBatchList(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        ListedInfo[] calldata listedInfos
+    ) external returns (uint256) {
+        return
+            Batches.tryBatchList(
+                _getBatchLimit(),
+                mainIds,
+                subIds,
+                listedInfos
+            );
+    }
+
+    /**
+     * @dev See {IMarketplace-setTokenPrices}.
+     */
+    function setTokenPrices(
+        uint256 mainId,
+        uint256 subId,
+        address[] calldata tokens,
+        uint256[] calldata prices
+    ) external {
+        Listings.setTokenPrices(
+            _listedInfo,
+            _listingNonce,
+            _tokenPrices,
+            _paymentTokens,
+            _getBatchLimit(),
+            mainId,
+            subId,
+            tokens,
+            prices
+        );
+    }
+
     /**
      * @dev See {IMarketplace-unlist}.
      */
@@ -135,9 +224,7 @@ contract Marketplace is
         uint256[] calldata subIds
     ) external {
         uint256 length = subIds.length;
-        if (length > 30) {
-            revert BatchLimitExceeded();
-        }
+        _validateBatchLength(length);
 
         if (mainIds.length != length) {
             revert NoArrayParity();
@@ -151,6 +238,16 @@ contract Marketplace is
         }
     }
 
+    /**
+     * @dev See {IMarketplace-tryBatchUnlist}.
+     */
+    function tryBatchUnlist(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds
+    ) external returns (uint256) {
+        return Batches.tryBatchUnlist(_getBatchLimit(), mainIds, subIds);
+    }
+
     /**
      * @dev See {IMarketplace-offer}.
      */
@@ -167,333 +264,1182 @@ contract Marketplace is
         bytes32 r,
         bytes32 s
     ) external {
-        {
-            if (block.timestamp > deadline) {
-                revert OfferExpired();
-            }
-            if (_msgSender() != owner) {
-                revert InvalidOwner();
-            }
-
-            uint256 nonce = _nonce.useNonce(offeror);
-            bytes32 offerHash = keccak256(
-                abi.encode(
-                    _OFFER_TYPEHASH,
-                    owner,
-                    offeror,
-                    token,
-                    offerPrice,
-                    mainId,
-                    subId,
-                    fractionsToBuy,
-                    nonce,
-                    deadline
-                )
-            );
-
-            bytes32 hash = _hashTypedDataV4(offerHash);
-            address signer = ECDSA.recover(hash, v, r, s);
-            if (signer != offeror) {
-                revert InvalidSignature();
-            }
-        }
-        {
-            _buyOffer(
+        _fillLegacyOffer(
+            owner,
+            OfferInfo(
+                offeror,
+                token,
+                offerPrice,
                 mainId,
                 subId,
-                offerPrice,
                 fractionsToBuy,
-                owner,
-                offeror,
-                token
-            );
-        }
+                0,
+                deadline
+            ),
+            v,
+            r,
+            s,
+            address(0)
+        );
     }
 
     /**
-     * @dev See {IMarketplace-buy}.
+     * @dev See {IMarketplace-offer}.
      */
-    function buy(
+    function offer(
+        address owner,
+        address offeror,
+        address token,
+        uint256 offerPrice,
         uint256 mainId,
         uint256 subId,
-        uint256 fractionToBuy,
-        address owner
+        uint256 fractionsToBuy,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        address referrer
     ) external {
-        _buy(mainId, subId, fractionToBuy, owner);
+        _fillLegacyOffer(
+            owner,
+            OfferInfo(
+                offeror,
+                token,
+                offerPrice,
+                mainId,
+                subId,
+                fractionsToBuy,
+                0,
+                deadline
+            ),
+            v,
+            r,
+            s,
+            referrer
+        );
     }
 
     /**
-     * @dev See {IMarketplace-batchBuy}.
+     * @dev See {IMarketplace-fillOffer}.
      */
-    function batchBuy(
-        uint256[] calldata mainIds,
-        uint256[] calldata subIds,
-        uint256[] calldata fractionsToBuy,
-        address[] calldata owners
-    ) external {
-        uint256 length = subIds.length;
-        if (length > 30) {
-            revert BatchLimitExceeded();
-        }
-
-        if (
-            mainIds.length != length ||
-            length != fractionsToBuy.length ||
-            length != owners.length
-        ) {
-            revert NoArrayParity();
-        }
-        for (uint256 i = 0; i < length; ) {
-            _buy(mainIds[i], subIds[i], fractionsToBuy[i], owners[i]);
+    function fillOffer(
+        OfferInfo calldata offerInfo,
+        uint256 fractionsToSell,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        Offers.fillOffer(
+            _filledFractions,
+            _cancelledOffers,
+            _nonce,
+            _domainSeparatorV4(),
+            offerInfo,
+            fractionsToSell,
+            v,
+            r,
+            s
+        );
 
-            unchecked {
-                ++i;
-            }
-        }
+        _buyOffer(
+            _msgSender(),
+            offerInfo.offeror,
+            offerInfo.token,
+            offerInfo.offerPrice,
+            offerInfo.mainId,
+            offerInfo.subId,
+            fractionsToSell,
+            address(0)
+        );
     }
 
     /**
-     * @dev See {IMarketplace-setFeeManager}.
+     * @dev See {IMarketplace-fillCollectionOffer}.
      */
-    function setFeeManager(
-        address newFeeManager
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _setFeeManager(newFeeManager);
+    function fillCollectionOffer(
+        CollectionOfferInfo calldata offerInfo,
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionsToSell,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        Offers.fillCollectionOffer(
+            _filledFractions,
+            _cancelledOffers,
+            _nonce,
+            _domainSeparatorV4(),
+            _assetCollection,
+            offerInfo,
+            mainId,
+            fractionsToSell,
+            v,
+            r,
+            s
+        );
+
+        _buyOffer(
+            _msgSender(),
+            offerInfo.offeror,
+            offerInfo.token,
+            offerInfo.offerPrice,
+            mainId,
+            subId,
+            fractionsToSell,
+            address(0)
+        );
     }
 
     /**
-     * @dev See {IMarketplace-getFeeManager}.
+     * @dev See {IMarketplace-buySignedListing}.
      */
-    function getFeeManager() external view returns (address) {
-        return address(_feeManager);
+    function buySignedListing(
+        SignedListing calldata listing,
+        uint256 fractionsToBuy,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        Offers.fillSignedListing(
+            _filledFractions,
+            _cancelledOffers,
+            _nonce,
+            _domainSeparatorV4(),
+            listing,
+            fractionsToBuy,
+            v,
+            r,
+            s
+        );
+
+        _buyOffer(
+            listing.seller,
+            _msgSender(),
+            listing.token,
+            listing.price,
+            listing.mainId,
+            listing.subId,
+            fractionsToBuy,
+            address(0)
+        );
     }
 
     /**
-     * @dev See {IMarketplace-getAssetCollection}.
+     * @dev See {IMarketplace-cancelOffer}.
      */
-    function getAssetCollection() external view returns (address) {
-        return address(_assetCollection);
+    function cancelOffer(bytes32 offerHash) external {
+        Offers.cancelOffer(_cancelledOffers, offerHash);
     }
 
     /**
-     * @dev See {IMarketplace-DOMAIN_SEPARATOR}.
+     * @dev See {IMarketplace-incrementNonce}.
      */
-    // solhint-disable-next-line func-name-mixedcase
-    function DOMAIN_SEPARATOR() external view virtual returns (bytes32) {
-        return _domainSeparatorV4();
+    function incrementNonce() external {
+        emit NonceIncreased(_msgSender(), _nonce.useNonce(_msgSender()) + 1);
     }
 
     /**
-     * @dev See {IMarketplace-getNonce}.
+     * @dev See {IMarketplace-cancelAllOffersBefore}.
      */
-    function getNonce(address owner) external view virtual returns (uint256) {
-        return _nonce.current(owner);
+    function cancelAllOffersBefore(uint256 nonce) external {
+        Offers.cancelAllOffersBefore(_nonce, nonce);
     }
 
     /**
-     * @dev See {IMarketplace-getPropertyInfo}.
+     * @dev See {IMarketplace-buy}.
      */
-    function getListedInfo(
-        address owner,
-        uint256 assetMainId,
-        uint256 assetSubId
-    ) external view returns (ListedInfo memory) {
-        return _listedInfo[assetMainId][assetSubId][owner];
+    function buy(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner
+    ) external {
+        _buy(
+            mainId,
+            subId,
+            fractionToBuy,
+            owner,
+            address(0),
+            _msgSender(),
+            address(0),
+            _getNoLimits()
+        );
     }
 
     /**
-     * @dev See {IERC165-supportsInterface}.
+     * @dev See {IMarketplace-buy}.
      */
-    function supportsInterface(
-        bytes4 interfaceId
-    ) public view virtual override(ERC165, AccessControl) returns (bool) {
-        return
-            interfaceId == type(IMarketplace).interfaceId ||
-            super.supportsInterface(interfaceId);
+    function buy(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost,
+        address referrer
+    ) external {
+        _buy(
+            mainId,
+            subId,
+            fractionToBuy,
+            owner,
+            address(0),
+            _msgSender(),
+            referrer,
+            BuyLimits(maxPricePerFraction, maxTotalCost)
+        );
     }
 
     /**
-     * @dev List an asset based on main id and sub id
-     * @dev Checks and validate listed fraction to be greater than min fraction
-     * @dev Validates if listed fractions is less than owner current balance
-     * @param mainId, unique identifier of the asset
-     * @param subId, unique identifier of the asset
-     * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
+     * @dev See {IMarketplace-buyWithToken}.
      */
-    function _list(
+    function buyWithToken(
         uint256 mainId,
         uint256 subId,
-        ListedInfo calldata listedInfo
-    ) private {
-        if (address(listedInfo.token) == address(0)) {
-            revert InvalidAddress();
-        }
-        if (listedInfo.minFraction == 0) {
-            revert InvalidMinFraction();
-        }
-        if (listedInfo.listedFractions < listedInfo.minFraction) {
-            revert InvalidFractionToList();
-        }
-        if (listedInfo.salePrice == 0) {
-            revert InvalidPrice();
-        }
-
-        uint256 subBalanceOf = _assetCollection.subBalanceOf(
-            _msgSender(),
+        uint256 fractionToBuy,
+        address owner,
+        address token,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost
+    ) external {
+        _buy(
             mainId,
-            subId
+            subId,
+            fractionToBuy,
+            owner,
+            token,
+            _msgSender(),
+            address(0),
+            BuyLimits(maxPricePerFraction, maxTotalCost)
         );
-        if (subBalanceOf < listedInfo.listedFractions) {
-            revert NotEnoughBalance();
-        }
-
-        _listedInfo[mainId][subId][_msgSender()] = listedInfo;
-
-        emit AssetListed(_msgSender(), mainId, subId, listedInfo);
     }
 
     /**
-     * @dev Unlist an asset based on main id and sub id
-     * @param mainId, unique identifier of the asset
-     * @param subId, unique identifier of the asset
+     * @dev See {IMarketplace-batchBuy}.
      */
-    function _unlist(uint256 mainId, uint256 subId) private {
-        if (_listedInfo[mainId][subId][_msgSender()].listedFractions == 0) {
-            revert AlreadyUnlisted();
-        }
-
-        delete _listedInfo[mainId][subId][_msgSender()];
-
-        emit AssetUnlisted(_msgSender(), mainId, subId);
+    function batchBuy(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners
+    ) external {
+        _batchBuy(
+            mainIds,
+            subIds,
+            fractionsToBuy,
+            owners,
+            address(0),
+            _msgSender(),
+            address(0),
+            new BuyLimits[](0)
+        );
     }
 
     /**
-     * @dev Safe transfer asset to marketplace and transfer the price to the prev owner
-     * @dev Transfer the price to previous owner if it is not the first buy
-     * @dev Transfer buying fee or initial fee to fee wallet based on asset status
-     * @param mainId, unique identifier of the asset
-     * @param subId, unique identifier of the asset
-     * @param fractionToBuy, number of fractions to buy from owner address
-     * @param owner, address of owner of the fraction of asset
+     * @dev See {IMarketplace-batchBuy}.
      */
-    function _buy(
-        uint256 mainId,
+    function batchBuy(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        BuyLimits[] calldata limits,
+        address referrer
+    ) external {
+        _batchBuy(
+            mainIds,
+            subIds,
+            fractionsToBuy,
+            owners,
+            address(0),
+            _msgSender(),
+            referrer,
+            limits
+        );
+    }
+
+    /**
+     * @dev See {IMarketplace-tryBatchBuy}.
+     */
+    function tryBatchBuy(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners
+    ) external returns (uint256) {
+        return
+            Batches.tryBatchBuy(
+                _getBatchLimit(),
+                mainIds,
+                subIds,
+                fractionsToBuy,
+                owners
+            );
+    }
+
+    /**
+     * @dev See {IMarketplace-sweep}.
+     */
+    function sweep(
+        uint256 mainId,
+        uint256 subId,
+        uint256 quantity,
+        uint256 maxPrice,
+        address[] calldata sellers
+    ) external returns (uint256 filled, uint256 spent) {
+        _validateBatchLength(sellers.length);
+
+        IERC20 token;
+        for (uint256 i = 0; i < sellers.length && filled < quantity; ) {
+            (uint256 fractions, IERC20 listingToken) = _getFillableFractions(
+                sellers[i],
+                mainId,
+                subId,
+                quantity - filled,
+                maxPrice,
+                token
+            );
+            if (fractions != 0) {
+                token = listingToken;
+                uint256 cost = _buy(
+                    mainId,
+                    subId,
+                    fractions,
+                    sellers[i],
+                    address(0),
+                    _msgSender(),
+                    address(0),
+                    _getNoLimits()
+                );
+                filled += fractions;
+                spent += cost;
+            }
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev See {IMarketplace-buyWithPermit}.
+     */
+    function buyWithPermit(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost,
+        PermitInfo calldata permitInfo
+    ) external {
+        _permit(permitInfo);
+        _buy(
+            mainId,
+            subId,
+            fractionToBuy,
+            owner,
+            permitInfo.token,
+            _msgSender(),
+            address(0),
+            BuyLimits(maxPricePerFraction, maxTotalCost)
+        );
+    }
+
+    /**
+     * @dev See {IMarketplace-batchBuyWithPermit}.
+     */
+    function batchBuyWithPermit(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        BuyLimits[] calldata limits,
+        PermitInfo calldata permitInfo
+    ) external {
+        _permit(permitInfo);
+        _batchBuy(
+            mainIds,
+            subIds,
+            fractionsToBuy,
+            owners,
+            permitInfo.token,
+            _msgSender(),
+            address(0),
+            limits
+        );
+    }
+
+    /**
+     * @dev See {IMarketplace-buyWithNative}.
+     */
+    function buyWithNative(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost
+    ) external payable {
+        uint256 balance = _wrapNative();
+        _buy(
+            mainId,
+            subId,
+            fractionToBuy,
+            owner,
+            address(_wrappedNative),
+            address(this),
+            address(0),
+            BuyLimits(maxPricePerFraction, maxTotalCost)
+        );
+        _refundNative(balance);
+    }
+
+    /**
+     * @dev See {IMarketplace-batchBuyWithNative}.
+     */
+    function batchBuyWithNative(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        BuyLimits[] calldata limits
+    ) external payable {
+        uint256 balance = _wrapNative();
+        _batchBuy(
+            mainIds,
+            subIds,
+            fractionsToBuy,
+            owners,
+            address(_wrappedNative),
+            address(this),
+            address(0),
+            limits
+        );
+        _refundNative(balance);
+    }
+
+    /**
+     * @dev See {IMarketplace-withdraw}.
+     */
+    function withdraw(address token) external nonReentrant {
+        Settlement.withdraw(_escrow, token);
+    }
+
+    /**
+     * @dev See {IMarketplace-setWrappedNative}.
+     */
+    function setWrappedNative(
+        address newWrappedNative
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit WrappedNativeSet(address(_wrappedNative), newWrappedNative);
+        _wrappedNative = IWrappedNative(newWrappedNative);
+    }
+
+    /**
+     * @dev See {IMarketplace-setEscrowEnabled}.
+     */
+    function setEscrowEnabled(
+        bool enabled
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _escrow.isEnabled = enabled;
+        emit EscrowModeSet(enabled);
+    }
+
+    /**
+     * @dev See {IMarketplace-setBatchLimit}.
+     */
+    function setBatchLimit(
+        uint256 newBatchLimit
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newBatchLimit == 0 || newBatchLimit > 256) {
+            revert InvalidBatchLimit();
+        }
+
+        emit BatchLimitSet(_getBatchLimit(), newBatchLimit);
+        _batchLimit = newBatchLimit;
+    }
+
+    /**
+     * @dev See {IMarketplace-setPaused}.
+     */
+    function setPaused(bool paused) external onlyRole(PAUSER_ROLE) {
+        _tradingHalts.isPaused = paused;
+        emit PausedSet(paused);
+    }
+
+    /**
+     * @dev See {IMarketplace-setMainIdFrozen}.
+     */
+    function setMainIdFrozen(
+        uint256 mainId,
+        bool frozen
+    ) external onlyRole(PAUSER_ROLE) {
+        _tradingHalts.frozenMainIds[mainId] = frozen;
+        emit MainIdFrozenSet(mainId, frozen);
+    }
+
+    /**
+     * @dev See {IMarketplace-setSubIdFrozen}.
+     */
+    function setSubIdFrozen(
+        uint256 mainId,
+        uint256 subId,
+        bool frozen
+    ) external onlyRole(PAUSER_ROLE) {
+        _tradingHalts.frozenSubIds[mainId][subId] = frozen;
+        emit SubIdFrozenSet(mainId, subId, frozen);
+    }
+
+    /**
+     * @dev See {IMarketplace-setPaymentTokenDisabled}.
+     */
+    function setPaymentTokenDisabled(
+        address token,
+        bool disabled
+    ) external onlyRole(PAUSER_ROLE) {
+        _tradingHalts.disabledTokens[token] = disabled;
+        emit PaymentTokenDisabledSet(token, disabled);
+    }
+
+    /**
+     * @dev See {IMarketplace-setPaymentToken}.
+     */
+    function setPaymentToken(
+        address token,
+        uint256 minPrice
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Listings.setPaymentToken(_paymentTokens, token, minPrice);
+    }
+
+    /**
+     * @dev See {IMarketplace-removePaymentToken}.
+     */
+    function removePaymentToken(
+        address token
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Listings.removePaymentToken(_paymentTokens, token);
+    }
+
+    /**
+     * @dev See {IMarketplace-setFeeManager}.
+     */
+    function setFeeManager(
+        address newFeeManager
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setFeeManager(newFeeManager);
+    }
+
+    /**
+     * @dev See {IMarketplace-getFeeManager}.
+     */
+    function getFeeManager() external view returns (address) {
+        return address(_feeManager);
+    }
+
+    /**
+     * @dev See {IMarketplace-getWrappedNative}.
+     */
+    function getWrappedNative() external view returns (address) {
+        return address(_wrappedNative);
+    }
+
+    /**
+     * @dev See {IMarketplace-isEscrowEnabled}.
+     */
+    function isEscrowEnabled() external view returns (bool) {
+        return _escrow.isEnabled;
+    }
+
+    /**
+     * @dev See {IMarketplace-getEscrowBalance}.
+     */
+    function getEscrowBalance(
+        address account,
+        address token
+    ) external view returns (uint256) {
+        return _escrow.balances[account][token];
+    }
+
+    /**
+     * @dev See {IMarketplace-getBatchLimit}.
+     */
+    function getBatchLimit() external view returns (uint256) {
+        return _getBatchLimit();
+    }
+
+    /**
+     * @dev See {IMarketplace-isPaused}.
+     */
+    function isPaused() external view returns (bool) {
+        return _tradingHalts.isPaused;
+    }
+
+    /**
+     * @dev See {IMarketplace-isFrozen}.
+     */
+    function isFrozen(
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (bool) {
+        return
+            _tradingHalts.frozenMainIds[mainId] ||
+            _tradingHalts.frozenSubIds[mainId][subId];
+    }
+
+    /**
+     * @dev See {IMarketplace-isPaymentTokenDisabled}.
+     */
+    function isPaymentTokenDisabled(
+        address token
+    ) external view returns (bool) {
+        return _tradingHalts.disabledTokens[token];
+    }
+
+    /**
+     * @dev See {IMarketplace-getPaymentTokens}.
+     */
+    function getPaymentTokens() external view returns (address[] memory) {
+        return _paymentTokens.tokens.values();
+    }
+
+    /**
+     * @dev See {IMarketplace-getPaymentTokenInfo}.
+     */
+    function getPaymentTokenInfo(
+        address token
+    ) external view returns (PaymentTokenInfo memory) {
+        return _paymentTokens.infos[token];
+    }
+
+    /**
+     * @dev See {IMarketplace-isPaymentTokenAllowed}.
+     */
+    function isPaymentTokenAllowed(address token) external view returns (bool) {
+        return Listings.isPaymentTokenAllowed(_paymentTokens, token);
+    }
+
+    /**
+     * @dev See {IMarketplace-getAssetCollection}.
+     */
+    function getAssetCollection() external view returns (address) {
+        return address(_assetCollection);
+    }
+
+    /**
+     * @dev See {IMarketplace-DOMAIN_SEPARATOR}.
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view virtual returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev See {IMarketplace-getNonce}.
+     */
+    function getNonce(address owner) external view virtual returns (uint256) {
+        return _nonce.current(owner);
+    }
+
+    /**
+     * @dev See {IMarketplace-getFilledFractions}.
+     */
+    function getFilledFractions(
+        bytes32 offerHash
+    ) external view returns (uint256) {
+        return _filledFractions[offerHash];
+    }
+
+    /**
+     * @dev See {IMarketplace-isOfferCancelled}.
+     */
+    function isOfferCancelled(
+        address offeror,
+        bytes32 offerHash
+    ) external view returns (bool) {
+        return _cancelledOffers[offeror][offerHash];
+    }
+
+    /**
+     * @dev See {IMarketplace-isOfferExecutable}.
+     */
+    function isOfferExecutable(
+        OfferInfo calldata offerInfo
+    ) external view returns (bool) {
+        return
+            Offers.isOfferExecutable(
+                _filledFractions,
+                _cancelledOffers,
+                _nonce,
+                offerInfo
+            );
+    }
+
+    /**
+     * @dev See {IMarketplace-isCollectionOfferExecutable}.
+     */
+    function isCollectionOfferExecutable(
+        CollectionOfferInfo calldata offerInfo
+    ) external view returns (bool) {
+        return
+            Offers.isCollectionOfferExecutable(
+                _filledFractions,
+                _cancelledOffers,
+                _nonce,
+                offerInfo
+            );
+    }
+
+    /**
+     * @dev See {IMarketplace-getSalePrice}.
+     */
+    function getSalePrice(
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (uint256) {
+        return
+            _getTokenPrice(
+                owner,
+                mainId,
+                subId,
+                address(_listedInfo[mainId][subId][owner].token)
+            );
+    }
+
+    /**
+     * @dev See {IMarketplace-getTokenPrice}.
+     */
+    function getTokenPrice(
+        address owner,
+        uint256 mainId,
+        uint256 subId,
+        address token
+    ) external view returns (uint256) {
+        return _getTokenPrice(owner, mainId, subId, token);
+    }
+
+    /**
+     * @dev See {IMarketplace-getFillableFractions}.
+     */
+    function getFillableFractions(
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (uint256 fillableFractions) {
+        (fillableFractions, ) = _getFillableFractions(
+            owner,
+            mainId,
+            subId,
+            type(uint256).max,
+            type(uint256).max,
+            IERC20(address(0))
+        );
+    }
+
+    /**
+     * @dev See {IMarketplace-getPropertyInfo}.
+     */
+    function getListedInfo(
+        address owner,
+        uint256 assetMainId,
+        uint256 assetSubId
+    ) external view returns (ListedInfo memory listedInfo) {
+        listedInfo = _listedInfo[assetMainId][assetSubId][owner];
+        if (Listings.isExpired(_listingTerms[assetMainId][assetSubId][owner])) {
+            listedInfo.listedFractions = 0;
+        }
+    }
+
+    /**
+     * @dev See {IMarketplace-getListingTerms}.
+     */
+    function getListingTerms(
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (ListingTerms memory) {
+        return _listingTerms[mainId][subId][owner];
+    }
+
+    /**
+     * @dev See {IMarketplace-getOfferHash}.
+     */
+    function getOfferHash(
+        OfferInfo calldata offerInfo
+    ) external pure returns (bytes32) {
+        return Offers.getOfferHash(offerInfo);
+    }
+
+    /**
+     * @dev See {IMarketplace-getCollectionOfferHash}.
+     */
+    function getCollectionOfferHash(
+        CollectionOfferInfo calldata offerInfo
+    ) external pure returns (bytes32) {
+        return Offers.getCollectionOfferHash(offerInfo);
+    }
+
+    /**
+     * @dev See {IMarketplace-getListingHash}.
+     */
+    function getListingHash(
+        SignedListing calldata listing
+    ) external pure returns (bytes32) {
+        return Offers.getListingHash(listing);
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override(ERC165, AccessControl) returns (bool) {
+        return
+            interfaceId == type(IMarketplace).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev List an asset with a fixed price and no expiry
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
+     */
+    function _list(
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo
+    ) private {
+        _list(mainId, subId, listedInfo, ListingTerms(0, 0, 0, 0));
+    }
+
+    /**
+     * @dev List an asset based on main id and sub id
+     * @dev Checks and validate listed fraction to be greater than min fraction
+     * @dev Validates if listed fractions is less than owner current balance
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
+     * @param listingTerms, price decay and expiry of the listing
+     */
+    function _list(
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo,
+        ListingTerms memory listingTerms
+    ) private {
+        Listings.list(
+            _listedInfo,
+            _listingTerms,
+            _listingNonce,
+            _paymentTokens,
+            _tradingHalts,
+            _assetCollection,
+            mainId,
+            subId,
+            listedInfo,
+            listingTerms
+        );
+    }
+
+    /**
+     * @dev Unlist an asset based on main id and sub id
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     */
+    function _unlist(uint256 mainId, uint256 subId) private {
+        Listings.unlist(
+            _listedInfo,
+            _listingTerms,
+            _listingNonce,
+            mainId,
+            subId
+        );
+    }
+
+    /**
+     * @dev Buys listed fractions reverting if the price or cost exceeds the limits of the buyer
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param fractionToBuy, number of fractions to buy from owner address
+     * @param owner, address of owner of the fraction of asset
+     * @param paymentToken, address of token used for payment, zero address for the listing token
+     * @param payer, address paying the price and fee, the marketplace itself for wrapped native payments
+     * @param referrer, address receiving the referral share of fees, zero address for no referrer
+     * @param limits, maximum price per fraction and total cost accepted by the buyer
+     * @return cost price and fee paid by the payer
+     */
+    function _buy(
+        uint256 mainId,
         uint256 subId,
         uint256 fractionToBuy,
-        address owner
-    ) private nonReentrant {
-        ListedInfo memory listedInfo = _listedInfo[mainId][subId][owner];
-        if (fractionToBuy < listedInfo.minFraction) {
-            revert InvalidFractionToBuy();
-        }
-        if (listedInfo.listedFractions < fractionToBuy) {
-            revert NotEnoughListed();
+        address owner,
+        address paymentToken,
+        address payer,
+        address referrer,
+        BuyLimits memory limits
+    ) private returns (uint256 cost) {
+        uint256 salePrice;
+        (salePrice, cost) = _executeBuy(
+            mainId,
+            subId,
+            fractionToBuy,
+            owner,
+            paymentToken,
+            payer,
+            referrer
+        );
+        if (salePrice > limits.maxPricePerFraction) {
+            revert MaxPriceExceeded();
         }
-        if (
-            fractionToBuy > _assetCollection.subBalanceOf(owner, mainId, subId)
-        ) {
-            revert NotEnoughBalance();
+        if (cost > limits.maxTotalCost) {
+            revert MaxCostExceeded();
         }
+    }
 
-        address receiver = owner;
-        uint256 payPrice = listedInfo.salePrice * fractionToBuy;
-        uint256 fee = _assetCollection
-            .getAssetInfo(mainId, subId)
-            .initialOwner != owner
-            ? _feeManager.getBuyingFee(mainId, subId)
-            : _feeManager.getInitialFee(mainId, subId);
-        fee = (payPrice * fee) / 1e4;
-
-        if (listedInfo.listedFractions == fractionToBuy) {
-            delete _listedInfo[mainId][subId][owner];
-        } else {
-            _listedInfo[mainId][subId][owner].listedFractions =
-                listedInfo.listedFractions -
-                fractionToBuy;
-        }
+    /**
+     * @dev Safe transfer asset to marketplace and transfer the price to the prev owner
+     * @dev Transfer the price to previous owner if it is not the first buy
+     * @dev Transfer buying fee or initial fee to fee wallet based on asset status
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param fractionToBuy, number of fractions to buy from owner address
+     * @param owner, address of owner of the fraction of asset
+     * @param paymentToken, address of token used for payment, zero address for the listing token
+     * @param payer, address paying the price and fee, the marketplace itself for wrapped native payments
+     * @param referrer, address receiving the referral share of fees, zero address for no referrer
+     * @return salePrice price per fraction paid
+     * @return cost price and fee paid by the payer
+     */
+    function _executeBuy(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        address paymentToken,
+        address payer,
+        address referrer
+    ) private nonReentrant returns (uint256 salePrice, uint256 cost) {
+        IERC20 token;
+        (token, salePrice) = _take(
+            mainId,
+            subId,
+            fractionToBuy,
+            owner,
+            paymentToken
+        );
 
-        if (subId == 0) {
-            receiver = IInvoiceAsset(owner).getTreasuryWallet();
-            IInvoiceAsset(owner).onSubIdCreation(
+        cost = Settlement.settleListing(
+            Sale(
+                token,
+                payer,
                 _msgSender(),
+                owner,
+                owner,
+                referrer,
                 mainId,
+                subId,
+                salePrice,
                 fractionToBuy
-            );
-        } else {
-            _assetCollection.safeTransferFrom(
-                owner,
-                _msgSender(),
+            ),
+            _assetCollection,
+            _feeManager,
+            _escrow,
+            _tradingHalts
+        );
+    }
+
+    /**
+     * @dev Takes fractions of a listing for a purchase, see {Listings-take}
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param fractionToBuy, number of fractions to buy from owner address
+     * @param owner, address of owner of the listing
+     * @param paymentToken, address of token used for payment, zero address for the listing token
+     * @return token used for payment
+     * @return price per fraction in the payment token
+     */
+    function _take(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        address paymentToken
+    ) private returns (IERC20, uint256) {
+        return
+            Listings.take(
+                _listedInfo,
+                _listingTerms,
+                _listingNonce,
+                _tokenPrices,
+                _assetCollection,
                 mainId,
                 subId,
                 fractionToBuy,
-                ""
+                owner,
+                paymentToken
             );
+    }
+
+    /**
+     * @dev Batch buy assets from owners paying with the same payment token
+     * @param mainIds, arrray of unique identifiers of the assets
+     * @param subIds, array of unique identifiers of the assets
+     * @param fractionsToBuy, amounts of fraction for buying
+     * @param owners, addresses of the owner of asset
+     * @param paymentToken, address of token used for payment, zero address for the listing token
+     * @param payer, address paying the prices and fees
+     * @param referrer, address receiving the referral share of fees, zero address for no referrer
+     * @param limits, maximum price per fraction and total cost accepted by the buyer for each asset, empty for no limits
+     */
+    function _batchBuy(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        address paymentToken,
+        address payer,
+        address referrer,
+        BuyLimits[] memory limits
+    ) private {
+        uint256 length = subIds.length;
+        _validateBatchLength(length);
+
+        if (
+            mainIds.length != length ||
+            length != fractionsToBuy.length ||
+            length != owners.length ||
+            (limits.length != 0 && length != limits.length)
+        ) {
+            revert NoArrayParity();
         }
+        for (uint256 i = 0; i < length; ) {
+            _buy(
+                mainIds[i],
+                subIds[i],
+                fractionsToBuy[i],
+                owners[i],
+                paymentToken,
+                payer,
+                referrer,
+                limits.length == 0 ? _getNoLimits() : limits[i]
+            );
 
-        listedInfo.token.safeTransferFrom(_msgSender(), receiver, payPrice);
-        listedInfo.token.safeTransferFrom(
-            _msgSender(),
-            _feeManager.getFeeWallet(),
-            fee
-        );
-        emit AssetBought(
-            owner,
-            _msgSender(),
-            mainId,
-            subId,
-            listedInfo.salePrice,
-            payPrice,
-            fractionToBuy,
-            address(listedInfo.token)
-        );
+            unchecked {
+                ++i;
+            }
+        }
     }
 
+    /**
+     * @dev Transfers the fractions of an owner to the buyer of an offer and settles the sale
+     * @param owner, address of owner of the fractions
+     * @param buyer, address of the buyer paying the price and fee
+     * @param token, address of the payment token
+     * @param offerPrice, price per fraction
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param fractionToBuy, number of fractions to buy from owner address
+     * @param referrer, address receiving the referral share of fees, zero address for no referrer
+     */
     function _buyOffer(
+        address owner,
+        address buyer,
+        address token,
+        uint256 offerPrice,
         uint256 mainId,
         uint256 subId,
-        uint256 offerPrice,
         uint256 fractionToBuy,
+        address referrer
+    ) private {
+        Settlement.settleOffer(
+            Sale(
+                IERC20(token),
+                buyer,
+                buyer,
+                owner,
+                owner,
+                referrer,
+                mainId,
+                subId,
+                offerPrice,
+                fractionToBuy
+            ),
+            _assetCollection,
+            _feeManager,
+            _escrow,
+            _tradingHalts,
+            _paymentTokens
+        );
+    }
+
+    /**
+     * @dev Fills a legacy signed offer for all its fractions from the caller
+     * @param owner, address of owner of the fractions, should be the caller
+     * @param offerInfo, information of the offer, its maximum fractions being the fractions to buy
+     * @param referrer, address receiving the referral share of fees, zero address for no referrer
+     */
+    function _fillLegacyOffer(
         address owner,
-        address buyer,
-        address token
+        OfferInfo memory offerInfo,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        address referrer
     ) private {
-        if (
-            fractionToBuy > _assetCollection.subBalanceOf(owner, mainId, subId)
-        ) {
-            revert NotEnoughBalance();
+        if (_msgSender() != owner) {
+            revert InvalidOwner();
         }
 
-        uint256 payPrice = offerPrice * fractionToBuy;
-        uint256 fee = _assetCollection
-            .getAssetInfo(mainId, subId)
-            .initialOwner != owner
-            ? _feeManager.getBuyingFee(mainId, subId)
-            : _feeManager.getInitialFee(mainId, subId);
-        fee = (payPrice * fee) / 1e4;
-
-        _assetCollection.safeTransferFrom(
+        Offers.useLegacyOffer(
+            _filledFractions,
+            _cancelledOffers,
+            _nonce,
+            _domainSeparatorV4(),
             owner,
-            buyer,
-            mainId,
-            subId,
-            fractionToBuy,
-            ""
+            offerInfo,
+            v,
+            r,
+            s
         );
-
-        IERC20(token).safeTransferFrom(buyer, owner, payPrice);
-        IERC20(token).safeTransferFrom(buyer, _feeManager.getFeeWallet(), fee);
-        emit AssetBought(
+        _buyOffer(
             owner,
-            buyer,
-            mainId,
-            subId,
-            offerPrice,
-            payPrice,
-            fractionToBuy,
-            token
+            offerInfo.offeror,
+            offerInfo.token,
+            offerInfo.offerPrice,
+            offerInfo.mainId,
+            offerInfo.subId,
+            offerInfo.maxFractions,
+            referrer
         );
     }
 
+    /**
+     * @dev Approves the marketplace to spend tokens of the buyer, see {Settlement-permit}
+     * @param permitInfo, permit information including token, value, deadline and signature
+     */
+    function _permit(PermitInfo calldata permitInfo) private {
+        Settlement.permit(permitInfo);
+    }
+
+    /**
+     * @dev Wraps the native currency sent by the buyer, see {Settlement-wrapNative}
+     * @return balance of the wrapped native token not escrowed before wrapping
+     */
+    function _wrapNative() private returns (uint256) {
+        return Settlement.wrapNative(_wrappedNative, _escrow, msg.value);
+    }
+
+    /**
+     * @dev Refunds the unspent native currency to the buyer, see {Settlement-refundNative}
+     * @param balance, balance of the wrapped native token not escrowed before wrapping
+     */
+    function _refundNative(uint256 balance) private {
+        Settlement.refundNative(_wrappedNative, _escrow, balance);
+    }
+
     /**
      * @notice Allows to set a new address for the fee manager.
      * @dev Fee manager should support IFeeManager interface
@@ -507,4 +1453,91 @@ contract Marketplace is
         emit FeeManagerSet(address(_feeManager), newFeeManager);
         _feeManager = IFeeManager(newFeeManager);
     }
+
+    /**
+     * @dev Gets the fractions of a listing that can currently be bought, see {Listings-getFillableFractions}
+     * @param owner, address of owner of the listing
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param remaining, maximum fractions to buy
+     * @param maxPrice, maximum price per fraction
+     * @param token, token of the listing, zero address for any token
+     * @return fractions to buy from the listing
+     * @return listingToken token of the listing
+     */
+    function _getFillableFractions(
+        address owner,
+        uint256 mainId,
+        uint256 subId,
+        uint256 remaining,
+        uint256 maxPrice,
+        IERC20 token
+    ) private view returns (uint256, IERC20) {
+        return
+            Listings.getFillableFractions(
+                _listedInfo[mainId][subId][owner],
+                _listingTerms[mainId][subId][owner],
+                _tradingHalts,
+                _assetCollection,
+                owner,
+                mainId,
+                subId,
+                remaining,
+                maxPrice,
+                token
+            );
+    }
+
+    /**
+     * @dev Gets the price per fraction of a listing in a payment token, see {Listings-getTokenPrice}
+     * @param owner, address of owner of the listing
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param token, address of the payment token
+     * @return price per fraction in the token, zero if the token is not accepted
+     */
+    function _getTokenPrice(
+        address owner,
+        uint256 mainId,
+        uint256 subId,
+        address token
+    ) private view returns (uint256) {
+        return
+            Listings.getTokenPrice(
+                _listedInfo,
+                _listingTerms,
+                _listingNonce,
+                _tokenPrices,
+                mainId,
+                subId,
+                owner,
+                token
+            );
+    }
+
+    /**
+     * @dev Gets the maximum number of items in a batch, the default limit if not set
+     * @return uint256, maximum number of items in a batch
+     */
+    function _getBatchLimit() private view returns (uint256) {
+        return _batchLimit == 0 ? _DEFAULT_BATCH_LIMIT : _batchLimit;
+    }
+
+    /**
+     * @dev Validates the number of items of a batch to be within the batch limit
+     * @param length, number of items in the batch
+     */
+    function _validateBatchLength(uint256 length) private view {
+        if (length > _getBatchLimit()) {
+            revert BatchLimitExceeded();
+        }
+    }
+
+    /**
+     * @dev Gets the limits of a purchase without maximum price or cost
+     * @return BuyLimits struct accepting any price and cost
+     */
+    function _getNoLimits() private pure returns (BuyLimits memory) {
+        return BuyLimits(type(uint256).max, type(uint256).max);
+    }
 }
@@ -0,0 +1,226 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { BidInfo, IOrderBook, IERC20 } from "contracts/Marketplace/interface/IOrderBook.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { TradingVenue } from "contracts/Marketplace/TradingVenue.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { Sale } from "contracts/lib/structs.sol";
+
+/**
+ * @title The order book of standing bids for the all types of ERC-6960 assets
+ * @author Polytrade.Finance
+ * @dev Bidders escrow their payment and any current holder can fill the bids
+ * @dev Filled bids are settled through the Settlement library like the sales of the marketplace
+ * @dev Refunds of bidders and settled proceeds are escrowed to be withdrawn by their receivers
+ */
+contract OrderBook is TradingVenue, IOrderBook {
+    using SafeERC20 for IERC20;
+
+    uint256 private _bidCounter;
+
+    mapping(uint256 => BidInfo) private _bidInfo;
+
+    /**
+     * @dev Initializer for the order book
+     * @param assetCollection_, Address of the asset collection used in the order book
+     * @param feeManager_, Address of the fee manager
+     */
+    function initialize(
+        address assetCollection_,
+        address feeManager_
+    ) external initializer {
+        __TradingVenue_init(assetCollection_, feeManager_);
+    }
+
+    /**
+     * @dev See {IOrderBook-placeBid}.
+     */
+    function placeBid(
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice,
+        uint256 fractions,
+        uint256 expiresAt,
+        address token
+    ) external nonReentrant returns (uint256 bidId) {
+        if (token == address(0)) {
+            revert InvalidAddress();
+        }
+        if (bidPrice == 0) {
+            revert InvalidPrice();
+        }
+        if (fractions == 0) {
+            revert InvalidFraction();
+        }
+        if (expiresAt <= block.timestamp) {
+            revert InvalidExpiry();
+        }
+        _validateTrading(mainId, subId, token);
+        _validatePaymentToken(token, bidPrice);
+
+        uint256 payPrice = bidPrice * fractions;
+        uint256 feeEscrow = (payPrice *
+            Math.max(
+                _feeManager.getInitialFee(mainId, subId),
+                _feeManager.getBuyingFee(mainId, subId, _msgSender(), payPrice)
+            )) / 1e4;
+
+        bidId = ++_bidCounter;
+        BidInfo memory bidInfo = BidInfo(
+            _msgSender(),
+            mainId,
+            subId,
+            bidPrice,
+            fractions,
+            feeEscrow,
+            expiresAt,
+            IERC20(token)
+        );
+        _bidInfo[bidId] = bidInfo;
+
+        IERC20(token).safeTransferFrom(
+            _msgSender(),
+            address(this),
+            payPrice + feeEscrow
+        );
+
+        emit BidPlaced(bidId, _msgSender(), bidInfo);
+    }
+
+    /**
+     * @dev See {IOrderBook-acceptBid}.
+     */
+    function acceptBid(uint256 bidId, uint256 fractions) external nonReentrant {
+        BidInfo memory bidInfo = _bidInfo[bidId];
+        _validateAccept(bidInfo, fractions);
+        _validateTrading(bidInfo.mainId, bidInfo.subId, address(bidInfo.token));
+
+        uint256 payPrice = bidInfo.bidPrice * fractions;
+        uint256 feeBudget = (bidInfo.feeEscrow * fractions) / bidInfo.fractions;
+
+        if (fractions == bidInfo.fractions) {
+            delete _bidInfo[bidId];
+        } else {
+            _bidInfo[bidId].fractions = bidInfo.fractions - fractions;
+            _bidInfo[bidId].feeEscrow = bidInfo.feeEscrow - feeBudget;
+        }
+
+        _assetCollection.safeTransferFrom(
+            _msgSender(),
+            bidInfo.bidder,
+            bidInfo.mainId,
+            bidInfo.subId,
+            fractions,
+            ""
+        );
+
+        _settlePayment(
+            Sale(
+                bidInfo.token,
+                address(this),
+                bidInfo.bidder,
+                _msgSender(),
+                _msgSender(),
+                address(0),
+                bidInfo.mainId,
+                bidInfo.subId,
+                bidInfo.bidPrice,
+                fractions
+            ),
+            feeBudget
+        );
+
+        emit BidAccepted(
+            bidId,
+            _msgSender(),
+            bidInfo.bidder,
+            bidInfo.mainId,
+            bidInfo.subId,
+            bidInfo.bidPrice,
+            payPrice,
+            fractions,
+            address(bidInfo.token)
+        );
+    }
+
+    /**
+     * @dev See {IOrderBook-cancelBid}.
+     */
+    function cancelBid(uint256 bidId) external nonReentrant {
+        BidInfo memory bidInfo = _bidInfo[bidId];
+        if (bidInfo.bidder == address(0)) {
+            revert BidNotFound();
+        }
+        if (
+            _msgSender() != bidInfo.bidder &&
+            block.timestamp <= bidInfo.expiresAt
+        ) {
+            revert InvalidBidder();
+        }
+
+        uint256 refund = bidInfo.bidPrice *
+            bidInfo.fractions +
+            bidInfo.feeEscrow;
+
+        delete _bidInfo[bidId];
+
+        _escrowPayment(bidInfo.bidder, address(bidInfo.token), refund);
+
+        emit BidCancelled(bidId, bidInfo.bidder, refund);
+    }
+
+    /**
+     * @dev See {IOrderBook-getNextBidId}.
+     */
+    function getNextBidId() external view returns (uint256) {
+        return _bidCounter + 1;
+    }
+
+    /**
+     * @dev See {IOrderBook-getBidInfo}.
+     */
+    function getBidInfo(uint256 bidId) external view returns (BidInfo memory) {
+        return _bidInfo[bidId];
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override returns (bool) {
+        return
+            interfaceId == type(IOrderBook).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Validates that a bid can be filled by the current owner
+     * @param bidInfo, information of the bid
+     * @param fractions, number of fractions to sell
+     */
+    function _validateAccept(
+        BidInfo memory bidInfo,
+        uint256 fractions
+    ) private view {
+        if (bidInfo.bidder == address(0)) {
+            revert BidNotFound();
+        }
+        if (block.timestamp > bidInfo.expiresAt) {
+            revert BidExpired();
+        }
+        if (fractions == 0 || fractions > bidInfo.fractions) {
+            revert InvalidFraction();
+        }
+        if (
+            _assetCollection.subBalanceOf(
+                _msgSender(),
+                bidInfo.mainId,
+                bidInfo.subId
+            ) < fractions
+        ) {
+            revert NotEnoughBalance();
+        }
+    }
+}
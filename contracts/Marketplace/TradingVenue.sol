@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { ReentrancyGuardUpgradeable } from "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import { Initializable } from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import { ITradingVenue } from "contracts/Marketplace/interface/ITradingVenue.sol";
+import { ERC165Checker } from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { ERC165 } from "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import { IFeeManager } from "contracts/Marketplace/interface/IFeeManager.sol";
+import { IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
+import { Context } from "@openzeppelin/contracts/utils/Context.sol";
+import { Settlement } from "contracts/lib/Settlement.sol";
+import { Sale, Escrow } from "contracts/lib/structs.sol";
+
+/**
+ * @title The base of the trading venues settled like the marketplace
+ * @author Polytrade.Finance
+ * @dev Holds the asset collection, fee manager, marketplace and escrow shared by the english auction and the order book
+ */
+abstract contract TradingVenue is
+    Initializable,
+    Context,
+    ERC165,
+    AccessControl,
+    ReentrancyGuardUpgradeable,
+    ITradingVenue
+{
+    using ERC165Checker for address;
+
+    IBaseAsset internal _assetCollection;
+    IFeeManager internal _feeManager;
+    IMarketplace internal _marketplace;
+    Escrow internal _escrow;
+
+    bytes4 private constant _ASSET_INTERFACE_ID = type(IBaseAsset).interfaceId;
+
+    bytes4 private constant _FEEMANAGER_INTERFACE_ID =
+        type(IFeeManager).interfaceId;
+
+    bytes4 private constant _MARKETPLACE_INTERFACE_ID =
+        type(IMarketplace).interfaceId;
+
+    /**
+     * @dev See {ITradingVenue-withdraw}.
+     */
+    function withdraw(address token) external nonReentrant {
+        Settlement.withdraw(_escrow, token);
+    }
+
+    /**
+     * @dev See {ITradingVenue-setFeeManager}.
+     */
+    function setFeeManager(
+        address newFeeManager
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setFeeManager(newFeeManager);
+    }
+
+    /**
+     * @dev See {ITradingVenue-setMarketplace}.
+     */
+    function setMarketplace(
+        address newMarketplace
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (!newMarketplace.supportsInterface(_MARKETPLACE_INTERFACE_ID)) {
+            revert UnsupportedInterface();
+        }
+
+        emit MarketplaceSet(address(_marketplace), newMarketplace);
+        _marketplace = IMarketplace(newMarketplace);
+    }
+
+    /**
+     * @dev See {ITradingVenue-getFeeManager}.
+     */
+    function getFeeManager() external view returns (address) {
+        return address(_feeManager);
+    }
+
+    /**
+     * @dev See {ITradingVenue-getMarketplace}.
+     */
+    function getMarketplace() external view returns (address) {
+        return address(_marketplace);
+    }
+
+    /**
+     * @dev See {ITradingVenue-getAssetCollection}.
+     */
+    function getAssetCollection() external view returns (address) {
+        return address(_assetCollection);
+    }
+
+    /**
+     * @dev See {ITradingVenue-getEscrowBalance}.
+     */
+    function getEscrowBalance(
+        address account,
+        address token
+    ) external view returns (uint256) {
+        return _escrow.balances[account][token];
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override(ERC165, AccessControl) returns (bool) {
+        return
+            interfaceId == type(ITradingVenue).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Initializer for the venue
+     * @param assetCollection_, Address of the asset collection traded in the venue
+     * @param feeManager_, Address of the fee manager
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function __TradingVenue_init(
+        address assetCollection_,
+        address feeManager_
+    ) internal onlyInitializing {
+        __ReentrancyGuard_init();
+        if (!assetCollection_.supportsInterface(_ASSET_INTERFACE_ID)) {
+            revert UnsupportedInterface();
+        }
+
+        _assetCollection = IBaseAsset(assetCollection_);
+
+        _setFeeManager(feeManager_);
+        _escrow.isEnabled = true;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+    }
+
+    /**
+     * @dev Settles the payment of a sale from the bid escrowed by the venue
+     * @dev Fee is capped to the fee escrowed with the bid, the unused part of the deposit is escrowed for the bidder
+     * @param sale, information of the sale paid by the venue
+     * @param feeBudget, fee escrowed with the bid for the sold fractions
+     */
+    function _settlePayment(Sale memory sale, uint256 feeBudget) internal {
+        uint256 deposit = sale.price * sale.fractions + feeBudget;
+        uint256 cost = Settlement.settle(
+            sale,
+            _assetCollection,
+            _feeManager,
+            _escrow,
+            feeBudget
+        );
+        if (cost < deposit) {
+            _escrowPayment(sale.buyer, address(sale.token), deposit - cost);
+        }
+    }
+
+    /**
+     * @dev Escrows an amount of tokens held by the venue to be withdrawn by an account
+     * @param account, address of the account receiving the amount
+     * @param token, address of the token
+     * @param amount, amount of tokens to escrow
+     */
+    function _escrowPayment(
+        address account,
+        address token,
+        uint256 amount
+    ) internal {
+        _escrow.balances[account][token] += amount;
+        _escrow.totalEscrowed[token] += amount;
+
+        emit PaymentEscrowed(account, token, amount);
+    }
+
+    /**
+     * @dev Validates that trading of an asset in a token is not halted on the marketplace
+     * @dev No halts apply until the marketplace is set
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param token, address of the payment token
+     */
+    function _validateTrading(
+        uint256 mainId,
+        uint256 subId,
+        address token
+    ) internal view {
+        if (address(_marketplace) == address(0)) {
+            return;
+        }
+        if (_marketplace.isPaymentTokenDisabled(token)) {
+            revert PaymentTokenDisabled();
+        }
+        if (_marketplace.isPaused() || _marketplace.isFrozen(mainId, subId)) {
+            revert TradingHalted();
+        }
+    }
+
+    /**
+     * @dev Validates a payment token to be allowed on the marketplace and a price to be above its minimum price
+     * @dev Any token is accepted until the marketplace is set or while its allowlist is empty, see {IMarketplace-isPaymentTokenAllowed}
+     * @param token, address of the payment token
+     * @param price, price per fraction in the token
+     */
+    function _validatePaymentToken(address token, uint256 price) internal view {
+        if (address(_marketplace) == address(0)) {
+            return;
+        }
+        if (!_marketplace.isPaymentTokenAllowed(token)) {
+            revert PaymentTokenNotAllowed();
+        }
+        if (price < _marketplace.getPaymentTokenInfo(token).minPrice) {
+            revert PriceBelowMinimum();
+        }
+    }
+
+    /**
+     * @notice Allows to set a new address for the fee manager.
+     * @dev Fee manager should support IFeeManager interface
+     * @param newFeeManager, Address of the new fee manager
+     */
+    function _setFeeManager(address newFeeManager) private {
+        if (!newFeeManager.supportsInterface(_FEEMANAGER_INTERFACE_ID)) {
+            revert UnsupportedInterface();
+        }
+
+        emit FeeManagerSet(address(_feeManager), newFeeManager);
+        _feeManager = IFeeManager(newFeeManager);
+    }
+}
@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { AuctionInfo, AuctionBid, IERC20 } from "contracts/lib/structs.sol";
+import { ITradingVenue } from "contracts/Marketplace/interface/ITradingVenue.sol";
+
+/**
+ * @title The main interface to define the english auction
+ * @author Polytrade.Finance
+ * @dev Collection of all procedures related to the english auction
+ */
+
+interface IEnglishAuction is ITradingVenue {
+    /**
+     * @dev Emitted when an auction is created
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param auctionInfo, information of auction including reservePrice, minIncrement, fractions, endTime and token
+     */
+    event AuctionCreated(
+        address indexed seller,
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        AuctionInfo auctionInfo
+    );
+
+    /**
+     * @dev Emitted when a new highest bid is placed on an auction
+     * @param bidder, address of the bidder
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param bidPrice, offered price per fraction
+     */
+    event AuctionBidPlaced(
+        address indexed bidder,
+        address indexed seller,
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice
+    );
+
+    /**
+     * @dev Emitted when an auction is settled to the highest bidder
+     * @param seller, address of the asset owner
+     * @param winner, address of the highest bidder
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param bidPrice, winning price per fraction
+     * @param payPrice, the price paid for all the fractions before the seller fee and royalty
+     * @param fractions, number of sold fractions
+     * @param token, address of the token used for payment
+     */
+    event AuctionSettled(
+        address indexed seller,
+        address indexed winner,
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice,
+        uint256 payPrice,
+        uint256 fractions,
+        address token
+    );
+
+    /**
+     * @dev Emitted when an auction is closed without any bid
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     */
+    event AuctionCancelled(
+        address indexed seller,
+        uint256 indexed mainId,
+        uint256 indexed subId
+    );
+
+    error InvalidEndTime();
+    error InvalidBidder();
+    error BidTooLow();
+    error AuctionAlreadyCreated();
+    error AuctionNotFound();
+    error AuctionEnded();
+    error AuctionNotEnded();
+    error AuctionHasBids();
+
+    /**
+     * @dev Creates an auction for the current owner and escrows the auctioned fractions
+     * @dev Owner should have approved the auction contract to transfer its assets
+     * @dev Reverts if trading of the asset or the token is halted on the marketplace
+     * @dev Token should be allowed on the marketplace and the reserve price above its minimum price
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     * @param auctionInfo, information of auction including reservePrice, minIncrement, fractions, endTime and token
+     */
+    function createAuction(
+        uint256 mainId,
+        uint256 subId,
+        AuctionInfo calldata auctionInfo
+    ) external;
+
+    /**
+     * @dev Places a bid higher than the current highest bid by at least the min increment
+     * @dev Escrows the price of all fractions plus the fee and escrows the refund of the previous highest bidder
+     * @dev Bidder should have approved the auction contract to transfer its ERC20 tokens
+     * @dev Reverts if trading of the asset or the token is halted on the marketplace
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     * @param bidPrice, offered price per fraction
+     */
+    function bid(
+        address seller,
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice
+    ) external;
+
+    /**
+     * @dev Settles an auction after its end time
+     * @dev Transfers the fractions to the highest bidder and settles the sale like the marketplace,
+     * escrowing the fees, royalty and proceeds of the seller to be withdrawn
+     * @dev Fees are charged at settlement capped to the fee escrowed with the bid, the bidder is refunded the unused fee
+     * @dev Returns the fractions to the seller if there is no bid
+     * @dev Reverts if trading of the asset or the token is halted on the marketplace, unless there is no bid
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     */
+    function settleAuction(
+        address seller,
+        uint256 mainId,
+        uint256 subId
+    ) external;
+
+    /**
+     * @dev Cancels an auction of the current owner without any bid and returns the escrowed fractions
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     */
+    function cancelAuction(uint256 mainId, uint256 subId) external;
+
+    /**
+     * @dev Gets the auction information
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifier of asset
+     * @param subId, unique identifier of asset
+     * @return AuctionInfo struct
+     */
+    function getAuctionInfo(
+        address seller,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (AuctionInfo memory);
+
+    /**
+     * @dev Gets the highest bid of an auction
+     * @param seller, address of the asset owner
+     * @param mainId, unique identifier of asset
+     * @param subId, unique identifier of asset
+     * @return AuctionBid struct
+     */
+    function getHighestBid(
+        address seller,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (AuctionBid memory);
+}
@@ -2,11 +2,14 @@
 pragma solidity 0.8.17;
 
 import { GenericErrors } from "contracts/lib/errors.sol";
+import { FeeBand, FeePolicy, FeeSplit } from "contracts/lib/structs.sol";
 
 /**
  * @title The main interface to define the fee manager
  * @author Polytrade.Finance
  * @dev Collection of all procedures related to the fee manager
+ * @dev Setters of fees, fee cap, fee delay, fee recipients and the asset collection are timelocked by the fee delay,
+ * see {proposeFeeChange}
  */
 
 interface IFeeManager is GenericErrors {
@@ -61,7 +64,135 @@ interface IFeeManager is GenericErrors {
         uint256 newBuyingFee
     );
 
+    /**
+     * @dev Emitted when the buying fee of a buyer tier is set
+     * @param tier, identifier of the buyer tier
+     * @param oldFee, old buying fee percentage of the tier
+     * @param newFee, new buying fee percentage of the tier
+     */
+    event TierFeeChanged(uint256 tier, uint256 oldFee, uint256 newFee);
+
+    /**
+     * @dev Emitted when a buyer is assigned to a tier
+     * @param buyer, address of the buyer
+     * @param tier, identifier of the buyer tier, zero for no tier
+     */
+    event BuyerTierSet(address indexed buyer, uint256 tier);
+
+    /**
+     * @dev Emitted when a referrer is registered or removed
+     * @param referrer, address of the referrer
+     * @param registered, true if registered, false if removed
+     */
+    event ReferrerSet(address indexed referrer, bool registered);
+
+    /**
+     * @dev Emitted when the volume bands of the buying fee are set
+     * @param bands, volume bands sorted by minimum amount
+     */
+    event VolumeFeeBandsSet(FeeBand[] bands);
+
+    /**
+     * @dev Emitted when the fees of a sub ID are removed to fall back to the next level
+     * @param mainId, main identifier of the asset
+     * @param subId, property identifier of main asset
+     */
+    event FeesRemoved(uint256 mainId, uint256 subId);
+
+    /**
+     * @dev Emitted when the fee policy of a main ID is set or removed
+     * @param mainId, main identifier of the asset
+     * @param policy, fee policy of the main ID, unset if removed
+     */
+    event MainIdFeePolicySet(uint256 indexed mainId, FeePolicy policy);
+
+    /**
+     * @dev Emitted when the fee policy of an originating contract is set or removed
+     * @param originator, address of the asset manager contract creating the main IDs
+     * @param policy, fee policy of the originator, unset if removed
+     */
+    event OriginatorFeePolicySet(address indexed originator, FeePolicy policy);
+
+    /**
+     * @dev Emitted when new asset collection has been set
+     * @param oldAssetCollection, Address of the old asset collection
+     * @param newAssetCollection, Address of the new asset collection
+     */
+    event AssetCollectionSet(
+        address oldAssetCollection,
+        address newAssetCollection
+    );
+
+    /**
+     * @dev Emitted when a new seller fee set
+     * @param oldFee, old seller fee percentage
+     * @param newFee, new seller fee percentage
+     */
+    event SellerFeeChanged(uint256 oldFee, uint256 newFee);
+
+    /**
+     * @dev Emitted when the splits of collected fees are set
+     * @param splits, wallets and their shares of the collected fees
+     */
+    event FeeSplitsSet(FeeSplit[] splits);
+
+    /**
+     * @dev Emitted when a new referral share set
+     * @param oldShare, old share of collected fees paid to referrers
+     * @param newShare, new share of collected fees paid to referrers
+     */
+    event ReferralShareChanged(uint256 oldShare, uint256 newShare);
+
+    /**
+     * @dev Emitted when a timelocked fee change is proposed
+     * @param changeId, hash of the calldata of the change
+     * @param data, calldata of the change to execute once ready
+     * @param readyAt, timestamp from which the change can be executed
+     */
+    event FeeChangeProposed(
+        bytes32 indexed changeId,
+        bytes data,
+        uint256 readyAt
+    );
+
+    /**
+     * @dev Emitted when a proposed fee change is executed
+     * @param changeId, hash of the calldata of the change
+     */
+    event FeeChangeExecuted(bytes32 indexed changeId);
+
+    /**
+     * @dev Emitted when a proposed fee change is cancelled
+     * @param changeId, hash of the calldata of the change
+     */
+    event FeeChangeCancelled(bytes32 indexed changeId);
+
+    /**
+     * @dev Emitted when a new fee cap set
+     * @param oldCap, old maximum fee percentage
+     * @param newCap, new maximum fee percentage
+     */
+    event FeeCapChanged(uint256 oldCap, uint256 newCap);
+
+    /**
+     * @dev Emitted when a new fee delay set
+     * @param oldDelay, old delay of fee changes in seconds
+     * @param newDelay, new delay of fee changes in seconds
+     */
+    event FeeDelayChanged(uint256 oldDelay, uint256 newDelay);
+
+    /**
+     * @dev Reverted on unsupported interface detection
+     */
+    error UnsupportedInterface();
+
     error InvalidFee();
+    error InvalidTier();
+    error InvalidFeeBands();
+    error InvalidFeeSplits();
+    error InvalidFeeDelay();
+    error FeeChangeNotReady();
+    error FeeChangeNotFound();
 
     function setDefaultFees(
         uint256 defaultInitialFee,
@@ -71,6 +202,7 @@ interface IFeeManager is GenericErrors {
     /**
      * @dev Set new initial fee for specific mainId and subId
      * @dev Initial fee applies to the first buy
+     * @dev Zero is an explicit fee, see {removeFees} to fall back to the main ID policy
      * @dev Needs admin access to set
      * @param mainId, main identifier of the asset
      * @param subId, property identifier of main asset
@@ -85,6 +217,7 @@ interface IFeeManager is GenericErrors {
     /**
      * @dev Set new buying fee
      * @dev Buying fee applies to all buys but first one
+     * @dev Zero is an explicit fee, see {removeFees} to fall back to the main ID policy
      * @dev Needs admin access to set
      * @param mainId, main identifier of the asset
      * @param subId, property identifier of main asset
@@ -124,6 +257,147 @@ interface IFeeManager is GenericErrors {
         uint256[] calldata buyingFees
     ) external;
 
+    /**
+     * @dev Removes the initial and buying fees of a sub ID to fall back to the main ID policy
+     * @dev Needs admin access to remove
+     * @param mainId, main identifier of the asset
+     * @param subId, property identifier of main asset
+     */
+    function removeFees(uint256 mainId, uint256 subId) external;
+
+    /**
+     * @dev Sets the fees of all sub IDs of a main ID without fees of their own, zero fees are explicit
+     * @dev Needs admin access to set
+     * @param mainId, main identifier of the asset
+     * @param initialFee, initial fee percentage with 2 decimals
+     * @param buyingFee, buying fee percentage with 2 decimals
+     */
+    function setMainIdFeePolicy(
+        uint256 mainId,
+        uint256 initialFee,
+        uint256 buyingFee
+    ) external;
+
+    /**
+     * @dev Removes the fee policy of a main ID to fall back to the originator policy
+     * @dev Needs admin access to remove
+     * @param mainId, main identifier of the asset
+     */
+    function removeMainIdFeePolicy(uint256 mainId) external;
+
+    /**
+     * @dev Sets the fees of all main IDs created by an originating contract without fees of their own
+     * @dev Originator is the asset manager of the main ID, e.g. invoice, property or wrapped asset contract
+     * @dev Needs admin access to set
+     * @param originator, address of the asset manager contract
+     * @param initialFee, initial fee percentage with 2 decimals
+     * @param buyingFee, buying fee percentage with 2 decimals
+     */
+    function setOriginatorFeePolicy(
+        address originator,
+        uint256 initialFee,
+        uint256 buyingFee
+    ) external;
+
+    /**
+     * @dev Removes the fee policy of an originating contract to fall back to the default fees
+     * @dev Needs admin access to remove
+     * @param originator, address of the asset manager contract
+     */
+    function removeOriginatorFeePolicy(address originator) external;
+
+    /**
+     * @notice Allows to set the asset collection used to find the originator of main IDs
+     * @dev Asset collection should support IBaseAssetExtension interface to get the asset manager of main IDs
+     * @dev Originator fee policies are not applied while no asset collection is set
+     * @param newAssetCollection, Address of the new asset collection
+     */
+    function setAssetCollection(address newAssetCollection) external;
+
+    /**
+     * @dev Set the buying fee of a buyer tier, e.g. negotiated fee of allowlisted institutions
+     * @dev Needs admin access to set
+     * @param tier, identifier of the buyer tier, should not be zero
+     * @param fee, buying fee percentage of the tier with 2 decimals
+     */
+    function setTierFee(uint256 tier, uint256 fee) external;
+
+    /**
+     * @dev Assigns a buyer to a tier whose fee applies if lower than the buying fee
+     * @dev Needs admin access to set
+     * @param buyer, address of the buyer
+     * @param tier, identifier of a tier with a set fee, zero to remove the buyer from its tier
+     */
+    function setBuyerTier(address buyer, uint256 tier) external;
+
+    /**
+     * @dev Registers or removes a referrer that purchases and signed offers can name
+     * @dev Needs admin access to set
+     * @param referrer, address of the referrer
+     * @param registered, true to register, false to remove
+     */
+    function setReferrer(address referrer, bool registered) external;
+
+    /**
+     * @dev Replaces the volume bands of the buying fee
+     * @dev Fee of the highest band reached by the payment amount applies if lower than the buying fee
+     * @dev Needs admin access to set
+     * @param bands, volume bands sorted by strictly increasing minimum amount
+     */
+    function setVolumeFeeBands(FeeBand[] calldata bands) external;
+
+    /**
+     * @dev Set the seller fee deducted from the proceeds of sellers on top of the fee paid by the buyer
+     * @dev Needs admin access to set
+     * @param sellerFee, new seller fee percentage with 2 decimals
+     */
+    function setSellerFee(uint256 sellerFee) external;
+
+    /**
+     * @dev Replaces the splits of collected fees across wallets, e.g. treasury, referral partner and insurance pool
+     * @dev Shares should add up to 100%, empty splits send all fees to the fee wallet
+     * @dev Needs admin access to set
+     * @param splits, wallets and their shares of the collected fees with 2 decimals
+     */
+    function setFeeSplits(FeeSplit[] calldata splits) external;
+
+    /**
+     * @dev Set the share of collected fees paid to the referrer of a purchase
+     * @dev Rest of the collected fees goes to the fee wallet or the fee splits
+     * @dev Needs admin access to set
+     * @param referralShare, new referral share percentage with 2 decimals
+     */
+    function setReferralShare(uint256 referralShare) external;
+
+    /**
+     * @dev Proposes a timelocked fee change executable once the fee delay passed
+     * @dev Change is executed by calling the proposed function with the exact calldata
+     * @dev Needs admin access to propose
+     * @param data, calldata of the fee change, e.g. encoded {setDefaultFees} call
+     */
+    function proposeFeeChange(bytes calldata data) external;
+
+    /**
+     * @dev Cancels a proposed fee change
+     * @dev Needs admin access to cancel
+     * @param changeId, hash of the calldata of the change
+     */
+    function cancelFeeChange(bytes32 changeId) external;
+
+    /**
+     * @dev Set the maximum fee percentage, higher fees already set are capped
+     * @dev Needs admin access to set
+     * @param feeCap, new maximum fee percentage with 2 decimals
+     */
+    function setFeeCap(uint256 feeCap) external;
+
+    /**
+     * @dev Set the delay of fee changes, zero applies fee changes immediately
+     * @dev Needs admin access to set
+     * @param feeDelay, new delay of fee changes in seconds, at most 30 days
+     */
+    function setFeeDelay(uint256 feeDelay) external;
+
     /**
      * @dev Allows to set a new fee wallet address where buying fees will be allocated.
      * @param newFeeWallet, Address of the new fee wallet
@@ -136,8 +410,48 @@ interface IFeeManager is GenericErrors {
      */
     function getFeeWallet() external view returns (address);
 
+    /**
+     * @dev Gets the seller fee percentage deducted from the proceeds of sellers
+     * @return percentage of seller fee with 2 decimals
+     */
+    function getSellerFee() external view returns (uint256);
+
+    /**
+     * @dev Gets the splits of collected fees across wallets
+     * @return array of wallets and their shares, empty if all fees go to the fee wallet
+     */
+    function getFeeSplits() external view returns (FeeSplit[] memory);
+
+    /**
+     * @dev Gets the share of collected fees paid to the referrer of a purchase
+     * @return percentage of referral share with 2 decimals
+     */
+    function getReferralShare() external view returns (uint256);
+
+    /**
+     * @dev Gets the maximum fee percentage
+     * @return percentage of fee cap with 2 decimals
+     */
+    function getFeeCap() external view returns (uint256);
+
+    /**
+     * @dev Gets the delay of fee changes
+     * @return delay in seconds
+     */
+    function getFeeDelay() external view returns (uint256);
+
+    /**
+     * @dev Gets the timestamp from which a proposed fee change can be executed
+     * @param changeId, hash of the calldata of the change
+     * @return timestamp, zero if the change is not proposed
+     */
+    function getFeeChangeReadyAt(
+        bytes32 changeId
+    ) external view returns (uint256);
+
     /**
      * @dev Gets initial fee percentage that applies to first buys
+     * @dev Resolves the sub ID fee, then the main ID policy, then the originator policy and then the default fee
      * @param mainId, main identifier of the asset
      * @param subId, property identifier of main asset
      * @return percentage of initial fee with 2 decimals
@@ -149,15 +463,72 @@ interface IFeeManager is GenericErrors {
 
     /**
      * @dev Gets buying fee percentage that applies to all the buys except first one
+     * @dev Asset buying fee resolves the same as {getInitialFee}
+     * @dev Lowest of the asset buying fee, the tier fee of the buyer and the volume band fee of the amount applies
      * @param mainId, main identifier of the asset
      * @param subId, property identifier of main asset
+     * @param buyer, address of the buyer
+     * @param amount, payment amount of the trade in the payment token
      * @return percentage of buying fee with 2 decimals
      */
     function getBuyingFee(
         uint256 mainId,
-        uint256 subId
+        uint256 subId,
+        address buyer,
+        uint256 amount
     ) external view returns (uint256);
 
+    /**
+     * @dev Gets the fee policy of a main ID
+     * @param mainId, main identifier of the asset
+     * @return FeePolicy struct
+     */
+    function getMainIdFeePolicy(
+        uint256 mainId
+    ) external view returns (FeePolicy memory);
+
+    /**
+     * @dev Gets the fee policy of an originating contract
+     * @param originator, address of the asset manager contract
+     * @return FeePolicy struct
+     */
+    function getOriginatorFeePolicy(
+        address originator
+    ) external view returns (FeePolicy memory);
+
+    /**
+     * @dev Gets current asset collection address
+     * @return address, Address of the asset collection contract
+     */
+    function getAssetCollection() external view returns (address);
+
+    /**
+     * @dev Gets the buying fee percentage of a buyer tier
+     * @param tier, identifier of the buyer tier
+     * @return percentage of tier fee with 2 decimals
+     */
+    function getTierFee(uint256 tier) external view returns (uint256);
+
+    /**
+     * @dev Gets the tier of a buyer
+     * @param buyer, address of the buyer
+     * @return identifier of the buyer tier, zero for no tier
+     */
+    function getBuyerTier(address buyer) external view returns (uint256);
+
+    /**
+     * @dev Checks if an address is a registered referrer
+     * @param referrer, address of the referrer
+     * @return bool true if registered
+     */
+    function isReferrer(address referrer) external view returns (bool);
+
+    /**
+     * @dev Gets the volume bands of the buying fee
+     * @return array of volume bands sorted by minimum amount
+     */
+    function getVolumeFeeBands() external view returns (FeeBand[] memory);
+
     /**
      * @dev Gets default buying fee percentage that applies to all first buys
      * @return percentage of buying fee with 2 decimals
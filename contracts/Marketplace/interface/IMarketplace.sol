@@ -1,7 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.17;
 
-import { ListedInfo, IERC20 } from "contracts/lib/structs.sol";
+import { ListedInfo, ListingTerms, OfferInfo, CollectionOfferInfo, SignedListing, PermitInfo } from "contracts/lib/structs.sol";
+import { PaymentTokenInfo, BuyLimits, IERC20 } from "contracts/lib/structs.sol";
 import { GenericErrors } from "contracts/lib/errors.sol";
 
 /**
@@ -47,6 +48,36 @@ interface IMarketplace is GenericErrors {
         ListedInfo listedInfo
     );
 
+    /**
+     * @dev Emitted when an asset is listed with a price decay or an expiry
+     * @param owner, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param listingTerms, price decay and expiry of the listing
+     */
+    event ListingTermsSet(
+        address indexed owner,
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        ListingTerms listingTerms
+    );
+
+    /**
+     * @dev Emitted when the owner of a listing sets the price for an additional payment token
+     * @param owner, address of the asset owner
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param token, address of the payment token
+     * @param price, price per fraction in the payment token, zero if the token is not accepted
+     */
+    event TokenPriceSet(
+        address indexed owner,
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        address token,
+        uint256 price
+    );
+
     /**
      * @dev Emitted when an asset is unlisted
      * @param owner, address of the asset owner
@@ -59,6 +90,119 @@ interface IMarketplace is GenericErrors {
         uint256 indexed subId
     );
 
+    /**
+     * @dev Emitted when a signed offer is filled fully or partially by a holder
+     * @param offerHash, hash of the signed offer
+     * @param owner, address of the holder filling the offer
+     * @param offeror, address of the offeror
+     * @param fractions, number of fractions sold in this fill
+     * @param filledFractions, total number of fractions filled for the offer so far
+     */
+    event OfferFilled(
+        bytes32 indexed offerHash,
+        address indexed owner,
+        address indexed offeror,
+        uint256 fractions,
+        uint256 filledFractions
+    );
+
+    /**
+     * @dev Emitted when a signed listing is bought fully or partially by a buyer
+     * @param listingHash, hash of the signed listing
+     * @param seller, address of the seller
+     * @param buyer, address of the buyer
+     * @param fractions, number of fractions bought in this purchase
+     * @param filledFractions, total number of fractions sold for the listing so far
+     */
+    event SignedListingFilled(
+        bytes32 indexed listingHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256 fractions,
+        uint256 filledFractions
+    );
+
+    /**
+     * @dev Emitted when an offeror cancels a signed offer
+     * @param offeror, address of the offeror
+     * @param offerHash, hash of the cancelled offer
+     */
+    event OfferCancelled(address indexed offeror, bytes32 indexed offerHash);
+
+    /**
+     * @dev Emitted when an offeror increases its nonce to cancel all offers signed with a lower nonce
+     * @param offeror, address of the offeror
+     * @param newNonce, the new current nonce of the offeror
+     */
+    event NonceIncreased(address indexed offeror, uint256 newNonce);
+
+    /**
+     * @dev Emitted when new wrapped native token has been set
+     * @param oldWrappedNative, Address of the old wrapped native token
+     * @param newWrappedNative, Address of the new wrapped native token
+     */
+    event WrappedNativeSet(address oldWrappedNative, address newWrappedNative);
+
+    /**
+     * @dev Emitted when a royalty is paid on a secondary sale
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param receiver, address receiving the royalty
+     * @param token, address of the token used for payment
+     * @param amount, amount of royalty deducted from the seller proceeds
+     */
+    event RoyaltyPaid(
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        address indexed receiver,
+        address token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when the referral share of fees is paid to the referrer of a purchase
+     * @param referrer, address of the referrer receiving the referral fee
+     * @param buyer, address of the referred buyer
+     * @param token, address of the token used for payment
+     * @param amount, amount of referral fee taken from the collected fees
+     */
+    event ReferralFeePaid(
+        address indexed referrer,
+        address indexed buyer,
+        address token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when the escrow mode of payments is enabled or disabled
+     * @param enabled, whether proceeds are escrowed to be withdrawn instead of transferred
+     */
+    event EscrowModeSet(bool enabled);
+
+    /**
+     * @dev Emitted when proceeds of an account are escrowed in the marketplace
+     * @param account, address of the seller, treasury or fee wallet receiving the proceeds
+     * @param token, address of the token of the proceeds
+     * @param amount, amount of escrowed tokens
+     */
+    event PaymentEscrowed(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when an account withdraws its escrowed proceeds
+     * @param account, address of the account withdrawing the proceeds
+     * @param token, address of the withdrawn token
+     * @param amount, amount of withdrawn tokens
+     */
+    event Withdrawn(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
     /**
      * @dev Emitted when new `Fee Manager` has been set
      * @param oldFeeManager, Address of the old fee manager
@@ -66,6 +210,75 @@ interface IMarketplace is GenericErrors {
      */
     event FeeManagerSet(address oldFeeManager, address newFeeManager);
 
+    /**
+     * @dev Emitted when an item of a best-effort batch fails and is skipped
+     * @param caller, address of the caller of the batch
+     * @param index, index of the failed item in the batch
+     * @param selector, selector of the error of the failed item, zero if reverted without data
+     */
+    event BatchItemFailed(
+        address indexed caller,
+        uint256 index,
+        bytes4 selector
+    );
+
+    /**
+     * @dev Emitted when a new batch limit set
+     * @param oldBatchLimit, old maximum number of items in a batch
+     * @param newBatchLimit, new maximum number of items in a batch
+     */
+    event BatchLimitSet(uint256 oldBatchLimit, uint256 newBatchLimit);
+
+    /**
+     * @dev Emitted when the marketplace is paused or unpaused
+     * @param paused, whether trading is halted for all assets
+     */
+    event PausedSet(bool paused);
+
+    /**
+     * @dev Emitted when a main ID is frozen or unfrozen
+     * @param mainId, main identifier of the asset
+     * @param frozen, whether trading is halted for all sub IDs of the main ID
+     */
+    event MainIdFrozenSet(uint256 indexed mainId, bool frozen);
+
+    /**
+     * @dev Emitted when a sub ID is frozen or unfrozen
+     * @param mainId, main identifier of the asset
+     * @param subId, sub identifier of the asset
+     * @param frozen, whether trading is halted for the sub ID
+     */
+    event SubIdFrozenSet(
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        bool frozen
+    );
+
+    /**
+     * @dev Emitted when a payment token is disabled or enabled
+     * @param token, address of the payment token
+     * @param disabled, whether trading is halted in the payment token
+     */
+    event PaymentTokenDisabledSet(address indexed token, bool disabled);
+
+    /**
+     * @dev Emitted when a payment token is allowed or its metadata is updated
+     * @param token, address of the payment token
+     * @param minPrice, minimum price per fraction of listings and offers in the token
+     * @param decimals, number of decimals of the token
+     */
+    event PaymentTokenSet(
+        address indexed token,
+        uint256 minPrice,
+        uint8 decimals
+    );
+
+    /**
+     * @dev Emitted when a payment token is removed from the allowed payment tokens
+     * @param token, address of the payment token
+     */
+    event PaymentTokenRemoved(address indexed token);
+
     /**
      * @dev Reverted on unsupported interface detection
      */
@@ -79,6 +292,26 @@ interface IMarketplace is GenericErrors {
     error InvalidFractionToBuy();
     error NotEnoughListed();
     error AlreadyUnlisted();
+    error InvalidDecayPeriod();
+    error InvalidExpiry();
+    error ListingExpired();
+    error ListingNotFound();
+    error UnsupportedToken();
+    error InvalidValue();
+    error NativeTransferFailed();
+    error InvalidNonce();
+    error NotEnoughOffered();
+    error OfferAlreadyCancelled();
+    error AssetNotOffered();
+    error NothingToWithdraw();
+    error InvalidReferrer();
+    error MaxPriceExceeded();
+    error MaxCostExceeded();
+    error InvalidBatchLimit();
+    error TradingHalted();
+    error PaymentTokenDisabled();
+    error PaymentTokenNotAllowed();
+    error PriceBelowMinimum();
 
     /**
      * @dev Changes owner to buyer
@@ -98,6 +331,49 @@ interface IMarketplace is GenericErrors {
         address owner
     ) external;
 
+    /**
+     * @dev Buys asset from owner reverting if the price or cost exceeds the limits of the buyer
+     * @dev Protects the buyer from a relisting at a higher price or a fee increase before the purchase
+     * @dev Referrer receives the referral share of the collected fees set in the fee manager
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param fractionToBuy, amount of fraction for buying
+     * @param owner, address of the owner of asset
+     * @param maxPricePerFraction, maximum price per fraction
+     * @param maxTotalCost, maximum price and fee paid for all fractions
+     * @param referrer, registered referrer, see {IFeeManager-isReferrer}, not the buyer or owner, zero address for none
+     */
+    function buy(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost,
+        address referrer
+    ) external;
+
+    /**
+     * @dev Buys listed fractions paying with the listing token or any additional token accepted by the owner
+     * @dev Fees are collected in the token used for payment, limits are in the same token
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param fractionToBuy, amount of fraction for buying
+     * @param owner, address of the owner of asset
+     * @param token, address of the token used for payment
+     * @param maxPricePerFraction, maximum price per fraction
+     * @param maxTotalCost, maximum price and fee paid for all fractions
+     */
+    function buyWithToken(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        address token,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost
+    ) external;
+
     /**
      * @dev Batch buy assets from owners
      * @dev Loop through arrays and calls the buy function
@@ -114,7 +390,143 @@ interface IMarketplace is GenericErrors {
     ) external;
 
     /**
-     * @dev List an asset for the current owner
+     * @dev Batch buy assets from owners reverting if the price or cost of any purchase exceeds the limits of the buyer
+     * @dev Prices and costs are in the listing token of each asset
+     * @dev Referrer receives the referral share of the collected fees of every purchase
+     * @param mainIds, arrray of unique identifiers of the assets
+     * @param subIds, array of unique identifiers of the assets
+     * @param fractionsToBuy, amounts of fraction for buying
+     * @param owners, addresses of the owner of asset
+     * @param limits, maximum price per fraction and total cost for each asset, empty for no limits
+     * @param referrer, registered referrer, see {IFeeManager-isReferrer}, not the buyer or owner, zero address for none
+     */
+    function batchBuy(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        BuyLimits[] calldata limits,
+        address referrer
+    ) external;
+
+    /**
+     * @dev Batch buy assets from owners skipping the purchases that fail instead of reverting the batch
+     * @dev Emits {BatchItemFailed} with the error selector of every failed purchase
+     * @param mainIds, arrray of unique identifiers of the assets
+     * @param subIds, array of unique identifiers of the assets
+     * @param fractionsToBuy, amounts of fraction for buying
+     * @param owners, addresses of the owner of asset
+     * @return successes bitmap of the bought items, bit `i` set if item `i` succeeded
+     */
+    function tryBatchBuy(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners
+    ) external returns (uint256 successes);
+
+    /**
+     * @dev Buys up to a quantity of fractions of an asset from the listings of several sellers
+     * @dev Fills the sellers in the given order, expected from the cheapest listing computed off-chain
+     * @dev Skips expired, sold out or underfunded listings, listings above the maximum price
+     * and listings in another token than the first filled listing instead of reverting
+     * @dev Also skips sellers that revoked the approval of the marketplace, frozen assets and disabled tokens
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param quantity, maximum number of fractions to buy
+     * @param maxPrice, maximum price per fraction
+     * @param sellers, addresses of the owners of the listings, up to the batch limit
+     * @return filled number of fractions bought
+     * @return spent price and fee paid in the token of the filled listings
+     */
+    function sweep(
+        uint256 mainId,
+        uint256 subId,
+        uint256 quantity,
+        uint256 maxPrice,
+        address[] calldata sellers
+    ) external returns (uint256 filled, uint256 spent);
+
+    /**
+     * @dev Buys listed fractions approving the payment token with an EIP-2612 permit in the same transaction
+     * @dev Listing should accept the payment token, see {buyWithToken}
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param fractionToBuy, amount of fraction for buying
+     * @param owner, address of the owner of asset
+     * @param maxPricePerFraction, maximum price per fraction
+     * @param maxTotalCost, maximum price and fee paid for all fractions
+     * @param permitInfo, permit of the buyer including token, value covering price and fees, deadline and signature
+     */
+    function buyWithPermit(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost,
+        PermitInfo calldata permitInfo
+    ) external;
+
+    /**
+     * @dev Batch buy assets from owners approving the payment token with an EIP-2612 permit in the same transaction
+     * @dev All listings should accept the payment token, see {buyWithToken}
+     * @param mainIds, arrray of unique identifiers of the assets
+     * @param subIds, array of unique identifiers of the assets
+     * @param fractionsToBuy, amounts of fraction for buying
+     * @param owners, addresses of the owner of asset
+     * @param limits, maximum price per fraction and total cost for each asset, empty for no limits
+     * @param permitInfo, permit of the buyer including token, value covering prices and fees, deadline and signature
+     */
+    function batchBuyWithPermit(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        BuyLimits[] calldata limits,
+        PermitInfo calldata permitInfo
+    ) external;
+
+    /**
+     * @dev Buys listed fractions paying with native currency wrapped into the wrapped native token
+     * @dev Listing should accept the wrapped native token, and the unspent value is refunded to the buyer
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param fractionToBuy, amount of fraction for buying
+     * @param owner, address of the owner of asset
+     * @param maxPricePerFraction, maximum price per fraction
+     * @param maxTotalCost, maximum price and fee paid for all fractions
+     */
+    function buyWithNative(
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        uint256 maxPricePerFraction,
+        uint256 maxTotalCost
+    ) external payable;
+
+    /**
+     * @dev Batch buy assets from owners paying with native currency wrapped into the wrapped native token
+     * @dev Listings should accept the wrapped native token, and the unspent value is refunded to the buyer
+     * @param mainIds, arrray of unique identifiers of the assets
+     * @param subIds, array of unique identifiers of the assets
+     * @param fractionsToBuy, amounts of fraction for buying
+     * @param owners, addresses of the owner of asset
+     * @param limits, maximum price per fraction and total cost for each asset, empty for no limits
+     */
+    function batchBuyWithNative(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners,
+        BuyLimits[] calldata limits
+    ) external payable;
+
+    /**
+     * @dev List an asset for the current owner with a fixed price and no expiry
+     * @dev Listing again resets the prices of additional payment tokens
+     * @dev Listing token should be allowed and the sale price not below its minimum price
      * @param mainId, unique identifiers of the assets
      * @param subId, unique identifier of the asset
      * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
@@ -125,6 +537,45 @@ interface IMarketplace is GenericErrors {
         ListedInfo calldata listedInfo
     ) external;
 
+    /**
+     * @dev List an asset for the current owner with a price decay or an expiry, see {list}
+     * @dev Listing with a non zero decayEndTime creates a dutch listing whose price decays to floorPrice
+     * @dev Listing with a non zero expiresAt can not be bought after that timestamp
+     * @dev Floor price of a dutch listing should not be below the minimum price of the listing token
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
+     * @param listingTerms, price decay and expiry of the listing
+     */
+    function listWithTerms(
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo,
+        ListingTerms calldata listingTerms
+    ) external;
+
+    /**
+     * @dev List an asset for the current owner approving the listed fractions with a DLT permit signature
+     * @dev Permit is signed by the owner for the marketplace as spender and the listed fractions as amount
+     * @dev Permit is skipped if the allowance is already enough, e.g. if the permit is front-run
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
+     * @param deadline, expiration timestamp of the permit
+     * @param v, signature of the permit
+     * @param r, signature of the permit
+     * @param s, signature of the permit
+     */
+    function listWithPermit(
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
     /**
      * @dev Batch list assets for the specified owners
      * @param mainIds, main unique identifier the asset
@@ -137,6 +588,37 @@ interface IMarketplace is GenericErrors {
         ListedInfo[] calldata listedInfos
     ) external;
 
+    /**
+     * @dev Batch list assets skipping the items that fail instead of reverting the batch
+     * @dev Emits {BatchItemFailed} with the error selector of every failed item
+     * @param mainIds, main unique identifier the asset
+     * @param subIds, sub unique identifier of the asset
+     * @param listedInfos, information of listed asset including salePrice, listedFraction, minFraction and token sale
+     * @return successes bitmap of the listed items, bit `i` set if item `i` succeeded
+     */
+    function tryBatchList(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        ListedInfo[] calldata listedInfos
+    ) external returns (uint256 successes);
+
+    /**
+     * @dev Sets the prices per fraction of additional payment tokens for a listing of the current owner
+     * @dev Prices of additional tokens are fixed and apply until the asset is listed again or unlisted
+     * @dev Additional tokens with a non zero price should be allowed and the price not below their minimum price
+     * @dev Number of tokens should be within the batch limit
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     * @param tokens, addresses of the additional payment tokens
+     * @param prices, prices per fraction in each token, zero to stop accepting the token
+     */
+    function setTokenPrices(
+        uint256 mainId,
+        uint256 subId,
+        address[] calldata tokens,
+        uint256[] calldata prices
+    ) external;
+
     /**
      * @dev Unlist an asset for the current owner
      * @param mainId, unique identifiers of the assets
@@ -154,6 +636,18 @@ interface IMarketplace is GenericErrors {
         uint256[] calldata subIds
     ) external;
 
+    /**
+     * @dev Batch unlist assets skipping the items that fail instead of reverting the batch
+     * @dev Emits {BatchItemFailed} with the error selector of every failed item
+     * @param mainIds, main unique identifier the asset
+     * @param subIds, sub unique identifier of the asset
+     * @return successes bitmap of the unlisted items, bit `i` set if item `i` succeeded
+     */
+    function tryBatchUnlist(
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds
+    ) external returns (uint256 successes);
+
     /**
      * @dev Allows to buy asset with a signed message by owner with agreed sale price
      * @param owner, Address of the owner of asset
@@ -171,6 +665,34 @@ interface IMarketplace is GenericErrors {
      * - `v`, `r` and `s` must be a valid `secp256k1` signature from `owner`
      * over the EIP712-formatted function arguments.
      * - the signature must use ``owner``'s current nonce
+     * - the offer must not be filled before, the nonce is not consumed
+     * - `token` must be allowed and `offerPrice` not below its minimum price.
+     */
+    function offer(
+        address owner,
+        address offeror,
+        address token,
+        uint256 offerPrice,
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionsToBuy,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
+    /**
+     * @dev Allows to buy asset with a signed offer on behalf of a referrer
+     * @dev Referrer is not part of the signed offer and receives the referral share of the collected fees
+     * @param owner, Address of the owner of asset
+     * @param offeror, Address of the offeror
+     * @param offerPrice, offered price for buying asset
+     * @param mainId, unique identifiers of the assets
+     * @param subId, asset id to buy
+     * @param fractionsToBuy, amount of fractions o buy from owner
+     * @param deadline, The expiration date of this agreement
+     * @param referrer, registered referrer, see {IFeeManager-isReferrer}, not the offeror or the owner
      */
     function offer(
         address owner,
@@ -183,9 +705,103 @@ interface IMarketplace is GenericErrors {
         uint256 deadline,
         uint8 v,
         bytes32 r,
+        bytes32 s,
+        address referrer
+    ) external;
+
+    /**
+     * @dev Allows a holder to sell fractions to a signed offer that can be filled by multiple holders
+     * @dev Filled fractions are tracked per offer hash up to the maximum fractions of the offer
+     * @param offerInfo, information of the offer including offeror, token, offerPrice, mainId, subId, maxFractions, nonce and deadline
+     * @param fractionsToSell, number of fractions to sell from the caller
+     * Requirements:
+     *
+     * - caller should own `fractionsToSell` of the asset and approve marketplace to transfer them.
+     * - `deadline` must be a timestamp in the future.
+     * - `nonce` must be the current nonce of the offeror.
+     * - `fractionsToSell` must not exceed the unfilled fractions of the offer.
+     * - `v`, `r` and `s` must be a valid `secp256k1` signature from `offeror`
+     * over the EIP712-formatted offer.
+     */
+    function fillOffer(
+        OfferInfo calldata offerInfo,
+        uint256 fractionsToSell,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
+    /**
+     * @dev Allows a holder to sell fractions of any asset matching a signed collection offer
+     * @dev Matches any subId of the offered mainId, or any mainId created by the offered asset manager if set
+     * @dev Asset manager offers match no asset of collections not supporting {IBaseAssetExtension}
+     * @dev Filled fractions are tracked per offer hash across all matching assets
+     * @param offerInfo, information of the offer including offeror, token, offerPrice, mainId, assetManager and maxFractions
+     * @param mainId, unique identifier of the asset to sell
+     * @param subId, unique identifier of the asset to sell
+     * @param fractionsToSell, number of fractions to sell from the caller
+     * Requirements:
+     *
+     * - `mainId` and `subId` must match the collection of the offer.
+     * - same requirements as {fillOffer}.
+     */
+    function fillCollectionOffer(
+        CollectionOfferInfo calldata offerInfo,
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionsToSell,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
+    /**
+     * @dev Allows to buy fractions of an asset from a listing signed by the seller
+     * @dev Sold fractions are tracked per listing hash up to the quantity of the listing
+     * @param listing, information of the listing including seller, mainId, subId, price, quantity, minFraction and token
+     * @param fractionsToBuy, number of fractions to buy from the seller
+     * Requirements:
+     *
+     * - seller should own `fractionsToBuy` of the asset and approve marketplace to transfer them.
+     * - buyer should approve marketplace to transfer its ERC20 tokens to pay price and fees.
+     * - `deadline` must be a timestamp in the future.
+     * - `nonce` must be the current nonce of the seller.
+     * - `fractionsToBuy` must be at least `minFraction` and not exceed the unsold quantity.
+     * - `v`, `r` and `s` must be a valid `secp256k1` signature from `seller`
+     * over the EIP712-formatted listing, using the domain of {DOMAIN_SEPARATOR}.
+     */
+    function buySignedListing(
+        SignedListing calldata listing,
+        uint256 fractionsToBuy,
+        uint8 v,
+        bytes32 r,
         bytes32 s
     ) external;
 
+    /**
+     * @dev Cancels a single signed offer of the caller
+     * @dev Applies to signed offers and signed listings, see {getOfferHash}, {getCollectionOfferHash} and {getListingHash}
+     * @param offerHash, EIP712 struct hash of the offer
+     */
+    function cancelOffer(bytes32 offerHash) external;
+
+    /**
+     * @dev Increments the nonce of the caller to cancel all its offers signed with the current nonce
+     */
+    function incrementNonce() external;
+
+    /**
+     * @dev Sets the nonce of the caller to cancel all its offers signed with a lower nonce
+     * @param nonce, the new nonce of the caller that should be greater than the current one
+     */
+    function cancelAllOffersBefore(uint256 nonce) external;
+
+    /**
+     * @dev Withdraws all escrowed proceeds of the caller in the given token
+     * @param token, address of the token to withdraw
+     */
+    function withdraw(address token) external;
+
     /**
      * @notice Allows to set a new address for the fee manager.
      * @dev Fee manager should support IFeeManager interface
@@ -193,12 +809,165 @@ interface IMarketplace is GenericErrors {
      */
     function setFeeManager(address newFeeManager) external;
 
+    /**
+     * @notice Allows to set the wrapped native token used for native payments, e.g. WETH or WMATIC
+     * @param newWrappedNative, Address of the new wrapped native token, zero to disable native payments
+     */
+    function setWrappedNative(address newWrappedNative) external;
+
+    /**
+     * @notice Allows to enable or disable the escrow mode of payments
+     * @dev In escrow mode proceeds of sellers, treasury and fee wallet accrue in the marketplace
+     * @dev and are claimed with {withdraw}, so a frozen or reverting receiver can not block sales
+     * @param enabled, whether proceeds are escrowed instead of transferred
+     */
+    function setEscrowEnabled(bool enabled) external;
+
+    /**
+     * @notice Allows to set the maximum number of items in a batch, 30 by default
+     * @dev Batch limit can not exceed 256, the size of the success bitmap of best-effort batches
+     * @param newBatchLimit, new maximum number of items in a batch
+     */
+    function setBatchLimit(uint256 newBatchLimit) external;
+
+    /**
+     * @notice Allows to pause or unpause the trading of all assets, e.g. during an incident
+     * @dev Listing, buying and offers revert while paused, unlisting and withdrawals are still allowed
+     * @dev Needs pauser access
+     * @param paused, whether trading is halted for all assets
+     */
+    function setPaused(bool paused) external;
+
+    /**
+     * @notice Allows to freeze or unfreeze the trading of all sub IDs of a main ID, e.g. an invoice in dispute
+     * @dev Needs pauser access
+     * @param mainId, main identifier of the asset
+     * @param frozen, whether trading is halted for the main ID
+     */
+    function setMainIdFrozen(uint256 mainId, bool frozen) external;
+
+    /**
+     * @notice Allows to freeze or unfreeze the trading of a sub ID
+     * @dev Needs pauser access
+     * @param mainId, main identifier of the asset
+     * @param subId, sub identifier of the asset
+     * @param frozen, whether trading is halted for the sub ID
+     */
+    function setSubIdFrozen(
+        uint256 mainId,
+        uint256 subId,
+        bool frozen
+    ) external;
+
+    /**
+     * @notice Allows to disable or enable trading in a payment token, e.g. a depegged or compromised token
+     * @dev Needs pauser access
+     * @param token, address of the payment token
+     * @param disabled, whether trading is halted in the payment token
+     */
+    function setPaymentTokenDisabled(address token, bool disabled) external;
+
+    /**
+     * @notice Allows a payment token for listings and offers or updates its metadata
+     * @dev Needs admin access
+     * @dev Token should implement the decimals of IERC20Metadata, which are stored along with its minimum price
+     * @dev Any token is accepted while no payment token is allowed, the first allowed token enables the allowlist
+     * @param token, address of the payment token
+     * @param minPrice, minimum price per fraction of listings and offers in the token
+     */
+    function setPaymentToken(address token, uint256 minPrice) external;
+
+    /**
+     * @notice Removes a payment token from the allowed payment tokens
+     * @dev Current listings in the token can still be bought, use {setPaymentTokenDisabled} to halt them
+     * @dev Removing the last allowed token accepts any token again
+     * @dev Needs admin access
+     * @param token, address of the payment token
+     */
+    function removePaymentToken(address token) external;
+
     /**
      * @dev Gets current fee manager address
      * @return address, Address of the fee manager contract
      */
     function getFeeManager() external view returns (address);
 
+    /**
+     * @dev Gets current wrapped native token address
+     * @return address, Address of the wrapped native token
+     */
+    function getWrappedNative() external view returns (address);
+
+    /**
+     * @dev Gets whether proceeds are escrowed instead of transferred
+     * @return bool, true if the escrow mode is enabled
+     */
+    function isEscrowEnabled() external view returns (bool);
+
+    /**
+     * @dev Gets the escrowed proceeds of an account that can be withdrawn
+     * @param account, address of the account
+     * @param token, address of the token
+     * @return uint256, amount of escrowed tokens
+     */
+    function getEscrowBalance(
+        address account,
+        address token
+    ) external view returns (uint256);
+
+    /**
+     * @dev Gets the maximum number of items in a batch
+     * @return uint256, maximum number of items in a batch
+     */
+    function getBatchLimit() external view returns (uint256);
+
+    /**
+     * @dev Gets whether trading is halted for all assets
+     * @return bool, true if the marketplace is paused
+     */
+    function isPaused() external view returns (bool);
+
+    /**
+     * @dev Gets whether trading of an asset is halted by freezing its main ID or sub ID
+     * @param mainId, main identifier of the asset
+     * @param subId, sub identifier of the asset
+     * @return bool, true if the main ID or the sub ID is frozen
+     */
+    function isFrozen(
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (bool);
+
+    /**
+     * @dev Gets whether trading in a payment token is halted
+     * @param token, address of the payment token
+     * @return bool, true if the payment token is disabled
+     */
+    function isPaymentTokenDisabled(address token) external view returns (bool);
+
+    /**
+     * @dev Gets the payment tokens allowed for listings and offers
+     * @return address[], addresses of the allowed payment tokens
+     */
+    function getPaymentTokens() external view returns (address[] memory);
+
+    /**
+     * @dev Gets the metadata of an allowed payment token
+     * @param token, address of the payment token
+     * @return PaymentTokenInfo, minimum price per fraction and decimals of the token
+     */
+    function getPaymentTokenInfo(
+        address token
+    ) external view returns (PaymentTokenInfo memory);
+
+    /**
+     * @dev Gets whether a payment token is allowed for listings and offers
+     * @dev Any token is allowed while no payment token is allowed yet
+     * @param token, address of the payment token
+     * @return bool, true if the payment token is allowed or the allowlist is empty
+     */
+    function isPaymentTokenAllowed(address token) external view returns (bool);
+
     /**
      * @dev Gets current asset collection address
      * @return address, Address of the invocie collection contract
@@ -209,11 +978,54 @@ interface IMarketplace is GenericErrors {
      * @dev Returns the current nonce for `owner`. This value must be
      * included whenever a signature is generated for {offer}.
      *
-     * Every successful call to {offer} increases ``owner``'s nonce by one. This
-     * prevents a signature from being used multiple times
+     * The nonce is shared by all signed offers and listings of ``owner``, and
+     * filling them does not change it. Their filled fractions are tracked by
+     * hash instead, which prevents a signature from being used multiple times.
+     * Owner can increase its nonce by {incrementNonce} and {cancelAllOffersBefore}
+     * to cancel all of its outstanding signatures at once
      */
     function getNonce(address owner) external view returns (uint256);
 
+    /**
+     * @dev Gets the number of fractions filled for a signed offer
+     * @param offerHash, hash of the signed offer, see {getOfferHash}
+     * @return uint256, number of filled fractions
+     */
+    function getFilledFractions(
+        bytes32 offerHash
+    ) external view returns (uint256);
+
+    /**
+     * @dev Checks whether an offer is cancelled by its offeror
+     * @param offeror, address of the offeror
+     * @param offerHash, EIP712 struct hash of the offer
+     * @return bool, true if the offer is cancelled
+     */
+    function isOfferCancelled(
+        address offeror,
+        bytes32 offerHash
+    ) external view returns (bool);
+
+    /**
+     * @dev Checks whether a partially fillable offer can still be filled
+     * @dev The offer should not be expired, cancelled or fully filled and its nonce should be current
+     * @param offerInfo, information of the offer
+     * @return bool, true if the offer is executable
+     */
+    function isOfferExecutable(
+        OfferInfo calldata offerInfo
+    ) external view returns (bool);
+
+    /**
+     * @dev Checks whether a collection offer can still be filled
+     * @dev The offer should not be expired, cancelled or fully filled and its nonce should be current
+     * @param offerInfo, information of the collection offer
+     * @return bool, true if the offer is executable
+     */
+    function isCollectionOfferExecutable(
+        CollectionOfferInfo calldata offerInfo
+    ) external view returns (bool);
+
     /**
      * @dev Gets the domain separator used in the encoding of the signature for {offer}, as defined by {EIP712}.
      * @return bytes32 of the domain separator
@@ -221,8 +1033,53 @@ interface IMarketplace is GenericErrors {
     // solhint-disable-next-line func-name-mixedcase
     function DOMAIN_SEPARATOR() external view returns (bytes32);
 
+    /**
+     * @dev Gets the current sale price per fraction of a listing
+     * @dev Price of a dutch listing decays linearly from salePrice to floorPrice between decayStartTime and decayEndTime
+     * @param owner, address of the owner
+     * @param mainId, unique identifier of asset
+     * @param subId, unique identifier of asset
+     * @return current sale price per fraction
+     */
+    function getSalePrice(
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (uint256);
+
+    /**
+     * @dev Gets the price per fraction of a listing in a payment token
+     * @param owner, address of the owner
+     * @param mainId, unique identifier of asset
+     * @param subId, unique identifier of asset
+     * @param token, address of the payment token
+     * @return uint256, price per fraction in the token, zero if the token is not accepted
+     */
+    function getTokenPrice(
+        address owner,
+        uint256 mainId,
+        uint256 subId,
+        address token
+    ) external view returns (uint256);
+
+    /**
+     * @dev Gets the number of listed fractions that can currently be bought
+     * @dev Accounts for the live balance and approval of the owner, the expiry and the minimum fraction of the listing
+     * @dev Zero while trading of the asset or in the listing token is halted
+     * @param owner, address of the owner
+     * @param mainId, unique identifier of asset
+     * @param subId, unique identifier of asset
+     * @return uint256, the fillable fractions, zero if the listing can not be bought
+     */
+    function getFillableFractions(
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (uint256);
+
     /**
      * @dev Gets the asset information
+     * @dev Expired listings are reported as inactive with zero listed fractions
      * @param owner, address of the owner
      * @param assetMainId, unique identifier of asset
      * @param assetSubId, unique identifier of asset
@@ -233,4 +1090,44 @@ interface IMarketplace is GenericErrors {
         uint256 assetMainId,
         uint256 assetSubId
     ) external view returns (ListedInfo memory);
+
+    /**
+     * @dev Gets the price decay and expiry of a listing
+     * @param owner, address of the owner
+     * @param mainId, unique identifier of asset
+     * @param subId, unique identifier of asset
+     * @return ListingTerms struct, all zero for fixed price listings without expiry
+     */
+    function getListingTerms(
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) external view returns (ListingTerms memory);
+
+    /**
+     * @dev Gets the hash of a signed offer used to track its filled fractions
+     * @param offerInfo, information of the offer
+     * @return bytes32, EIP712 struct hash of the offer
+     */
+    function getOfferHash(
+        OfferInfo calldata offerInfo
+    ) external pure returns (bytes32);
+
+    /**
+     * @dev Gets the hash of a signed collection offer used to track its filled fractions
+     * @param offerInfo, information of the collection offer
+     * @return bytes32, EIP712 struct hash of the offer
+     */
+    function getCollectionOfferHash(
+        CollectionOfferInfo calldata offerInfo
+    ) external pure returns (bytes32);
+
+    /**
+     * @dev Gets the hash of a signed listing used to track its sold fractions
+     * @param listing, information of the signed listing
+     * @return bytes32, EIP712 struct hash of the listing
+     */
+    function getListingHash(
+        SignedListing calldata listing
+    ) external pure returns (bytes32);
 }
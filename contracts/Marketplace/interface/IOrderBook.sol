@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { BidInfo, IERC20 } from "contracts/lib/structs.sol";
+import { ITradingVenue } from "contracts/Marketplace/interface/ITradingVenue.sol";
+
+/**
+ * @title The main interface to define the order book of standing bids
+ * @author Polytrade.Finance
+ * @dev Collection of all procedures related to the order book
+ */
+
+interface IOrderBook is ITradingVenue {
+    /**
+     * @dev Emitted when a bid is placed
+     * @param bidId, unique identifier of the bid
+     * @param bidder, address of the bidder
+     * @param bidInfo, information of bid including mainId, subId, bidPrice, fractions, feeEscrow, expiresAt and token
+     */
+    event BidPlaced(
+        uint256 indexed bidId,
+        address indexed bidder,
+        BidInfo bidInfo
+    );
+
+    /**
+     * @dev Emitted when a bid is filled fully or partially by a holder
+     * @param bidId, unique identifier of the bid
+     * @param seller, address of the holder filling the bid
+     * @param bidder, address of the bidder
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifiers of the asset
+     * @param bidPrice, price per fraction
+     * @param payPrice, the price of the filled fractions before the seller fee and royalty
+     * @param fractions, number of filled fractions
+     * @param token, address of the token used for payment
+     */
+    event BidAccepted(
+        uint256 indexed bidId,
+        address indexed seller,
+        address indexed bidder,
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice,
+        uint256 payPrice,
+        uint256 fractions,
+        address token
+    );
+
+    /**
+     * @dev Emitted when a bid is cancelled and its remaining escrow is refunded to the bidder
+     * @param bidId, unique identifier of the bid
+     * @param bidder, address of the bidder
+     * @param refund, amount escrowed for the bidder
+     */
+    event BidCancelled(
+        uint256 indexed bidId,
+        address indexed bidder,
+        uint256 refund
+    );
+
+    error InvalidExpiry();
+    error InvalidBidder();
+    error BidNotFound();
+    error BidExpired();
+
+    /**
+     * @dev Places a standing bid for fractions of an asset
+     * @dev Escrows the price of all fractions plus the highest of initial and buying fees
+     * @dev Bidder should have approved the order book to transfer its ERC20 tokens
+     * @dev Reverts if trading of the asset or the token is halted on the marketplace
+     * @dev Token should be allowed on the marketplace and the bid price above its minimum price
+     * @param mainId, unique identifiers of the assets
+     * @param subId, unique identifier of the asset
+     * @param bidPrice, offered price per fraction
+     * @param fractions, number of fractions to buy
+     * @param expiresAt, timestamp after which the bid can not be accepted
+     * @param token, address of token used for payment
+     * @return bidId, unique identifier of the bid
+     */
+    function placeBid(
+        uint256 mainId,
+        uint256 subId,
+        uint256 bidPrice,
+        uint256 fractions,
+        uint256 expiresAt,
+        address token
+    ) external returns (uint256);
+
+    /**
+     * @dev Fills a bid fully or partially by selling fractions of the current owner
+     * @dev Settles the sale like the marketplace from the bid escrow, escrowing the fees, royalty and proceeds
+     * of the seller to be withdrawn
+     * @dev Fee is capped to the fee escrowed for the filled fractions, the unused fee escrow is refunded to the bidder
+     * @dev Owner should have approved the order book to transfer its assets
+     * @dev Reverts if trading of the asset or the token is halted on the marketplace
+     * @param bidId, unique identifier of the bid
+     * @param fractions, number of fractions to sell
+     */
+    function acceptBid(uint256 bidId, uint256 fractions) external;
+
+    /**
+     * @dev Cancels a bid and escrows the remaining bid escrow to be withdrawn by the bidder
+     * @dev Only bidder can cancel an active bid, anyone can cancel an expired one
+     * @param bidId, unique identifier of the bid
+     */
+    function cancelBid(uint256 bidId) external;
+
+    /**
+     * @dev Gets the identifier that will be assigned to the next bid
+     * @return uint256, identifier of the next bid
+     */
+    function getNextBidId() external view returns (uint256);
+
+    /**
+     * @dev Gets the bid information
+     * @param bidId, unique identifier of the bid
+     * @return BidInfo struct
+     */
+    function getBidInfo(uint256 bidId) external view returns (BidInfo memory);
+}
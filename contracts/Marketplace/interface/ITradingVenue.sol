@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { GenericErrors } from "contracts/lib/errors.sol";
+
+/**
+ * @title The shared interface of the trading venues settled like the marketplace
+ * @author Polytrade.Finance
+ * @dev Collection of the escrow, settlement and marketplace procedures shared by the english auction and the order book
+ */
+
+interface ITradingVenue is GenericErrors {
+    /**
+     * @dev Emitted on settlement of a sale, see {IMarketplace-AssetBought}
+     */
+    event AssetBought(
+        address indexed oldOwner,
+        address indexed newOwner,
+        uint256 mainId,
+        uint256 subId,
+        uint256 salePrice,
+        uint256 payPrice,
+        uint256 fractions,
+        address token
+    );
+
+    /**
+     * @dev Emitted on settlement of a sale, see {IMarketplace-RoyaltyPaid}
+     */
+    event RoyaltyPaid(
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        address indexed receiver,
+        address token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when a refund or proceeds of an account are escrowed in the venue
+     * @param account, address of the bidder, seller, royalty receiver or fee wallet receiving the amount
+     * @param token, address of the escrowed token
+     * @param amount, amount of escrowed tokens
+     */
+    event PaymentEscrowed(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when an account withdraws its escrowed tokens
+     * @param account, address of the account withdrawing the tokens
+     * @param token, address of the withdrawn token
+     * @param amount, amount of withdrawn tokens
+     */
+    event Withdrawn(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when new `Fee Manager` has been set
+     * @param oldFeeManager, Address of the old fee manager
+     * @param newFeeManager, Address of the new fee manager
+     */
+    event FeeManagerSet(address oldFeeManager, address newFeeManager);
+
+    /**
+     * @dev Emitted when new `Marketplace` has been set
+     * @param oldMarketplace, Address of the old marketplace
+     * @param newMarketplace, Address of the new marketplace
+     */
+    event MarketplaceSet(address oldMarketplace, address newMarketplace);
+
+    /**
+     * @dev Reverted on unsupported interface detection
+     */
+    error UnsupportedInterface();
+
+    /**
+     * @dev Reverted when the marketplace paused trading, froze the asset or disabled the payment token
+     */
+    error TradingHalted();
+    error PaymentTokenDisabled();
+
+    /**
+     * @dev Reverted when the payment token is not allowed on the marketplace or the price is below its minimum
+     */
+    error PaymentTokenNotAllowed();
+    error PriceBelowMinimum();
+
+    error NothingToWithdraw();
+
+    /**
+     * @dev Withdraws all escrowed refunds and proceeds of the caller in the given token
+     * @param token, address of the token to withdraw
+     */
+    function withdraw(address token) external;
+
+    /**
+     * @notice Allows to set a new address for the fee manager.
+     * @dev Fee manager should support IFeeManager interface
+     * @param newFeeManager, Address of the new fee manager
+     */
+    function setFeeManager(address newFeeManager) external;
+
+    /**
+     * @notice Allows to set the marketplace whose trading halts apply to the venue
+     * @dev Marketplace should support IMarketplace interface
+     * @param newMarketplace, Address of the new marketplace
+     */
+    function setMarketplace(address newMarketplace) external;
+
+    /**
+     * @dev Gets current fee manager address
+     * @return address, Address of the fee manager contract
+     */
+    function getFeeManager() external view returns (address);
+
+    /**
+     * @dev Gets current marketplace address
+     * @return address, Address of the marketplace contract, zero if not set
+     */
+    function getMarketplace() external view returns (address);
+
+    /**
+     * @dev Gets current asset collection address
+     * @return address, Address of the asset collection contract
+     */
+    function getAssetCollection() external view returns (address);
+
+    /**
+     * @dev Gets the escrowed refunds and proceeds of an account that can be withdrawn
+     * @param account, address of the account
+     * @param token, address of the token
+     * @return uint256, amount of escrowed tokens
+     */
+    function getEscrowBalance(
+        address account,
+        address token
+    ) external view returns (uint256);
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title The interface of the wrapped native currency such as WETH or WMATIC
+ * @author Polytrade.Finance
+ */
+interface IWrappedNative is IERC20 {
+    /**
+     * @dev Wraps the sent native currency into the same amount of tokens
+     */
+    function deposit() external payable;
+
+    /**
+     * @dev Unwraps tokens of the caller and sends back the native currency
+     * @param amount, amount of tokens to unwrap
+     */
+    function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { ERC20Permit, ERC20 } from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title The test ERC20 supporting EIP-2612 permit
+ * @author Polytrade.Finance
+ */
+contract MockERC20Permit is ERC20Permit {
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        address receiver_,
+        uint256 totalSupply_
+    ) ERC20(name_, symbol_) ERC20Permit(name_) {
+        _mint(receiver_, totalSupply_ * (10 ** decimals()));
+    }
+}
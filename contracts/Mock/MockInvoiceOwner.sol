@@ -10,13 +10,8 @@ contract MockInvoiceOwner {
         _marketplace = IMarketplace(marketplace_);
     }
 
-    function list(uint256 mainId) external {
-        ListedInfo memory _listedInfo = ListedInfo(
-            1,
-            1000,
-            1,
-            IERC20(msg.sender)
-        );
+    function list(uint256 mainId, address token) external {
+        ListedInfo memory _listedInfo = ListedInfo(1, 1000, 1, IERC20(token));
 
         _marketplace.list(mainId, 0, _listedInfo);
     }
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { IERC165 } from "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import { BaseAsset, IBaseAsset } from "contracts/Asset/BaseAsset.sol";
+
+/**
+ * @title The test asset collection supporting only the interfaces of its first deployment
+ * @author Polytrade.Finance
+ */
+contract MockLegacyAsset is
+    BaseAsset(
+        "Polytrade Asset Collection",
+        "PAC",
+        "2.3",
+        "https://ipfs.io/ipfs"
+    )
+{
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public pure override returns (bool) {
+        return
+            interfaceId == type(IBaseAsset).interfaceId ||
+            interfaceId == type(IERC165).interfaceId;
+    }
+}
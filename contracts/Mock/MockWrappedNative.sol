@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title The test wrapped native currency
+ * @author Polytrade.Finance
+ */
+contract MockWrappedNative is ERC20 {
+    // solhint-disable-next-line no-empty-blocks
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+
+    function deposit() external payable {
+        _mint(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = msg.sender.call{ value: amount }("");
+        require(success, "MockWrappedNative: transfer failed");
+    }
+}
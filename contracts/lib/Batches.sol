@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import { IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { GenericErrors } from "contracts/lib/errors.sol";
+import { ListedInfo } from "contracts/lib/structs.sol";
+
+/**
+ * @title Best-effort batches of the marketplace
+ * @author Polytrade.Finance
+ * @dev Calls the marketplace for every item of a batch, skipping the failing items instead of reverting the batch
+ */
+library Batches {
+    /**
+     * @dev See {IMarketplace-BatchItemFailed}.
+     */
+    event BatchItemFailed(
+        address indexed caller,
+        uint256 index,
+        bytes4 selector
+    );
+
+    /**
+     * @dev Lists every item of a batch on behalf of the caller, see {IMarketplace-tryBatchList}
+     * @param batchLimit, maximum number of items in a batch
+     * @param mainIds, unique identifiers of the assets
+     * @param subIds, unique identifiers of the assets
+     * @param listedInfos, information of the listings
+     * @return successes bitmap of the listed items, bit `i` set if item `i` succeeded
+     */
+    function tryBatchList(
+        uint256 batchLimit,
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        ListedInfo[] calldata listedInfos
+    ) external returns (uint256 successes) {
+        uint256 length = subIds.length;
+        _validateBatchLength(batchLimit, length);
+
+        if (mainIds.length != length || length != listedInfos.length) {
+            revert GenericErrors.NoArrayParity();
+        }
+        for (uint256 i = 0; i < length; ) {
+            successes |= _tryCall(
+                i,
+                abi.encodeCall(
+                    IMarketplace.list,
+                    (mainIds[i], subIds[i], listedInfos[i])
+                )
+            );
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Unlists every item of a batch on behalf of the caller, see {IMarketplace-tryBatchUnlist}
+     * @param batchLimit, maximum number of items in a batch
+     * @param mainIds, unique identifiers of the assets
+     * @param subIds, unique identifiers of the assets
+     * @return successes bitmap of the unlisted items, bit `i` set if item `i` succeeded
+     */
+    function tryBatchUnlist(
+        uint256 batchLimit,
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds
+    ) external returns (uint256 successes) {
+        uint256 length = subIds.length;
+        _validateBatchLength(batchLimit, length);
+
+        if (mainIds.length != length) {
+            revert GenericErrors.NoArrayParity();
+        }
+        for (uint256 i = 0; i < length; ) {
+            successes |= _tryCall(
+                i,
+                abi.encodeCall(IMarketplace.unlist, (mainIds[i], subIds[i]))
+            );
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Buys every item of a batch on behalf of the caller, see {IMarketplace-tryBatchBuy}
+     * @param batchLimit, maximum number of items in a batch
+     * @param mainIds, unique identifiers of the assets
+     * @param subIds, unique identifiers of the assets
+     * @param fractionsToBuy, amounts of fraction for buying
+     * @param owners, addresses of the owner of asset
+     * @return successes bitmap of the bought items, bit `i` set if item `i` succeeded
+     */
+    function tryBatchBuy(
+        uint256 batchLimit,
+        uint256[] calldata mainIds,
+        uint256[] calldata subIds,
+        uint256[] calldata fractionsToBuy,
+        address[] calldata owners
+    ) external returns (uint256 successes) {
+        uint256 length = subIds.length;
+        _validateBatchLength(batchLimit, length);
+
+        if (
+            mainIds.length != length ||
+            length != fractionsToBuy.length ||
+            length != owners.length
+        ) {
+            revert GenericErrors.NoArrayParity();
+        }
+        for (uint256 i = 0; i < length; ) {
+            successes |= _tryCall(
+                i,
+                abi.encodeCall(
+                    IMarketplace.buyWithToken,
+                    (
+                        mainIds[i],
+                        subIds[i],
+                        fractionsToBuy[i],
+                        owners[i],
+                        address(0),
+                        type(uint256).max,
+                        type(uint256).max
+                    )
+                )
+            );
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Calls a function of the marketplace on behalf of the caller without reverting the batch on failure
+     * @dev Delegate call to the marketplace itself keeps the caller as message sender
+     * @dev Emits the selector of the error of a failed call, zero if the call reverted without data
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     * @param index, index of the call in the batch
+     * @param data, encoded call of the marketplace function
+     * @return bit of the call in the success bitmap of the batch, zero on failure
+     */
+    function _tryCall(
+        uint256 index,
+        bytes memory data
+    ) private returns (uint256) {
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, bytes memory result) = address(this).delegatecall(data);
+        if (success) {
+            return 1 << index;
+        }
+
+        // Revert data shorter than 4 bytes is right-padded with zeros, no data gives a zero selector
+        emit BatchItemFailed(msg.sender, index, bytes4(result));
+        return 0;
+    }
+
+    /**
+     * @dev Validates the number of items of a batch to be within the batch limit
+     * @param batchLimit, maximum number of items in a batch
+     * @param length, number of items in the batch
+     */
+    function _validateBatchLength(
+        uint256 batchLimit,
+        uint256 length
+    ) private pure {
+        if (length > batchLimit) {
+            revert GenericErrors.BatchLimitExceeded();
+        }
+    }
+}
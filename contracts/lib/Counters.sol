@@ -21,6 +21,17 @@ library Counters {
         counter.currentNonce[owner]++;
     }
 
+    /**
+     * @dev Sets the current value to `newNonce`
+     */
+    function set(
+        Counter storage counter,
+        address owner,
+        uint256 newNonce
+    ) internal {
+        counter.currentNonce[owner] = newNonce;
+    }
+
     /**
      * @dev "Consume a nonce": return the current value and increment
      */
@@ -0,0 +1,726 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import { IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { GenericErrors } from "contracts/lib/errors.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import { ListedInfo, ListingTerms, PaymentTokenInfo, PaymentTokenAllowlist, TradingHalts } from "contracts/lib/structs.sol";
+
+/**
+ * @title Listings of the marketplace
+ * @author Polytrade.Finance
+ * @dev Validates, stores and takes the listings of owners and the prices of their additional payment tokens
+ * @dev Manages the payment tokens allowed for listings and offers
+ */
+library Listings {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /**
+     * @dev See {IMarketplace-AssetListed}.
+     */
+    event AssetListed(
+        address indexed owner,
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        ListedInfo listedInfo
+    );
+
+    /**
+     * @dev See {IMarketplace-ListingTermsSet}.
+     */
+    event ListingTermsSet(
+        address indexed owner,
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        ListingTerms listingTerms
+    );
+
+    /**
+     * @dev See {IMarketplace-AssetUnlisted}.
+     */
+    event AssetUnlisted(
+        address indexed owner,
+        uint256 indexed mainId,
+        uint256 indexed subId
+    );
+
+    /**
+     * @dev See {IMarketplace-TokenPriceSet}.
+     */
+    event TokenPriceSet(
+        address indexed owner,
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        address token,
+        uint256 price
+    );
+
+    /**
+     * @dev See {IMarketplace-PaymentTokenSet}.
+     */
+    event PaymentTokenSet(
+        address indexed token,
+        uint256 minPrice,
+        uint8 decimals
+    );
+
+    /**
+     * @dev See {IMarketplace-PaymentTokenRemoved}.
+     */
+    event PaymentTokenRemoved(address indexed token);
+
+    /**
+     * @dev Lists fractions of the caller replacing its current listing
+     * @dev Checks and validate listed fraction to be greater than min fraction
+     * @dev Validates if listed fractions is less than owner current balance
+     * @dev Validates the token of sale to be allowed and the lowest price of the listing to be above its minimum price
+     * @dev Validates the trading of the asset in the token of sale not to be halted
+     * @param listedInfos, listings of the marketplace
+     * @param listingTerms, price decays and expiries of the listings of the marketplace
+     * @param listingNonces, listing nonces of the marketplace
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param tradingHalts, trading halts of the marketplace
+     * @param assetCollection, address of the asset collection
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param listedInfo, information of listed asset including salePrice, listedFraction, minFraction and token of sale
+     * @param terms, price decay and expiry of the listing, all zero for a fixed price listing without expiry
+     */
+    function list(
+        mapping(uint256 => mapping(uint256 => mapping(address => ListedInfo)))
+            storage listedInfos,
+        mapping(uint256 => mapping(uint256 => mapping(address => ListingTerms)))
+            storage listingTerms,
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        PaymentTokenAllowlist storage allowlist,
+        TradingHalts storage tradingHalts,
+        IBaseAsset assetCollection,
+        uint256 mainId,
+        uint256 subId,
+        ListedInfo calldata listedInfo,
+        ListingTerms memory terms
+    ) external {
+        validateTrading(tradingHalts, mainId, subId, address(listedInfo.token));
+        if (address(listedInfo.token) == address(0)) {
+            revert GenericErrors.InvalidAddress();
+        }
+        if (listedInfo.minFraction == 0) {
+            revert IMarketplace.InvalidMinFraction();
+        }
+        if (listedInfo.listedFractions < listedInfo.minFraction) {
+            revert IMarketplace.InvalidFractionToList();
+        }
+        _validatePrice(allowlist, listedInfo, terms);
+        _validateExpiry(terms.expiresAt);
+
+        uint256 subBalanceOf = assetCollection.subBalanceOf(
+            msg.sender,
+            mainId,
+            subId
+        );
+        if (subBalanceOf < listedInfo.listedFractions) {
+            revert GenericErrors.NotEnoughBalance();
+        }
+
+        listedInfos[mainId][subId][msg.sender] = listedInfo;
+        listingTerms[mainId][subId][msg.sender] = terms;
+        ++listingNonces[mainId][subId][msg.sender];
+
+        emit AssetListed(msg.sender, mainId, subId, listedInfo);
+        if (terms.decayEndTime != 0 || terms.expiresAt != 0) {
+            emit ListingTermsSet(msg.sender, mainId, subId, terms);
+        }
+    }
+
+    /**
+     * @dev Approves the marketplace to transfer the fractions of the caller with a permit signature
+     * @dev Permit is skipped if the allowance is already enough, e.g. if the permit is front-run
+     * @param assetCollection, address of the asset collection
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param amount, number of fractions to approve
+     * @param deadline, timestamp after which the signature can not be used
+     */
+    function permit(
+        IBaseAsset assetCollection,
+        uint256 mainId,
+        uint256 subId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        if (
+            assetCollection.allowance(
+                msg.sender,
+                address(this),
+                mainId,
+                subId
+            ) < amount
+        ) {
+            assetCollection.permit(
+                msg.sender,
+                address(this),
+                mainId,
+                subId,
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            );
+        }
+    }
+
+    /**
+     * @dev Unlists the fractions of the caller and drops the prices of its additional payment tokens
+     * @param listedInfos, listings of the marketplace
+     * @param listingTerms, price decays and expiries of the listings of the marketplace
+     * @param listingNonces, listing nonces of the marketplace
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     */
+    function unlist(
+        mapping(uint256 => mapping(uint256 => mapping(address => ListedInfo)))
+            storage listedInfos,
+        mapping(uint256 => mapping(uint256 => mapping(address => ListingTerms)))
+            storage listingTerms,
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        uint256 mainId,
+        uint256 subId
+    ) external {
+        if (listedInfos[mainId][subId][msg.sender].listedFractions == 0) {
+            revert IMarketplace.AlreadyUnlisted();
+        }
+
+        delete listedInfos[mainId][subId][msg.sender];
+        delete listingTerms[mainId][subId][msg.sender];
+        ++listingNonces[mainId][subId][msg.sender];
+
+        emit AssetUnlisted(msg.sender, mainId, subId);
+    }
+
+    /**
+     * @dev Sets the prices per fraction of additional payment tokens for the current listing of the caller
+     * @param listedInfos, listings of the marketplace
+     * @param listingNonces, listing nonces of the marketplace
+     * @param tokenPrices, prices of additional payment tokens of the listings of the marketplace
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param batchLimit, maximum number of tokens set at once
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param tokens, addresses of the additional payment tokens
+     * @param prices, prices per fraction in each token, zero to stop accepting the token
+     */
+    function setTokenPrices(
+        mapping(uint256 => mapping(uint256 => mapping(address => ListedInfo)))
+            storage listedInfos,
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        mapping(bytes32 => mapping(address => uint256)) storage tokenPrices,
+        PaymentTokenAllowlist storage allowlist,
+        uint256 batchLimit,
+        uint256 mainId,
+        uint256 subId,
+        address[] calldata tokens,
+        uint256[] calldata prices
+    ) external {
+        uint256 length = tokens.length;
+        if (length > batchLimit) {
+            revert GenericErrors.BatchLimitExceeded();
+        }
+        if (length != prices.length) {
+            revert GenericErrors.NoArrayParity();
+        }
+
+        ListedInfo storage listedInfo = listedInfos[mainId][subId][msg.sender];
+        if (listedInfo.listedFractions == 0) {
+            revert IMarketplace.ListingNotFound();
+        }
+
+        mapping(address => uint256) storage listingPrices = tokenPrices[
+            getListingKey(listingNonces, mainId, subId, msg.sender)
+        ];
+        for (uint256 i = 0; i < length; ) {
+            if (
+                tokens[i] == address(0) ||
+                tokens[i] == address(listedInfo.token)
+            ) {
+                revert GenericErrors.InvalidAddress();
+            }
+            if (prices[i] != 0) {
+                validatePaymentToken(allowlist, tokens[i], prices[i]);
+            }
+
+            listingPrices[tokens[i]] = prices[i];
+            emit TokenPriceSet(msg.sender, mainId, subId, tokens[i], prices[i]);
+
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Takes fractions of the listing of an owner for a purchase, reducing or removing the listing
+     * @dev Validates the listing not to be expired and the fractions to be within the listing and the owner balance
+     * @param listedInfos, listings of the marketplace
+     * @param listingTerms, price decays and expiries of the listings of the marketplace
+     * @param listingNonces, listing nonces of the marketplace
+     * @param tokenPrices, prices of additional payment tokens of the listings of the marketplace
+     * @param assetCollection, address of the asset collection
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param fractionToBuy, number of fractions to buy from owner address
+     * @param owner, address of owner of the listing
+     * @param paymentToken, address of token used for payment, zero address for the listing token
+     * @return token used for payment
+     * @return price per fraction in the payment token
+     */
+    function take(
+        mapping(uint256 => mapping(uint256 => mapping(address => ListedInfo)))
+            storage listedInfos,
+        mapping(uint256 => mapping(uint256 => mapping(address => ListingTerms)))
+            storage listingTerms,
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        mapping(bytes32 => mapping(address => uint256)) storage tokenPrices,
+        IBaseAsset assetCollection,
+        uint256 mainId,
+        uint256 subId,
+        uint256 fractionToBuy,
+        address owner,
+        address paymentToken
+    ) external returns (IERC20 token, uint256 price) {
+        ListedInfo memory listedInfo = listedInfos[mainId][subId][owner];
+        ListingTerms memory terms = listingTerms[mainId][subId][owner];
+        if (isExpired(terms)) {
+            revert IMarketplace.ListingExpired();
+        }
+        if (fractionToBuy < listedInfo.minFraction) {
+            revert IMarketplace.InvalidFractionToBuy();
+        }
+        if (listedInfo.listedFractions < fractionToBuy) {
+            revert IMarketplace.NotEnoughListed();
+        }
+        if (
+            fractionToBuy > assetCollection.subBalanceOf(owner, mainId, subId)
+        ) {
+            revert GenericErrors.NotEnoughBalance();
+        }
+
+        (token, price) = _getPaymentPrice(
+            tokenPrices,
+            listingNonces,
+            mainId,
+            subId,
+            owner,
+            paymentToken,
+            listedInfo,
+            terms
+        );
+        if (listedInfo.listedFractions == fractionToBuy) {
+            delete listedInfos[mainId][subId][owner];
+            delete listingTerms[mainId][subId][owner];
+        } else {
+            listedInfos[mainId][subId][owner].listedFractions =
+                listedInfo.listedFractions -
+                fractionToBuy;
+        }
+    }
+
+    /**
+     * @dev Allows a payment token or updates its metadata
+     * @dev Decimals are read from the token
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param token, address of the payment token
+     * @param minPrice, minimum price per fraction of listings and offers in the token
+     */
+    function setPaymentToken(
+        PaymentTokenAllowlist storage allowlist,
+        address token,
+        uint256 minPrice
+    ) external {
+        if (token == address(0)) {
+            revert GenericErrors.InvalidAddress();
+        }
+        uint8 decimals = IERC20Metadata(token).decimals();
+
+        allowlist.tokens.add(token);
+        allowlist.infos[token] = PaymentTokenInfo(minPrice, decimals);
+
+        emit PaymentTokenSet(token, minPrice, decimals);
+    }
+
+    /**
+     * @dev Removes a payment token from the allowed payment tokens
+     * @dev Current listings in the token can still be bought
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param token, address of the payment token
+     */
+    function removePaymentToken(
+        PaymentTokenAllowlist storage allowlist,
+        address token
+    ) external {
+        if (!allowlist.tokens.remove(token)) {
+            revert IMarketplace.PaymentTokenNotAllowed();
+        }
+        delete allowlist.infos[token];
+
+        emit PaymentTokenRemoved(token);
+    }
+
+    /**
+     * @dev Gets the price per fraction of a listing in a payment token
+     * @param listedInfos, listings of the marketplace
+     * @param listingTerms, price decays and expiries of the listings of the marketplace
+     * @param listingNonces, listing nonces of the marketplace
+     * @param tokenPrices, prices of additional payment tokens of the listings of the marketplace
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param owner, address of owner of the listing
+     * @param token, address of the payment token
+     * @return price per fraction in the token, zero if the token is not accepted
+     */
+    function getTokenPrice(
+        mapping(uint256 => mapping(uint256 => mapping(address => ListedInfo)))
+            storage listedInfos,
+        mapping(uint256 => mapping(uint256 => mapping(address => ListingTerms)))
+            storage listingTerms,
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        mapping(bytes32 => mapping(address => uint256)) storage tokenPrices,
+        uint256 mainId,
+        uint256 subId,
+        address owner,
+        address token
+    ) external view returns (uint256) {
+        ListedInfo memory listedInfo = listedInfos[mainId][subId][owner];
+        if (token == address(listedInfo.token)) {
+            return getSalePrice(listedInfo, listingTerms[mainId][subId][owner]);
+        }
+
+        return
+            tokenPrices[getListingKey(listingNonces, mainId, subId, owner)][
+                token
+            ];
+    }
+
+    /**
+     * @dev Gets the fractions of a listing that can currently be bought, zero if the listing can not be filled
+     * @dev Fractions are capped by the balance of the owner and its approval to the marketplace,
+     * except for the first buy of an invoice
+     * @dev Skips expired listings, listings of halted trading, above the maximum price or in another token
+     * than the given one
+     * @param listedInfo, information of listed asset
+     * @param listingTerms, price decay and expiry of the listing
+     * @param tradingHalts, trading halts of the marketplace
+     * @param assetCollection, address of the asset collection
+     * @param owner, address of owner of the listing
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param remaining, maximum fractions to buy
+     * @param maxPrice, maximum price per fraction
+     * @param token, token of the listing, zero address for any token
+     * @return fractions to buy from the listing
+     * @return listingToken token of the listing
+     */
+    function getFillableFractions(
+        ListedInfo storage listedInfo,
+        ListingTerms storage listingTerms,
+        TradingHalts storage tradingHalts,
+        IBaseAsset assetCollection,
+        address owner,
+        uint256 mainId,
+        uint256 subId,
+        uint256 remaining,
+        uint256 maxPrice,
+        IERC20 token
+    ) external view returns (uint256 fractions, IERC20 listingToken) {
+        ListedInfo memory listing = listedInfo;
+        ListingTerms memory terms = listingTerms;
+        listingToken = listing.token;
+        if (
+            isExpired(terms) ||
+            getSalePrice(listing, terms) > maxPrice ||
+            (address(token) != address(0) && token != listingToken) ||
+            isTradingHalted(tradingHalts, mainId, subId, address(listingToken))
+        ) {
+            return (0, listingToken);
+        }
+
+        fractions = Math.min(
+            Math.min(listing.listedFractions, remaining),
+            _getAvailableFractions(assetCollection, owner, mainId, subId)
+        );
+        if (fractions < listing.minFraction) {
+            fractions = 0;
+        }
+    }
+
+    /**
+     * @dev Validates a payment token to be allowed and a price per fraction to be above its minimum price
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param token, address of the payment token
+     * @param price, price per fraction in the token
+     */
+    function validatePaymentToken(
+        PaymentTokenAllowlist storage allowlist,
+        address token,
+        uint256 price
+    ) internal view {
+        if (!isPaymentTokenAllowed(allowlist, token)) {
+            revert IMarketplace.PaymentTokenNotAllowed();
+        }
+        if (price < allowlist.infos[token].minPrice) {
+            revert IMarketplace.PriceBelowMinimum();
+        }
+    }
+
+    /**
+     * @dev Checks whether a payment token is allowed
+     * @dev Any token is allowed while the allowlist is empty, e.g. after upgrading a marketplace without allowlist
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param token, address of the payment token
+     * @return true if the token is allowed or no token is allowed yet
+     */
+    function isPaymentTokenAllowed(
+        PaymentTokenAllowlist storage allowlist,
+        address token
+    ) internal view returns (bool) {
+        return
+            allowlist.tokens.length() == 0 || allowlist.tokens.contains(token);
+    }
+
+    /**
+     * @dev Validates the trading of an asset in a payment token not to be halted
+     * @param tradingHalts, trading halts of the marketplace
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param token, address of the payment token
+     */
+    function validateTrading(
+        TradingHalts storage tradingHalts,
+        uint256 mainId,
+        uint256 subId,
+        address token
+    ) internal view {
+        if (tradingHalts.disabledTokens[token]) {
+            revert IMarketplace.PaymentTokenDisabled();
+        }
+        if (isTradingHalted(tradingHalts, mainId, subId, token)) {
+            revert IMarketplace.TradingHalted();
+        }
+    }
+
+    /**
+     * @dev Checks whether the trading of an asset in a payment token is halted
+     * @param tradingHalts, trading halts of the marketplace
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param token, address of the payment token
+     * @return true if the marketplace is paused, the asset is frozen or the token is disabled
+     */
+    function isTradingHalted(
+        TradingHalts storage tradingHalts,
+        uint256 mainId,
+        uint256 subId,
+        address token
+    ) internal view returns (bool) {
+        return
+            tradingHalts.isPaused ||
+            tradingHalts.frozenMainIds[mainId] ||
+            tradingHalts.frozenSubIds[mainId][subId] ||
+            tradingHalts.disabledTokens[token];
+    }
+
+    /**
+     * @dev Gets the key of the current listing of an owner used for its additional token prices
+     * @param listingNonces, listing nonces of the marketplace
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param owner, address of owner of the listing
+     * @return key of the current listing
+     */
+    function getListingKey(
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        uint256 mainId,
+        uint256 subId,
+        address owner
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    mainId,
+                    subId,
+                    owner,
+                    listingNonces[mainId][subId][owner]
+                )
+            );
+    }
+
+    /**
+     * @dev Calculates the current sale price per fraction of a listing
+     * @dev Price of a dutch listing decays linearly from salePrice to floorPrice during the decay period
+     * @param listedInfo, information of listed asset
+     * @param terms, price decay and expiry of the listing
+     * @return current sale price per fraction
+     */
+    function getSalePrice(
+        ListedInfo memory listedInfo,
+        ListingTerms memory terms
+    ) internal view returns (uint256) {
+        if (
+            terms.decayEndTime == 0 || block.timestamp <= terms.decayStartTime
+        ) {
+            return listedInfo.salePrice;
+        }
+        if (block.timestamp >= terms.decayEndTime) {
+            return terms.floorPrice;
+        }
+
+        return
+            listedInfo.salePrice -
+            ((listedInfo.salePrice - terms.floorPrice) *
+                (block.timestamp - terms.decayStartTime)) /
+            (terms.decayEndTime - terms.decayStartTime);
+    }
+
+    /**
+     * @dev Checks whether a listing has passed its expiry timestamp
+     * @param terms, price decay and expiry of the listing
+     * @return true if the listing is expired
+     */
+    function isExpired(ListingTerms memory terms) internal view returns (bool) {
+        return terms.expiresAt != 0 && block.timestamp > terms.expiresAt;
+    }
+
+    /**
+     * @dev Gets the token and the price per fraction to pay for a listing
+     * @dev Listing token pays the current sale price, additional tokens pay the price set by the owner
+     * @param tokenPrices, prices of additional payment tokens of the listings of the marketplace
+     * @param listingNonces, listing nonces of the marketplace
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @param owner, address of owner of the listing
+     * @param paymentToken, address of token used for payment, zero address for the listing token
+     * @param listedInfo, information of listed asset
+     * @param terms, price decay and expiry of the listing
+     * @return token used for payment
+     * @return price per fraction in the payment token
+     */
+    function _getPaymentPrice(
+        mapping(bytes32 => mapping(address => uint256)) storage tokenPrices,
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256)))
+            storage listingNonces,
+        uint256 mainId,
+        uint256 subId,
+        address owner,
+        address paymentToken,
+        ListedInfo memory listedInfo,
+        ListingTerms memory terms
+    ) private view returns (IERC20, uint256) {
+        if (
+            paymentToken == address(0) ||
+            paymentToken == address(listedInfo.token)
+        ) {
+            return (listedInfo.token, getSalePrice(listedInfo, terms));
+        }
+
+        uint256 price = tokenPrices[
+            getListingKey(listingNonces, mainId, subId, owner)
+        ][paymentToken];
+        if (price == 0) {
+            revert IMarketplace.UnsupportedToken();
+        }
+
+        return (IERC20(paymentToken), price);
+    }
+
+    /**
+     * @dev Gets the fractions of an owner the marketplace can transfer
+     * @dev Balance is capped by the allowance of the owner unless approved for all or the first buy of an invoice
+     * @param assetCollection, address of the asset collection
+     * @param owner, address of owner of the fractions
+     * @param mainId, unique identifier of the asset
+     * @param subId, unique identifier of the asset
+     * @return available fractions to transfer
+     */
+    function _getAvailableFractions(
+        IBaseAsset assetCollection,
+        address owner,
+        uint256 mainId,
+        uint256 subId
+    ) private view returns (uint256 available) {
+        available = assetCollection.subBalanceOf(owner, mainId, subId);
+        if (
+            subId != 0 &&
+            !assetCollection.isApprovedForAll(owner, address(this))
+        ) {
+            available = Math.min(
+                available,
+                assetCollection.allowance(owner, address(this), mainId, subId)
+            );
+        }
+    }
+
+    /**
+     * @dev Validates the sale price and price decay of a listing
+     * @dev The floor price of a dutch listing is validated against the minimum price of the token
+     * @param allowlist, payment tokens allowed by the marketplace
+     * @param listedInfo, information of listed asset including salePrice and token
+     * @param terms, price decay and expiry of the listing
+     */
+    function _validatePrice(
+        PaymentTokenAllowlist storage allowlist,
+        ListedInfo calldata listedInfo,
+        ListingTerms memory terms
+    ) private view {
+        if (listedInfo.salePrice == 0) {
+            revert GenericErrors.InvalidPrice();
+        }
+
+        uint256 lowestPrice = listedInfo.salePrice;
+        if (terms.decayEndTime != 0) {
+            _validateDecay(listedInfo.salePrice, terms);
+            lowestPrice = terms.floorPrice;
+        }
+        validatePaymentToken(allowlist, address(listedInfo.token), lowestPrice);
+    }
+
+    /**
+     * @dev Validates the expiry of a listing to be in the future if set
+     * @param expiresAt, timestamp after which the listing can not be bought, zero for no expiry
+     */
+    function _validateExpiry(uint256 expiresAt) private view {
+        if (expiresAt != 0 && expiresAt <= block.timestamp) {
+            revert IMarketplace.InvalidExpiry();
+        }
+    }
+
+    /**
+     * @dev Validates the price decay of a dutch listing
+     * @dev Floor price should be non zero and less than the start price
+     * @param salePrice, start price per fraction of the listing
+     * @param terms, price decay of the listing including floorPrice, decayStartTime and decayEndTime
+     */
+    function _validateDecay(
+        uint256 salePrice,
+        ListingTerms memory terms
+    ) private pure {
+        if (terms.floorPrice == 0 || terms.floorPrice >= salePrice) {
+            revert GenericErrors.InvalidPrice();
+        }
+        if (terms.decayStartTime >= terms.decayEndTime) {
+            revert IMarketplace.InvalidDecayPeriod();
+        }
+    }
+}
@@ -0,0 +1,579 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import { IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { IBaseAssetExtension } from "contracts/Asset/interface/IBaseAssetExtension.sol";
+import { IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
+import { GenericErrors } from "contracts/lib/errors.sol";
+import { OfferInfo, CollectionOfferInfo, SignedListing } from "contracts/lib/structs.sol";
+import { Counters } from "contracts/lib/Counters.sol";
+import { ERC165Checker } from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+
+/**
+ * @title Signed offers and listings of the marketplace
+ * @author Polytrade.Finance
+ * @dev Validates the EIP712 signed offers and listings and records their filled fractions
+ */
+library Offers {
+    using Counters for Counters.Counter;
+    using ERC165Checker for address;
+
+    // solhint-disable-next-line var-name-mixedcase
+    bytes32 private constant _OFFER_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "offer(",
+                "address owner,",
+                "address offeror,",
+                "address token,",
+                "uint256 offerPrice,",
+                "uint256 mainId,",
+                "uint256 subId,",
+                "uint256 fractionsToBuy,",
+                "uint256 nonce,",
+                "uint256 deadline",
+                ")"
+            )
+        );
+    // solhint-disable-next-line var-name-mixedcase
+    bytes32 private constant _PARTIAL_OFFER_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "partialOffer(",
+                "address offeror,",
+                "address token,",
+                "uint256 offerPrice,",
+                "uint256 mainId,",
+                "uint256 subId,",
+                "uint256 maxFractions,",
+                "uint256 nonce,",
+                "uint256 deadline",
+                ")"
+            )
+        );
+    // solhint-disable-next-line var-name-mixedcase
+    bytes32 private constant _COLLECTION_OFFER_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "collectionOffer(",
+                "address offeror,",
+                "address token,",
+                "uint256 offerPrice,",
+                "uint256 mainId,",
+                "address assetManager,",
+                "uint256 maxFractions,",
+                "uint256 nonce,",
+                "uint256 deadline",
+                ")"
+            )
+        );
+    // solhint-disable-next-line var-name-mixedcase
+    bytes32 private constant _LISTING_TYPEHASH =
+        keccak256(
+            abi.encodePacked(
+                "listing(",
+                "address seller,",
+                "uint256 mainId,",
+                "uint256 subId,",
+                "uint256 price,",
+                "uint256 quantity,",
+                "uint256 minFraction,",
+                "address token,",
+                "uint256 nonce,",
+                "uint256 deadline",
+                ")"
+            )
+        );
+
+    /**
+     * @dev See {IMarketplace-OfferFilled}.
+     */
+    event OfferFilled(
+        bytes32 indexed offerHash,
+        address indexed owner,
+        address indexed offeror,
+        uint256 fractions,
+        uint256 filledFractions
+    );
+
+    /**
+     * @dev See {IMarketplace-SignedListingFilled}.
+     */
+    event SignedListingFilled(
+        bytes32 indexed listingHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256 fractions,
+        uint256 filledFractions
+    );
+
+    /**
+     * @dev See {IMarketplace-OfferCancelled}.
+     */
+    event OfferCancelled(address indexed offeror, bytes32 indexed offerHash);
+
+    /**
+     * @dev See {IMarketplace-NonceIncreased}.
+     */
+    event NonceIncreased(address indexed offeror, uint256 newNonce);
+
+    /**
+     * @dev Validates a partially fillable signed offer and records the fractions of the current fill
+     * @dev Emits {OfferFilled} with the caller as owner of the sold fractions
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param domainSeparator, EIP712 domain separator of the marketplace
+     * @param offerInfo, information of the offer including offeror, maxFractions, nonce and deadline
+     * @param fractionsToSell, number of fractions to sell in the current fill
+     */
+    function fillOffer(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        bytes32 domainSeparator,
+        OfferInfo calldata offerInfo,
+        uint256 fractionsToSell,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _validateNonce(nonces, offerInfo.offeror, offerInfo.nonce);
+
+        bytes32 offerHash = getOfferHash(offerInfo);
+        _validateOffer(
+            cancelledOffers,
+            domainSeparator,
+            offerHash,
+            offerInfo.offeror,
+            offerInfo.deadline,
+            v,
+            r,
+            s
+        );
+        uint256 filled = _fill(
+            filledFractions,
+            offerHash,
+            offerInfo.maxFractions,
+            fractionsToSell
+        );
+
+        emit OfferFilled(
+            offerHash,
+            msg.sender,
+            offerInfo.offeror,
+            fractionsToSell,
+            filled
+        );
+    }
+
+    /**
+     * @dev Validates a signed collection offer for an asset and records the fractions of the current fill
+     * @dev Asset should be a sub ID of the offered main ID, or a main ID created by the offered asset manager
+     * @dev Emits {OfferFilled} with the caller as owner of the sold fractions
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param domainSeparator, EIP712 domain separator of the marketplace
+     * @param assetCollection, address of the asset collection
+     * @param offerInfo, information of the collection offer including offeror, mainId or assetManager, nonce and deadline
+     * @param mainId, unique identifier of the sold asset
+     * @param fractionsToSell, number of fractions to sell in the current fill
+     */
+    function fillCollectionOffer(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        bytes32 domainSeparator,
+        IBaseAsset assetCollection,
+        CollectionOfferInfo calldata offerInfo,
+        uint256 mainId,
+        uint256 fractionsToSell,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        if (!_isOffered(assetCollection, offerInfo, mainId)) {
+            revert IMarketplace.AssetNotOffered();
+        }
+        _validateNonce(nonces, offerInfo.offeror, offerInfo.nonce);
+
+        bytes32 offerHash = getCollectionOfferHash(offerInfo);
+        _validateOffer(
+            cancelledOffers,
+            domainSeparator,
+            offerHash,
+            offerInfo.offeror,
+            offerInfo.deadline,
+            v,
+            r,
+            s
+        );
+        uint256 filled = _fill(
+            filledFractions,
+            offerHash,
+            offerInfo.maxFractions,
+            fractionsToSell
+        );
+
+        emit OfferFilled(
+            offerHash,
+            msg.sender,
+            offerInfo.offeror,
+            fractionsToSell,
+            filled
+        );
+    }
+
+    /**
+     * @dev Validates a signed listing and records the fractions of the current purchase
+     * @dev Emits {SignedListingFilled} with the caller as buyer
+     * @param filledFractions, filled fractions of the marketplace by listing hash
+     * @param cancelledOffers, cancelled offers and listings of the marketplace by signer
+     * @param nonces, nonces of the marketplace by signer
+     * @param domainSeparator, EIP712 domain separator of the marketplace
+     * @param listing, information of the signed listing including seller, quantity, minFraction, nonce and deadline
+     * @param fractionsToBuy, number of fractions to buy in the current purchase
+     */
+    function fillSignedListing(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        bytes32 domainSeparator,
+        SignedListing calldata listing,
+        uint256 fractionsToBuy,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        if (fractionsToBuy < listing.minFraction) {
+            revert IMarketplace.InvalidFractionToBuy();
+        }
+        _validateNonce(nonces, listing.seller, listing.nonce);
+
+        bytes32 listingHash = getListingHash(listing);
+        _validateOffer(
+            cancelledOffers,
+            domainSeparator,
+            listingHash,
+            listing.seller,
+            listing.deadline,
+            v,
+            r,
+            s
+        );
+        uint256 filled = _fill(
+            filledFractions,
+            listingHash,
+            listing.quantity,
+            fractionsToBuy
+        );
+
+        emit SignedListingFilled(
+            listingHash,
+            listing.seller,
+            msg.sender,
+            fractionsToBuy,
+            filled
+        );
+    }
+
+    /**
+     * @dev Validates a legacy signed offer for all its fractions with the current nonce of the offeror
+     * and records its fill
+     * @dev Offer should not be filled before, expired, cancelled or signed by another offeror
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param domainSeparator, EIP712 domain separator of the marketplace
+     * @param owner, address of owner of the fractions
+     * @param offerInfo, information of the offer, its maximum fractions being the fractions to buy
+     */
+    function useLegacyOffer(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        bytes32 domainSeparator,
+        address owner,
+        OfferInfo memory offerInfo,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        offerInfo.nonce = nonces.current(offerInfo.offeror);
+        bytes32 offerHash = keccak256(
+            abi.encode(_OFFER_TYPEHASH, owner, offerInfo)
+        );
+        if (filledFractions[offerHash] != 0) {
+            revert IMarketplace.NotEnoughOffered();
+        }
+        filledFractions[offerHash] = offerInfo.maxFractions;
+
+        _validateOffer(
+            cancelledOffers,
+            domainSeparator,
+            offerHash,
+            offerInfo.offeror,
+            offerInfo.deadline,
+            v,
+            r,
+            s
+        );
+    }
+
+    /**
+     * @dev Cancels a signed offer of the caller
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param offerHash, EIP712 struct hash of the offer
+     */
+    function cancelOffer(
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        bytes32 offerHash
+    ) external {
+        if (cancelledOffers[msg.sender][offerHash]) {
+            revert IMarketplace.OfferAlreadyCancelled();
+        }
+
+        cancelledOffers[msg.sender][offerHash] = true;
+
+        emit OfferCancelled(msg.sender, offerHash);
+    }
+
+    /**
+     * @dev Cancels all offers of the caller signed with a lower nonce than the new nonce
+     * @param nonces, nonces of the marketplace by offeror
+     * @param nonce, new current nonce of the caller, should be greater than its current nonce
+     */
+    function cancelAllOffersBefore(
+        Counters.Counter storage nonces,
+        uint256 nonce
+    ) external {
+        if (nonce <= nonces.current(msg.sender)) {
+            revert IMarketplace.InvalidNonce();
+        }
+
+        nonces.set(msg.sender, nonce);
+
+        emit NonceIncreased(msg.sender, nonce);
+    }
+
+    /**
+     * @dev Checks whether a signed offer can still be filled
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param offerInfo, information of the offer
+     * @return true if the offer is executable
+     */
+    function isOfferExecutable(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        OfferInfo calldata offerInfo
+    ) external view returns (bool) {
+        return
+            _isExecutable(
+                filledFractions,
+                cancelledOffers,
+                nonces,
+                getOfferHash(offerInfo),
+                offerInfo.offeror,
+                offerInfo.nonce,
+                offerInfo.deadline,
+                offerInfo.maxFractions
+            );
+    }
+
+    /**
+     * @dev Checks whether a signed collection offer can still be filled
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param offerInfo, information of the collection offer
+     * @return true if the offer is executable
+     */
+    function isCollectionOfferExecutable(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        CollectionOfferInfo calldata offerInfo
+    ) external view returns (bool) {
+        return
+            _isExecutable(
+                filledFractions,
+                cancelledOffers,
+                nonces,
+                getCollectionOfferHash(offerInfo),
+                offerInfo.offeror,
+                offerInfo.nonce,
+                offerInfo.deadline,
+                offerInfo.maxFractions
+            );
+    }
+
+    /**
+     * @dev Calculates the EIP712 struct hash of a partially fillable offer
+     * @param offerInfo, information of the offer
+     * @return struct hash of the offer
+     */
+    function getOfferHash(
+        OfferInfo calldata offerInfo
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_PARTIAL_OFFER_TYPEHASH, offerInfo));
+    }
+
+    /**
+     * @dev Calculates the EIP712 struct hash of a collection offer
+     * @param offerInfo, information of the collection offer
+     * @return struct hash of the offer
+     */
+    function getCollectionOfferHash(
+        CollectionOfferInfo calldata offerInfo
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_COLLECTION_OFFER_TYPEHASH, offerInfo));
+    }
+
+    /**
+     * @dev Calculates the EIP712 struct hash of a signed listing
+     * @param listing, information of the signed listing
+     * @return struct hash of the listing
+     */
+    function getListingHash(
+        SignedListing calldata listing
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_LISTING_TYPEHASH, listing));
+    }
+
+    /**
+     * @dev Records the fractions of the current fill of an offer within its maximum fractions
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param offerHash, EIP712 struct hash of the offer
+     * @param maxFractions, maximum number of fractions to fill across all fills
+     * @param fractions, number of fractions of the current fill
+     * @return filled total number of fractions filled for the offer
+     */
+    function _fill(
+        mapping(bytes32 => uint256) storage filledFractions,
+        bytes32 offerHash,
+        uint256 maxFractions,
+        uint256 fractions
+    ) private returns (uint256 filled) {
+        if (fractions == 0) {
+            revert GenericErrors.InvalidFraction();
+        }
+
+        filled = filledFractions[offerHash] + fractions;
+        if (filled > maxFractions) {
+            revert IMarketplace.NotEnoughOffered();
+        }
+        filledFractions[offerHash] = filled;
+    }
+
+    /**
+     * @dev Validates a signed offer not to be expired or cancelled and its signature to be of the offeror
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param domainSeparator, EIP712 domain separator of the marketplace
+     * @param offerHash, EIP712 struct hash of the offer
+     * @param offeror, address of the offeror signing the offer
+     * @param deadline, timestamp after which the offer can not be filled
+     */
+    function _validateOffer(
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        bytes32 domainSeparator,
+        bytes32 offerHash,
+        address offeror,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) private view {
+        if (block.timestamp > deadline) {
+            revert IMarketplace.OfferExpired();
+        }
+        if (cancelledOffers[offeror][offerHash]) {
+            revert IMarketplace.OfferAlreadyCancelled();
+        }
+
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(
+            ECDSA.toTypedDataHash(domainSeparator, offerHash),
+            v,
+            r,
+            s
+        );
+        if (error != ECDSA.RecoverError.NoError || recovered != offeror) {
+            revert IMarketplace.InvalidSignature();
+        }
+    }
+
+    /**
+     * @dev Validates the nonce of a signed offer to be the current nonce of its offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param offeror, address of the offeror signing the offer
+     * @param nonce, nonce of the offeror used in the offer
+     */
+    function _validateNonce(
+        Counters.Counter storage nonces,
+        address offeror,
+        uint256 nonce
+    ) private view {
+        if (nonce != nonces.current(offeror)) {
+            revert IMarketplace.InvalidNonce();
+        }
+    }
+
+    /**
+     * @dev Checks whether a main ID is covered by a collection offer
+     * @dev Asset manager offers cover no asset of collections not supporting {IBaseAssetExtension}
+     * @param assetCollection, address of the asset collection
+     * @param offerInfo, information of the collection offer
+     * @param mainId, unique identifier of the sold asset
+     * @return true if the main ID is offered
+     */
+    function _isOffered(
+        IBaseAsset assetCollection,
+        CollectionOfferInfo calldata offerInfo,
+        uint256 mainId
+    ) private view returns (bool) {
+        if (offerInfo.assetManager == address(0)) {
+            return mainId == offerInfo.mainId;
+        }
+        return
+            address(assetCollection).supportsInterface(
+                type(IBaseAssetExtension).interfaceId
+            ) &&
+            IBaseAssetExtension(address(assetCollection)).getAssetManager(
+                mainId
+            ) ==
+            offerInfo.assetManager;
+    }
+
+    /**
+     * @dev Checks whether an offer is not expired, cancelled, signed with an old nonce or fully filled
+     * @param filledFractions, filled fractions of the marketplace by offer hash
+     * @param cancelledOffers, cancelled offers of the marketplace by offeror
+     * @param nonces, nonces of the marketplace by offeror
+     * @param offerHash, EIP712 struct hash of the offer
+     * @param offeror, address of the offeror signing the offer
+     * @param nonce, nonce of the offeror used in the offer
+     * @param deadline, timestamp after which the offer can not be filled
+     * @param maxFractions, maximum number of fractions to buy across all fills
+     * @return true if the offer is executable
+     */
+    function _isExecutable(
+        mapping(bytes32 => uint256) storage filledFractions,
+        mapping(address => mapping(bytes32 => bool)) storage cancelledOffers,
+        Counters.Counter storage nonces,
+        bytes32 offerHash,
+        address offeror,
+        uint256 nonce,
+        uint256 deadline,
+        uint256 maxFractions
+    ) private view returns (bool) {
+        return
+            block.timestamp <= deadline &&
+            nonce == nonces.current(offeror) &&
+            !cancelledOffers[offeror][offerHash] &&
+            filledFractions[offerHash] < maxFractions;
+    }
+}
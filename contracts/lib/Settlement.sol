@@ -0,0 +1,544 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import { IFeeManager, FeeSplit } from "contracts/Marketplace/interface/IFeeManager.sol";
+import { IMarketplace } from "contracts/Marketplace/interface/IMarketplace.sol";
+import { IWrappedNative } from "contracts/Marketplace/interface/IWrappedNative.sol";
+import { IBaseAssetExtension } from "contracts/Asset/interface/IBaseAssetExtension.sol";
+import { IERC2981 } from "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import { ERC165Checker } from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import { IBaseAsset } from "contracts/Asset/interface/IBaseAsset.sol";
+import { IInvoiceAsset } from "contracts/Asset/interface/IInvoiceAsset.sol";
+import { GenericErrors } from "contracts/lib/errors.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { Listings } from "contracts/lib/Listings.sol";
+import { Sale, Escrow, PermitInfo, PaymentTokenAllowlist, TradingHalts, IERC20 } from "contracts/lib/structs.sol";
+
+/**
+ * @title Settlement of marketplace sales
+ * @author Polytrade.Finance
+ * @dev Delivers the fractions of a sale and pays its fees, referral share, royalty and proceeds,
+ * directly or through the escrow
+ * @dev Handles the native currency and permit approvals of buyers
+ */
+library Settlement {
+    using SafeERC20 for IERC20;
+    using ERC165Checker for address;
+
+    /**
+     * @dev See {IMarketplace-AssetBought}.
+     */
+    event AssetBought(
+        address indexed oldOwner,
+        address indexed newOwner,
+        uint256 mainId,
+        uint256 subId,
+        uint256 salePrice,
+        uint256 payPrice,
+        uint256 fractions,
+        address token
+    );
+
+    /**
+     * @dev See {IMarketplace-RoyaltyPaid}.
+     */
+    event RoyaltyPaid(
+        uint256 indexed mainId,
+        uint256 indexed subId,
+        address indexed receiver,
+        address token,
+        uint256 amount
+    );
+
+    /**
+     * @dev See {IMarketplace-ReferralFeePaid}.
+     */
+    event ReferralFeePaid(
+        address indexed referrer,
+        address indexed buyer,
+        address token,
+        uint256 amount
+    );
+
+    /**
+     * @dev See {IMarketplace-PaymentEscrowed}.
+     */
+    event PaymentEscrowed(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @dev See {IMarketplace-Withdrawn}.
+     */
+    event Withdrawn(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @dev Pays the price and fees of a sale whose fractions are delivered to the buyer
+     * @dev Initial fee applies if the owner is the initial owner of the asset, buying fee otherwise
+     * @dev Deducts the seller fee and the royalty of the asset on secondary sales from the proceeds
+     * @dev Royalty is calculated on the sale price before the seller fee and capped to the proceeds
+     * @dev Fee paid by the payer is capped to the maximum fee, e.g. the fee escrowed along with a bid
+     * @param sale, information of the sale
+     * @param assetCollection, address of the asset collection
+     * @param feeManager, address of the fee manager
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param maxFee, maximum fee paid by the payer
+     * @return cost price and fee paid by the payer
+     */
+    function settle(
+        Sale memory sale,
+        IBaseAsset assetCollection,
+        IFeeManager feeManager,
+        Escrow storage escrow,
+        uint256 maxFee
+    ) external returns (uint256) {
+        return _settle(sale, assetCollection, feeManager, escrow, maxFee);
+    }
+
+    /**
+     * @dev Delivers the fractions of a listing to the buyer and settles the sale
+     * @dev Mints a new sub ID for the buyer through the invoice on the first buy of an invoice,
+     * paying the proceeds to its treasury wallet
+     * @dev Trading of the asset in the payment token should not be halted
+     * @param sale, information of the sale
+     * @param assetCollection, address of the asset collection
+     * @param feeManager, address of the fee manager
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param tradingHalts, trading halts of the marketplace
+     * @return cost price and fee paid by the payer
+     */
+    function settleListing(
+        Sale memory sale,
+        IBaseAsset assetCollection,
+        IFeeManager feeManager,
+        Escrow storage escrow,
+        TradingHalts storage tradingHalts
+    ) external returns (uint256) {
+        Listings.validateTrading(
+            tradingHalts,
+            sale.mainId,
+            sale.subId,
+            address(sale.token)
+        );
+        if (sale.subId == 0) {
+            IInvoiceAsset(sale.owner).onSubIdCreation(
+                sale.buyer,
+                sale.mainId,
+                sale.fractions
+            );
+            sale.recipient = IInvoiceAsset(sale.owner).getTreasuryWallet();
+        } else {
+            assetCollection.safeTransferFrom(
+                sale.owner,
+                sale.buyer,
+                sale.mainId,
+                sale.subId,
+                sale.fractions,
+                ""
+            );
+        }
+
+        return
+            _settle(
+                sale,
+                assetCollection,
+                feeManager,
+                escrow,
+                type(uint256).max
+            );
+    }
+
+    /**
+     * @dev Transfers the fractions of the owner accepting an offer to the buyer and settles the sale
+     * @dev Trading of the asset in the payment token should not be halted, the token should be allowed
+     * and the price above its minimum price
+     * @param sale, information of the sale
+     * @param assetCollection, address of the asset collection
+     * @param feeManager, address of the fee manager
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param tradingHalts, trading halts of the marketplace
+     * @param allowlist, payment tokens allowed by the marketplace
+     */
+    function settleOffer(
+        Sale memory sale,
+        IBaseAsset assetCollection,
+        IFeeManager feeManager,
+        Escrow storage escrow,
+        TradingHalts storage tradingHalts,
+        PaymentTokenAllowlist storage allowlist
+    ) external {
+        Listings.validateTrading(
+            tradingHalts,
+            sale.mainId,
+            sale.subId,
+            address(sale.token)
+        );
+        Listings.validatePaymentToken(
+            allowlist,
+            address(sale.token),
+            sale.price
+        );
+        if (
+            sale.fractions >
+            assetCollection.subBalanceOf(sale.owner, sale.mainId, sale.subId)
+        ) {
+            revert GenericErrors.NotEnoughBalance();
+        }
+
+        assetCollection.safeTransferFrom(
+            sale.owner,
+            sale.buyer,
+            sale.mainId,
+            sale.subId,
+            sale.fractions,
+            ""
+        );
+
+        _settle(sale, assetCollection, feeManager, escrow, type(uint256).max);
+    }
+
+    /**
+     * @dev Withdraws the escrowed balance of the caller
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param token, address of the token to withdraw
+     */
+    function withdraw(Escrow storage escrow, address token) external {
+        uint256 amount = escrow.balances[msg.sender][token];
+        if (amount == 0) {
+            revert IMarketplace.NothingToWithdraw();
+        }
+
+        delete escrow.balances[msg.sender][token];
+        escrow.totalEscrowed[token] -= amount;
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(msg.sender, token, amount);
+    }
+
+    /**
+     * @dev Wraps the sent native currency into the wrapped native token held by the marketplace
+     * @param wrappedNative, address of the wrapped native token
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param value, amount of native currency sent by the buyer
+     * @return balance of the wrapped native token not escrowed before wrapping
+     */
+    function wrapNative(
+        IWrappedNative wrappedNative,
+        Escrow storage escrow,
+        uint256 value
+    ) external returns (uint256 balance) {
+        if (address(wrappedNative) == address(0)) {
+            revert IMarketplace.UnsupportedToken();
+        }
+
+        balance = _getFreeNativeBalance(wrappedNative, escrow);
+        wrappedNative.deposit{ value: value }();
+    }
+
+    /**
+     * @dev Unwraps and refunds the unspent native currency to the buyer
+     * @param wrappedNative, address of the wrapped native token
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param balance, balance of the wrapped native token not escrowed before wrapping
+     */
+    function refundNative(
+        IWrappedNative wrappedNative,
+        Escrow storage escrow,
+        uint256 balance
+    ) external {
+        uint256 currentBalance = _getFreeNativeBalance(wrappedNative, escrow);
+        if (currentBalance < balance) {
+            revert IMarketplace.InvalidValue();
+        }
+
+        uint256 refund = currentBalance - balance;
+        if (refund != 0) {
+            wrappedNative.withdraw(refund);
+            // solhint-disable-next-line avoid-low-level-calls
+            (bool success, ) = msg.sender.call{ value: refund }("");
+            if (!success) {
+                revert IMarketplace.NativeTransferFailed();
+            }
+        }
+    }
+
+    /**
+     * @dev Approves the marketplace to spend tokens of the buyer with an EIP-2612 permit signature
+     * @dev Permit is skipped if the allowance is already enough, e.g. if the permit is front-run
+     * @param permitInfo, permit information including token, value, deadline and signature
+     */
+    function permit(PermitInfo calldata permitInfo) external {
+        if (
+            IERC20(permitInfo.token).allowance(msg.sender, address(this)) <
+            permitInfo.value
+        ) {
+            IERC20Permit(permitInfo.token).permit(
+                msg.sender,
+                address(this),
+                permitInfo.value,
+                permitInfo.deadline,
+                permitInfo.v,
+                permitInfo.r,
+                permitInfo.s
+            );
+        }
+    }
+
+    /**
+     * @dev Pays the price and fees of a sale whose fractions are delivered to the buyer, see {settle}
+     * @param sale, information of the sale
+     * @param assetCollection, address of the asset collection
+     * @param feeManager, address of the fee manager
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param maxFee, maximum fee paid by the payer
+     * @return cost price and fee paid by the payer
+     */
+    function _settle(
+        Sale memory sale,
+        IBaseAsset assetCollection,
+        IFeeManager feeManager,
+        Escrow storage escrow,
+        uint256 maxFee
+    ) private returns (uint256 cost) {
+        if (
+            sale.referrer != address(0) &&
+            (sale.referrer == sale.buyer ||
+                sale.referrer == sale.owner ||
+                !feeManager.isReferrer(sale.referrer))
+        ) {
+            revert IMarketplace.InvalidReferrer();
+        }
+
+        uint256 payPrice = sale.price * sale.fractions;
+        cost =
+            payPrice +
+            _payShares(
+                sale,
+                assetCollection,
+                feeManager,
+                escrow,
+                payPrice,
+                maxFee
+            );
+
+        emit AssetBought(
+            sale.owner,
+            sale.buyer,
+            sale.mainId,
+            sale.subId,
+            sale.price,
+            payPrice,
+            sale.fractions,
+            address(sale.token)
+        );
+    }
+
+    /**
+     * @dev Pays the fees, royalty and proceeds of the price of a sale
+     * @param sale, information of the sale
+     * @param assetCollection, address of the asset collection
+     * @param feeManager, address of the fee manager
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param payPrice, price of the fractions of the sale
+     * @param maxFee, maximum fee paid by the payer
+     * @return fee paid by the payer on top of the price
+     */
+    function _payShares(
+        Sale memory sale,
+        IBaseAsset assetCollection,
+        IFeeManager feeManager,
+        Escrow storage escrow,
+        uint256 payPrice,
+        uint256 maxFee
+    ) private returns (uint256 fee) {
+        bool isInitialSale = assetCollection
+            .getAssetInfo(sale.mainId, sale.subId)
+            .initialOwner == sale.owner;
+        uint256 proceeds = payPrice -
+            (payPrice * feeManager.getSellerFee()) /
+            1e4;
+
+        fee = Math.min(
+            _getFee(sale, feeManager, payPrice, isInitialSale),
+            maxFee
+        );
+        _payFee(sale, feeManager, escrow, fee + payPrice - proceeds);
+        if (!isInitialSale) {
+            proceeds -= _payRoyalty(sale, assetCollection, escrow, proceeds);
+        }
+        _pay(sale, escrow, sale.recipient, proceeds);
+    }
+
+    /**
+     * @dev Pays the referral share of the collected fees to the referrer
+     * @dev Pays the rest to the fee wallet or splits it across the fee split wallets
+     * @dev Last wallet receives the rounding remainder of the split
+     * @param sale, information of the sale
+     * @param feeManager, address of the fee manager
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param amount, amount of collected fees
+     */
+    function _payFee(
+        Sale memory sale,
+        IFeeManager feeManager,
+        Escrow storage escrow,
+        uint256 amount
+    ) private {
+        if (sale.referrer != address(0)) {
+            uint256 referralFee = (amount * feeManager.getReferralShare()) /
+                1e4;
+            if (referralFee != 0) {
+                _pay(sale, escrow, sale.referrer, referralFee);
+                amount -= referralFee;
+                emit ReferralFeePaid(
+                    sale.referrer,
+                    sale.buyer,
+                    address(sale.token),
+                    referralFee
+                );
+            }
+        }
+
+        FeeSplit[] memory splits = feeManager.getFeeSplits();
+        uint256 length = splits.length;
+        if (length == 0) {
+            _pay(sale, escrow, feeManager.getFeeWallet(), amount);
+            return;
+        }
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < length - 1; ) {
+            uint256 share = (amount * splits[i].share) / 1e4;
+            _pay(sale, escrow, splits[i].wallet, share);
+            remaining -= share;
+
+            unchecked {
+                ++i;
+            }
+        }
+        _pay(sale, escrow, splits[length - 1].wallet, remaining);
+    }
+
+    /**
+     * @dev Pays the royalty of the asset set in the asset collection on the sale price of all fractions
+     * @dev No royalty is paid if the asset collection does not support IERC2981
+     * @param sale, information of the sale
+     * @param assetCollection, address of the asset collection
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param proceeds, proceeds of the owner that the royalty is deducted from, caps the royalty
+     * @return royalty amount paid to the royalty receiver
+     */
+    function _payRoyalty(
+        Sale memory sale,
+        IBaseAsset assetCollection,
+        Escrow storage escrow,
+        uint256 proceeds
+    ) private returns (uint256 royalty) {
+        if (
+            !address(assetCollection).supportsInterface(
+                type(IERC2981).interfaceId
+            )
+        ) {
+            return 0;
+        }
+
+        address receiver;
+        (receiver, royalty) = IBaseAssetExtension(address(assetCollection))
+            .royaltyInfo(sale.mainId, sale.price * sale.fractions);
+        royalty = Math.min(royalty, proceeds);
+        if (royalty != 0) {
+            _pay(sale, escrow, receiver, royalty);
+            emit RoyaltyPaid(
+                sale.mainId,
+                sale.subId,
+                receiver,
+                address(sale.token),
+                royalty
+            );
+        }
+    }
+
+    /**
+     * @dev Transfers tokens from the payer, or from the marketplace balance if it is the payer
+     * @dev In escrow mode the amount is held by the marketplace and credited to the receiver
+     * @param sale, information of the sale including the payment token and the payer
+     * @param escrow, escrowed proceeds of the marketplace
+     * @param to, address receiving the amount
+     * @param amount, amount of tokens to transfer
+     */
+    function _pay(
+        Sale memory sale,
+        Escrow storage escrow,
+        address to,
+        uint256 amount
+    ) private {
+        if (!escrow.isEnabled) {
+            if (sale.payer == address(this)) {
+                sale.token.safeTransfer(to, amount);
+            } else {
+                sale.token.safeTransferFrom(sale.payer, to, amount);
+            }
+            return;
+        }
+
+        if (sale.payer != address(this)) {
+            sale.token.safeTransferFrom(sale.payer, address(this), amount);
+        }
+        if (amount != 0) {
+            escrow.balances[to][address(sale.token)] += amount;
+            escrow.totalEscrowed[address(sale.token)] += amount;
+
+            emit PaymentEscrowed(to, address(sale.token), amount);
+        }
+    }
+
+    /**
+     * @dev Gets the balance of the wrapped native token held by the marketplace excluding escrowed proceeds
+     * @param wrappedNative, address of the wrapped native token
+     * @param escrow, escrowed proceeds of the marketplace
+     * @return uint256, balance of the wrapped native token not escrowed
+     */
+    function _getFreeNativeBalance(
+        IWrappedNative wrappedNative,
+        Escrow storage escrow
+    ) private view returns (uint256) {
+        return
+            wrappedNative.balanceOf(address(this)) -
+            escrow.totalEscrowed[address(wrappedNative)];
+    }
+
+    /**
+     * @dev Calculates the fee paid by the buyer on top of the price
+     * @param sale, information of the sale
+     * @param feeManager, address of the fee manager
+     * @param payPrice, price paid for the fractions
+     * @param isInitialSale, whether the owner is the initial owner of the asset
+     * @return fee amount
+     */
+    function _getFee(
+        Sale memory sale,
+        IFeeManager feeManager,
+        uint256 payPrice,
+        bool isInitialSale
+    ) private view returns (uint256) {
+        uint256 fee = isInitialSale
+            ? feeManager.getInitialFee(sale.mainId, sale.subId)
+            : feeManager.getBuyingFee(
+                sale.mainId,
+                sale.subId,
+                sale.buyer,
+                payPrice
+            );
+
+        return (payPrice * fee) / 1e4;
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.17;
 
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
  * @title Listed information for each asset owner and asset id
@@ -17,6 +18,20 @@ struct ListedInfo {
     IERC20 token;
 }
 
+/**
+ * @title Price decay and expiry of a listing, all zero for fixed price listings without expiry
+ * @param floorPrice, lowest price that a dutch listing decays to from its sale price
+ * @param decayStartTime, timestamp from which the price of a dutch listing starts decaying
+ * @param decayEndTime, timestamp at which the price of a dutch listing reaches floorPrice, zero for fixed price listings
+ * @param expiresAt, timestamp after which the listing can not be bought, zero for listings without expiry
+ */
+struct ListingTerms {
+    uint256 floorPrice;
+    uint256 decayStartTime;
+    uint256 decayEndTime;
+    uint256 expiresAt;
+}
+
 /**
  * @title storing invoice information
  * @param price, is the settlement price of invoice
@@ -56,6 +71,16 @@ struct AssetInfo {
     address initialOwner;
 }
 
+/**
+ * @title storing royalty information of an asset type
+ * @param receiver, address receiving the royalty on secondary sales
+ * @param royaltyFraction, royalty percentage of the sale price with 2 decimals
+ */
+struct RoyaltyInfo {
+    address receiver;
+    uint96 royaltyFraction;
+}
+
 /**
  * @title storing property information
  * @param price, is the value of the property
@@ -69,3 +94,297 @@ struct PropertyInfo {
     uint256 fractions;
     IERC20 settlementToken;
 }
+
+/**
+ * @title Auction information for each seller and asset id
+ * @param reservePrice, minimum price per fraction accepted for the first bid
+ * @param minIncrement, minimum increase per fraction required to outbid the highest bid
+ * @param fractions, number of fractions auctioned together as a single lot
+ * @param endTime, timestamp after which bidding closes and the auction can be settled
+ * @param token, address of token used for bidding and settlement
+ */
+struct AuctionInfo {
+    uint256 reservePrice;
+    uint256 minIncrement;
+    uint256 fractions;
+    uint256 endTime;
+    IERC20 token;
+}
+
+/**
+ * @title Highest bid information of an auction
+ * @param bidder, address of the highest bidder
+ * @param bidPrice, offered price per fraction
+ * @param fee, fee escrowed along with the bid at the time of bidding
+ */
+struct AuctionBid {
+    address bidder;
+    uint256 bidPrice;
+    uint256 fee;
+}
+
+/**
+ * @title Standing bid information
+ * @param bidder, address of the bidder
+ * @param mainId, main identifier of the asset
+ * @param subId, sub identifier of the asset
+ * @param bidPrice, offered price per fraction
+ * @param fractions, remaining number of fractions to buy
+ * @param feeEscrow, remaining escrowed amount to cover fees of the remaining fractions
+ * @param expiresAt, timestamp after which the bid can not be accepted
+ * @param token, address of token used for payment
+ */
+struct BidInfo {
+    address bidder;
+    uint256 mainId;
+    uint256 subId;
+    uint256 bidPrice;
+    uint256 fractions;
+    uint256 feeEscrow;
+    uint256 expiresAt;
+    IERC20 token;
+}
+
+/**
+ * @title Signed offer information that can be filled partially by multiple holders
+ * @param offeror, address of the offeror signing the offer
+ * @param token, address of token used for payment
+ * @param offerPrice, offered price per fraction
+ * @param mainId, main identifier of the asset
+ * @param subId, sub identifier of the asset
+ * @param maxFractions, maximum number of fractions to buy across all fills
+ * @param nonce, current nonce of the offeror at the time of signing
+ * @param deadline, timestamp after which the offer can not be filled
+ */
+struct OfferInfo {
+    address offeror;
+    address token;
+    uint256 offerPrice;
+    uint256 mainId;
+    uint256 subId;
+    uint256 maxFractions;
+    uint256 nonce;
+    uint256 deadline;
+}
+
+/**
+ * @title Signed offer information that matches any asset of a collection
+ * @param offeror, address of the offeror signing the offer
+ * @param token, address of token used for payment
+ * @param offerPrice, offered price per fraction
+ * @param mainId, main identifier of the asset to match any of its sub identifiers, ignored if assetManager is set
+ * @param assetManager, address of the asset contract to match any main identifier it created, zero to match by mainId
+ * @param maxFractions, maximum number of fractions to buy across all fills
+ * @param nonce, current nonce of the offeror at the time of signing
+ * @param deadline, timestamp after which the offer can not be filled
+ */
+struct CollectionOfferInfo {
+    address offeror;
+    address token;
+    uint256 offerPrice;
+    uint256 mainId;
+    address assetManager;
+    uint256 maxFractions;
+    uint256 nonce;
+    uint256 deadline;
+}
+
+/**
+ * @title Signed listing information that buyers can execute without an on-chain listing
+ * @param seller, address of the seller signing the listing
+ * @param mainId, main identifier of the asset
+ * @param subId, sub identifier of the asset
+ * @param price, sale price per fraction
+ * @param quantity, maximum number of fractions to sell across all purchases
+ * @param minFraction, minimum fraction required for each purchase
+ * @param token, address of token to receive the price
+ * @param nonce, current nonce of the seller at the time of signing
+ * @param deadline, timestamp after which the listing can not be executed
+ */
+struct SignedListing {
+    address seller;
+    uint256 mainId;
+    uint256 subId;
+    uint256 price;
+    uint256 quantity;
+    uint256 minFraction;
+    address token;
+    uint256 nonce;
+    uint256 deadline;
+}
+
+/**
+ * @title EIP-2612 permit information of a payment token
+ * @param token, address of the payment token supporting permit
+ * @param value, amount of tokens approved by the permit
+ * @param deadline, expiration timestamp of the permit
+ * @param v, signature of the permit
+ * @param r, signature of the permit
+ * @param s, signature of the permit
+ */
+struct PermitInfo {
+    address token;
+    uint256 value;
+    uint256 deadline;
+    uint8 v;
+    bytes32 r;
+    bytes32 s;
+}
+
+/**
+ * @title Volume band of the buying fee
+ * @param minAmount, minimum payment amount of a trade for the band to apply
+ * @param fee, buying fee percentage of the band with 2 decimals
+ */
+struct FeeBand {
+    uint256 minAmount;
+    uint256 fee;
+}
+
+/**
+ * @title Fee policy applying to all sub IDs of a main ID or all main IDs of an originator
+ * @param initialFee, initial fee percentage with 2 decimals
+ * @param buyingFee, buying fee percentage with 2 decimals
+ * @param isSet, whether the policy is set, to distinguish explicit zero fees from unset ones
+ */
+struct FeePolicy {
+    uint256 initialFee;
+    uint256 buyingFee;
+    bool isSet;
+}
+
+/**
+ * @title Share of the collected fees sent to a wallet
+ * @param wallet, address receiving the share of fees
+ * @param share, percentage of the collected fees with 2 decimals
+ */
+struct FeeSplit {
+    address wallet;
+    uint256 share;
+}
+
+/**
+ * @title Buying fees of buyer tiers and the tiers assigned to buyers
+ * @param fees, buying fee percentage of each tier with 2 decimals
+ * @param isSet, whether the buying fee of a tier is set
+ * @param tiers, tier assigned to each buyer, zero for no tier
+ */
+struct BuyerTiers {
+    mapping(uint256 => uint256) fees;
+    mapping(uint256 => bool) isSet;
+    mapping(address => uint256) tiers;
+}
+
+/**
+ * @title Fee policies of main IDs and originators
+ * @param mainIds, fee policy of each main ID
+ * @param originators, fee policy of each originating asset manager contract
+ */
+struct FeePolicies {
+    mapping(uint256 => FeePolicy) mainIds;
+    mapping(address => FeePolicy) originators;
+}
+
+/**
+ * @title Distribution of the collected fees
+ * @param splits, shares of the collected fees sent to each wallet
+ * @param referralShare, percentage of the collected fees paid to the referrer with 2 decimals
+ * @param referrers, registered referrers that purchases can name
+ */
+struct FeeDistribution {
+    FeeSplit[] splits;
+    uint256 referralShare;
+    mapping(address => bool) referrers;
+}
+
+/**
+ * @title Timelock of fee changes
+ * @param delay, delay between proposing and executing a fee change
+ * @param proposedAt, timestamp at which each fee change was proposed, zero if not proposed
+ */
+struct FeeTimelock {
+    uint256 delay;
+    mapping(bytes32 => uint256) proposedAt;
+}
+
+/**
+ * @title Sale settled by the marketplace after the fractions are delivered
+ * @param token, address of the token used for payment
+ * @param payer, address paying the price and fees, the marketplace itself for wrapped native payments
+ * @param buyer, address of the buyer
+ * @param recipient, address receiving the proceeds, treasury wallet for the first buy of an invoice
+ * @param owner, address of the previous owner of the fractions
+ * @param referrer, address receiving the referral share of fees, zero address for no referrer
+ * @param mainId, unique identifier of the asset
+ * @param subId, unique identifier of the asset
+ * @param price, price per fraction in the payment token
+ * @param fractions, number of sold fractions
+ */
+struct Sale {
+    IERC20 token;
+    address payer;
+    address buyer;
+    address recipient;
+    address owner;
+    address referrer;
+    uint256 mainId;
+    uint256 subId;
+    uint256 price;
+    uint256 fractions;
+}
+
+/**
+ * @title Proceeds escrowed by the marketplace to be withdrawn later
+ * @param balances, escrowed balances by account and token
+ * @param totalEscrowed, total escrowed balance by token
+ * @param isEnabled, whether proceeds are escrowed instead of transferred
+ */
+struct Escrow {
+    mapping(address => mapping(address => uint256)) balances;
+    mapping(address => uint256) totalEscrowed;
+    bool isEnabled;
+}
+
+/**
+ * @title Trading halts of the marketplace set by the pauser
+ * @param isPaused, whether trading is halted for all assets
+ * @param frozenMainIds, whether trading is halted by main ID
+ * @param frozenSubIds, whether trading is halted by main ID and sub ID
+ * @param disabledTokens, whether trading is halted by payment token
+ */
+struct TradingHalts {
+    bool isPaused;
+    mapping(uint256 => bool) frozenMainIds;
+    mapping(uint256 => mapping(uint256 => bool)) frozenSubIds;
+    mapping(address => bool) disabledTokens;
+}
+
+/**
+ * @title Metadata of a payment token allowed by the marketplace
+ * @param minPrice, minimum price per fraction of listings and offers in the token
+ * @param decimals, number of decimals of the token
+ */
+struct PaymentTokenInfo {
+    uint256 minPrice;
+    uint8 decimals;
+}
+
+/**
+ * @title Payment tokens allowed by the marketplace
+ * @param tokens, set of the allowed payment token addresses
+ * @param infos, metadata of each allowed payment token
+ */
+struct PaymentTokenAllowlist {
+    EnumerableSet.AddressSet tokens;
+    mapping(address => PaymentTokenInfo) infos;
+}
+
+/**
+ * @title Limits of a purchase accepted by the buyer
+ * @param maxPricePerFraction, maximum price per fraction of the listing
+ * @param maxTotalCost, maximum price and fee paid for all fractions
+ */
+struct BuyLimits {
+    uint256 maxPricePerFraction;
+    uint256 maxTotalCost;
+}
@@ -29,16 +29,75 @@ async function main() {
   const FeeManager = await ethers.getContractFactory("FeeManager");
   const feeManager = await FeeManager.deploy(100, 200, feeWallet);
   await feeManager.waitForDeployment();
+  await feeManager.setAssetCollection(await asset.getAddress());
 
-  const Marketplace = await ethers.getContractFactory("Marketplace");
-  const marketplace = await upgrades.deployProxy(Marketplace, [
-    await asset.getAddress(),
-    await feeManager.getAddress(),
-  ]);
+  const SettlementFactory = await ethers.getContractFactory("Settlement");
+  const settlement = await SettlementFactory.deploy();
+  await settlement.waitForDeployment();
+
+  console.log(await settlement.getAddress());
+
+  const ListingsFactory = await ethers.getContractFactory("Listings");
+  const listings = await ListingsFactory.deploy();
+  await listings.waitForDeployment();
+
+  console.log(await listings.getAddress());
+
+  const OffersFactory = await ethers.getContractFactory("Offers");
+  const offers = await OffersFactory.deploy();
+  await offers.waitForDeployment();
+
+  console.log(await offers.getAddress());
+
+  const BatchesFactory = await ethers.getContractFactory("Batches");
+  const batches = await BatchesFactory.deploy();
+  await batches.waitForDeployment();
+
+  console.log(await batches.getAddress());
+
+  const Marketplace = await ethers.getContractFactory("Marketplace", {
+    libraries: {
+      Settlement: await settlement.getAddress(),
+      Listings: await listings.getAddress(),
+      Offers: await offers.getAddress(),
+      Batches: await batches.getAddress(),
+    },
+  });
+  const marketplace = await upgrades.deployProxy(
+    Marketplace,
+    [await asset.getAddress(), await feeManager.getAddress()],
+    { unsafeAllow: ["external-library-linking"] }
+  );
   await marketplace.waitForDeployment();
 
   console.log(await marketplace.getAddress());
 
+  const EnglishAuction = await ethers.getContractFactory("EnglishAuction", {
+    libraries: { Settlement: await settlement.getAddress() },
+  });
+  const englishAuction = await upgrades.deployProxy(
+    EnglishAuction,
+    [await asset.getAddress(), await feeManager.getAddress()],
+    { unsafeAllow: ["external-library-linking"] }
+  );
+  await englishAuction.waitForDeployment();
+  await englishAuction.setMarketplace(await marketplace.getAddress());
+
+  console.log(await englishAuction.getAddress());
+
+  const OrderBook = await ethers.getContractFactory("OrderBook", {
+    libraries: { Settlement: await settlement.getAddress() },
+  });
+  const orderBook = await upgrades.deployProxy(
+    OrderBook,
+    [await asset.getAddress(), await feeManager.getAddress()],
+    { unsafeAllow: ["external-library-linking"] }
+  );
+  await orderBook.waitForDeployment();
+  await orderBook.setMarketplace(await marketplace.getAddress());
+
+  console.log(await orderBook.getAddress());
+
   const InvoiceAssetFactory = await ethers.getContractFactory("InvoiceAsset");
   const invoiceAsset = await upgrades.deployProxy(InvoiceAssetFactory, [
     await asset.getAddress(),
@@ -66,6 +125,12 @@ async function main() {
 
   await token.approve(marketplace.getAddress(), ethers.MaxUint256);
 
+  // Any payment token is accepted while the allowlist is empty. When upgrading a
+  // marketplace deployed without the allowlist, allow every token used by live
+  // listings, offers, auctions and bids right after the upgrade: the first
+  // allowed token restricts the marketplace and the venues to the allowlist.
+  await marketplace.setPaymentToken(tokenAddress, 0);
+
   await asset.grantRole(AssetManagerAccess, invoiceAsset.getAddress());
 
   await asset.grantRole(AssetManagerAccess, propertyAsset.getAddress());
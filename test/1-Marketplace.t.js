@@ -4,9 +4,11 @@ const {
   createProperty,
   createAsset,
   createList,
+  createListingTerms,
   MarketplaceAccess,
   OriginatorAccess,
   AssetManagerAccess,
+  PauserAccess,
   DAY,
   YEAR,
   nearSettleAsset,
@@ -49,6 +51,7 @@ describe("Marketplace", function () {
   let propertyContract;
   let stableTokenContract;
   let marketplaceContract;
+  let marketplaceFactory;
   let deployer;
   let user1;
   let buyer;
@@ -89,9 +92,31 @@ describe("Marketplace", function () {
     property = await createProperty(stableTokenContract.getAddress());
     asset = await createAsset(stableTokenContract.getAddress());
 
+    const settlement = await (
+      await ethers.getContractFactory("Settlement")
+    ).deploy();
+    const listings = await (
+      await ethers.getContractFactory("Listings")
+    ).deploy();
+    const offers = await (await ethers.getContractFactory("Offers")).deploy();
+    const batches = await (await ethers.getContractFactory("Batches")).deploy();
+    marketplaceFactory = await ethers.getContractFactory("Marketplace", {
+      libraries: {
+        Settlement: await settlement.getAddress(),
+        Listings: await listings.getAddress(),
+        Offers: await offers.getAddress(),
+        Batches: await batches.getAddress(),
+      },
+    });
     marketplaceContract = await upgrades.deployProxy(
-      await ethers.getContractFactory("Marketplace"),
-      [await assetContract.getAddress(), await newFeeManager.getAddress()]
+      marketplaceFactory,
+      [await assetContract.getAddress(), await newFeeManager.getAddress()],
+      { unsafeAllow: ["external-library-linking"] }
+    );
+
+    await marketplaceContract.setPaymentToken(
+      stableTokenContract.getAddress(),
+      0
     );
 
     invoiceContract = await upgrades.deployProxy(
@@ -432,10 +457,14 @@ describe("Marketplace", function () {
 
   it("Should revert on passing non-compatible asset collection Address", async function () {
     await expect(
-      upgrades.deployProxy(await ethers.getContractFactory("Marketplace"), [
-        await stableTokenContract.getAddress(), // non compatible to asset contract
-        await feeWallet.getAddress(),
-      ])
+      upgrades.deployProxy(
+        marketplaceFactory,
+        [
+          await stableTokenContract.getAddress(), // non compatible to asset contract
+          await feeWallet.getAddress(),
+        ],
+        { unsafeAllow: ["external-library-linking"] }
+      )
     ).to.be.reverted;
   });
 
@@ -606,8 +635,7 @@ describe("Marketplace", function () {
     await assetContract.grantRole(AssetManagerAccess, deployer.getAddress());
 
     await assetContract.createAsset(owner.getAddress(), 1, 0, 10000);
-
-    await owner.list(1);
+    await owner.list(1, stableTokenContract.getAddress());
 
     await expect(
       marketplaceContract
@@ -778,10 +806,11 @@ describe("Marketplace", function () {
 
   it("Should revert on passing invalid fee wallet Address", async function () {
     await expect(
-      upgrades.deployProxy(await ethers.getContractFactory("Marketplace"), [
-        await assetContract.getAddress(),
-        ethers.ZeroAddress,
-      ])
+      upgrades.deployProxy(
+        marketplaceFactory,
+        [await assetContract.getAddress(), ethers.ZeroAddress],
+        { unsafeAllow: ["external-library-linking"] }
+      )
     ).to.reverted;
   });
 
@@ -920,6 +949,110 @@ describe("Marketplace", function () {
       .batchUnlist([ids[0], ids[1], ids[2]], [1, 1, 1]);
   });
 
+  it("Should batch list, buy and unlist skipping failed items", async function () {
+    const ids = await getIds(propertyContract, 2, await user1.getAddress());
+    await propertyContract.batchCreateProperty(
+      [await user1.getAddress(), await user1.getAddress()],
+      [property, property]
+    );
+
+    const list = await createList(
+      100,
+      1000,
+      1,
+      stableTokenContract.getAddress()
+    );
+    const invalidList = await createList(
+      0,
+      1000,
+      1,
+      stableTokenContract.getAddress()
+    );
+    const selector = (name) =>
+      marketplaceContract.interface.getError(name).selector;
+
+    expect(
+      await marketplaceContract
+        .connect(user1)
+        .tryBatchList.staticCall(ids, [1, 1], [list, invalidList])
+    ).to.eq(1);
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .tryBatchList(ids, [1, 1], [list, invalidList])
+    )
+      .to.emit(marketplaceContract, "BatchItemFailed")
+      .withArgs(await user1.getAddress(), 1, selector("InvalidPrice"));
+    expect(
+      (await marketplaceContract.getListedInfo(user1.getAddress(), ids[0], 1))
+        .listedFractions
+    ).to.eq(1000);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .tryBatchBuy(
+          [ids[1], ids[0]],
+          [1, 1],
+          [100, 100],
+          [user1.getAddress(), user1.getAddress()]
+        )
+    )
+      .to.emit(marketplaceContract, "BatchItemFailed")
+      .withArgs(await buyer.getAddress(), 0, selector("NotEnoughListed"));
+    expect(
+      await assetContract.subBalanceOf(buyer.getAddress(), ids[0], 1)
+    ).to.eq(100);
+
+    expect(
+      await marketplaceContract
+        .connect(user1)
+        .tryBatchUnlist.staticCall(ids, [1, 1])
+    ).to.eq(1);
+    await expect(marketplaceContract.connect(user1).tryBatchUnlist(ids, [1, 1]))
+      .to.emit(marketplaceContract, "BatchItemFailed")
+      .withArgs(await user1.getAddress(), 1, selector("AlreadyUnlisted"));
+    await expect(
+      marketplaceContract.connect(user1).tryBatchUnlist(ids, [1])
+    ).to.be.revertedWithCustomError(marketplaceContract, "NoArrayParity");
+  });
+
+  it("Should set the batch limit", async function () {
+    expect(await marketplaceContract.getBatchLimit()).to.eq(30);
+
+    await expect(
+      marketplaceContract.connect(user1).setBatchLimit(2)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+    await expect(
+      marketplaceContract.setBatchLimit(0)
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidBatchLimit");
+    await expect(
+      marketplaceContract.setBatchLimit(257)
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidBatchLimit");
+
+    await expect(marketplaceContract.setBatchLimit(2))
+      .to.emit(marketplaceContract, "BatchLimitSet")
+      .withArgs(30, 2);
+    expect(await marketplaceContract.getBatchLimit()).to.eq(2);
+
+    await expect(
+      marketplaceContract.tryBatchUnlist([1, 1, 1], [1, 1, 1])
+    ).to.be.revertedWithCustomError(marketplaceContract, "BatchLimitExceeded");
+    await expect(
+      marketplaceContract.batchUnlist([1, 1, 1], [1, 1, 1])
+    ).to.be.revertedWithCustomError(marketplaceContract, "BatchLimitExceeded");
+  });
+
   it("Should return the listed info struct", async function () {
     const id = await getId(invoiceContract, await invoiceContract.getAddress());
     await invoiceContract.createInvoice(asset);
@@ -1213,122 +1346,475 @@ describe("Marketplace", function () {
       .be.reverted;
   });
 
-  it("Should create invoice and selling it to buyer through Marketplace", async function () {
-    const id = await getId(invoiceContract, await invoiceContract.getAddress());
-    await invoiceContract.createInvoice(asset);
+  it("Should pause trading and unpause it with the pauser role", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(user1.getAddress(), property);
+    const list = await createList(
+      100,
+      1000,
+      1,
+      stableTokenContract.getAddress()
+    );
+    await marketplaceContract.connect(user1).list(id, 1, list);
+
+    expect(await marketplaceContract.PAUSER_ROLE()).to.eq(PauserAccess);
+    await expect(
+      marketplaceContract.connect(user1).setPaused(true)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${PauserAccess}`
+    );
+
+    await marketplaceContract.grantRole(PauserAccess, deployer.getAddress());
+    await expect(marketplaceContract.setPaused(true))
+      .to.emit(marketplaceContract, "PausedSet")
+      .withArgs(true);
+    expect(await marketplaceContract.isPaused()).to.eq(true);
 
     await stableTokenContract
       .connect(buyer)
-      .approve(marketplaceContract.getAddress(), asset.price);
-
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
     await expect(
-      await marketplaceContract
-        .connect(buyer)
-        .buy(id, 0, 1000, invoiceContract.getAddress())
-    ).not.to.be.reverted;
-
-    expect(
-      await stableTokenContract.balanceOf(treasuryWallet.getAddress())
-    ).to.eq(asset.price / 10n);
+      marketplaceContract.connect(buyer).buy(id, 1, 100, user1.getAddress())
+    ).to.be.revertedWithCustomError(marketplaceContract, "TradingHalted");
+    await expect(
+      marketplaceContract.connect(user1).list(id, 1, list)
+    ).to.be.revertedWithCustomError(marketplaceContract, "TradingHalted");
 
+    await expect(marketplaceContract.setPaused(false))
+      .to.emit(marketplaceContract, "PausedSet")
+      .withArgs(false);
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 1, 100, user1.getAddress());
     expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
-      1000
+      100
     );
-  });
 
-  it("Should create invoice and increment sub Id after buy", async function () {
-    const id = await getId(invoiceContract, await invoiceContract.getAddress());
-    await invoiceContract.createInvoice(asset);
+    await marketplaceContract.setPaused(true);
+    await expect(marketplaceContract.connect(user1).unlist(id, 1)).not.to.be
+      .reverted;
+  });
 
+  it("Should freeze trading of a main id and of a sub id", async function () {
+    const ids = await getIds(propertyContract, 2, await user1.getAddress());
+    await propertyContract.batchCreateProperty(
+      [await user1.getAddress(), await user1.getAddress()],
+      [property, property]
+    );
+    const list = await createList(
+      100,
+      1000,
+      1,
+      stableTokenContract.getAddress()
+    );
+    await marketplaceContract
+      .connect(user1)
+      .batchList(ids, [1, 1], [list, list]);
     await stableTokenContract
       .connect(buyer)
-      .approve(marketplaceContract.getAddress(), asset.price);
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
 
-    expect(await invoiceContract.getCurrentSubId(id)).to.eq(0);
+    await expect(
+      marketplaceContract.connect(user1).setMainIdFrozen(ids[0], true)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${PauserAccess}`
+    );
+    await marketplaceContract.grantRole(PauserAccess, deployer.getAddress());
+
+    await expect(marketplaceContract.setMainIdFrozen(ids[0], true))
+      .to.emit(marketplaceContract, "MainIdFrozenSet")
+      .withArgs(ids[0], true);
+    await expect(marketplaceContract.setSubIdFrozen(ids[1], 1, true))
+      .to.emit(marketplaceContract, "SubIdFrozenSet")
+      .withArgs(ids[1], 1, true);
+    expect(await marketplaceContract.isFrozen(ids[0], 2)).to.eq(true);
+    expect(await marketplaceContract.isFrozen(ids[1], 1)).to.eq(true);
+    expect(await marketplaceContract.isFrozen(ids[1], 2)).to.eq(false);
 
     await expect(
-      await marketplaceContract
+      marketplaceContract.connect(buyer).buy(ids[0], 1, 100, user1.getAddress())
+    ).to.be.revertedWithCustomError(marketplaceContract, "TradingHalted");
+    await expect(
+      marketplaceContract
         .connect(buyer)
-        .buy(id, 0, 1000, invoiceContract.getAddress())
-    ).not.to.be.reverted;
+        .batchBuy(
+          ids,
+          [1, 1],
+          [100, 100],
+          [user1.getAddress(), user1.getAddress()]
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "TradingHalted");
 
-    expect(await invoiceContract.getCurrentSubId(id)).to.eq(1);
+    await marketplaceContract.setMainIdFrozen(ids[0], false);
+    await marketplaceContract
+      .connect(buyer)
+      .buy(ids[0], 1, 100, user1.getAddress());
+    expect(
+      await assetContract.subBalanceOf(buyer.getAddress(), ids[0], 1)
+    ).to.eq(100);
   });
 
-  it("Should create asset and burn", async function () {
-    const iId = await getId(
-      invoiceContract,
-      await invoiceContract.getAddress()
-    );
-    const pId = await getId(propertyContract, await user1.getAddress());
-    await invoiceContract.createInvoice(asset);
+  it("Should disable and enable a payment token", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
     await propertyContract.createProperty(user1.getAddress(), property);
-
-    await invoiceContract
-      .connect(deployer)
-      .burnInvoice(invoiceContract.getAddress(), iId, 0, 5000);
-
-    await invoiceContract
-      .connect(deployer)
-      .burnInvoice(invoiceContract.getAddress(), iId, 0, 5000);
-
-    await propertyContract
-      .connect(deployer)
-      .burnProperty(user1.getAddress(), pId, 1000);
-
-    await propertyContract
-      .connect(deployer)
-      .burnProperty(user1.getAddress(), pId, 9000);
-  });
-
-  it("Should create invoice and selling it to buyer (before due date)", async function () {
-    const id = await getId(invoiceContract, await invoiceContract.getAddress());
-
-    expect(await invoiceContract.getAvailableReward(id, 0)).to.eq(0);
-
-    await invoiceContract.createInvoice(asset);
-
-    expect(await invoiceContract.getRemainingReward(id, 1)).to.be.eq(0);
-
+    const list = await createList(
+      100,
+      1000,
+      1,
+      stableTokenContract.getAddress()
+    );
+    await marketplaceContract.connect(user1).list(id, 1, list);
     await stableTokenContract
       .connect(buyer)
-      .approve(marketplaceContract.getAddress(), asset.price);
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
 
-    await stableTokenContract
-      .connect(treasuryWallet)
-      .approve(marketplaceContract.getAddress(), asset.price);
+    await marketplaceContract.grantRole(PauserAccess, deployer.getAddress());
+    await expect(
+      marketplaceContract.setPaymentTokenDisabled(
+        stableTokenContract.getAddress(),
+        true
+      )
+    )
+      .to.emit(marketplaceContract, "PaymentTokenDisabledSet")
+      .withArgs(await stableTokenContract.getAddress(), true);
+    expect(
+      await marketplaceContract.isPaymentTokenDisabled(
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(true);
 
-    expect(await invoiceContract.getAvailableReward(id, 0)).to.eq(0);
+    await expect(
+      marketplaceContract.connect(buyer).buy(id, 1, 100, user1.getAddress())
+    ).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "PaymentTokenDisabled"
+    );
+    await expect(
+      marketplaceContract.connect(user1).list(id, 1, list)
+    ).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "PaymentTokenDisabled"
+    );
 
+    await marketplaceContract.setPaymentTokenDisabled(
+      stableTokenContract.getAddress(),
+      false
+    );
     await marketplaceContract
       .connect(buyer)
-      .buy(id, 0, 10000, invoiceContract.getAddress());
+      .buy(id, 1, 100, user1.getAddress());
+    expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
+      100
+    );
+  });
 
-    const tenure = 10n * DAY;
-    await time.increase(tenure);
+  it("Should allow, update and remove payment tokens", async function () {
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, buyer.getAddress(), 200000);
 
-    const expectedReward = Math.round(
-      Number((tenure * asset.price * asset.rewardApr) / (10000n * YEAR))
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setPaymentToken(daiContract.getAddress(), 10)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
     );
+    await expect(
+      marketplaceContract.setPaymentToken(ethers.ZeroAddress, 10)
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidAddress");
 
-    const actualReward = await invoiceContract.getAvailableReward(id, 1);
+    await expect(
+      marketplaceContract.setPaymentToken(daiContract.getAddress(), 10)
+    )
+      .to.emit(marketplaceContract, "PaymentTokenSet")
+      .withArgs(await daiContract.getAddress(), 10, 18);
+    await marketplaceContract.setPaymentToken(daiContract.getAddress(), 20);
+
+    expect(await marketplaceContract.getPaymentTokens()).to.deep.eq([
+      await stableTokenContract.getAddress(),
+      await daiContract.getAddress(),
+    ]);
+    expect(
+      await marketplaceContract.isPaymentTokenAllowed(daiContract.getAddress())
+    ).to.eq(true);
+    const info = await marketplaceContract.getPaymentTokenInfo(
+      daiContract.getAddress()
+    );
+    expect(info.minPrice).to.eq(20);
+    expect(info.decimals).to.eq(18);
 
-    expect(actualReward).to.be.within(expectedReward - 1, expectedReward + 1);
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .removePaymentToken(daiContract.getAddress())
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+    await expect(
+      marketplaceContract.removePaymentToken(daiContract.getAddress())
+    )
+      .to.emit(marketplaceContract, "PaymentTokenRemoved")
+      .withArgs(await daiContract.getAddress());
+    await expect(
+      marketplaceContract.removePaymentToken(daiContract.getAddress())
+    ).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "PaymentTokenNotAllowed"
+    );
 
-    await invoiceContract.getRemainingReward(id, 1);
+    expect(await marketplaceContract.getPaymentTokens()).to.deep.eq([
+      await stableTokenContract.getAddress(),
+    ]);
+    expect(
+      await marketplaceContract.isPaymentTokenAllowed(daiContract.getAddress())
+    ).to.eq(false);
+    expect(
+      (await marketplaceContract.getPaymentTokenInfo(daiContract.getAddress()))
+        .minPrice
+    ).to.eq(0);
   });
 
-  it("Should create asset and selling it to buyer (after due date)", async function () {
-    const id = await getId(invoiceContract, await invoiceContract.getAddress());
-    await invoiceContract.createInvoice(asset);
-
-    await stableTokenContract
-      .connect(buyer)
-      .approve(marketplaceContract.getAddress(), asset.price);
-
-    await stableTokenContract
-      .connect(treasuryWallet)
-      .approve(marketplaceContract.getAddress(), asset.price);
+  it("Should accept any payment token while no payment token is allowed", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(user1.getAddress(), property);
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, buyer.getAddress(), 200000);
+
+    await marketplaceContract.removePaymentToken(
+      stableTokenContract.getAddress()
+    );
+    expect(
+      await marketplaceContract.isPaymentTokenAllowed(daiContract.getAddress())
+    ).to.eq(true);
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .list(id, 1, await createList(1, 1000, 1, daiContract.getAddress()))
+    ).to.emit(marketplaceContract, "AssetListed");
+
+    await marketplaceContract.setPaymentToken(
+      stableTokenContract.getAddress(),
+      0
+    );
+    expect(
+      await marketplaceContract.isPaymentTokenAllowed(daiContract.getAddress())
+    ).to.eq(false);
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .list(id, 1, await createList(1, 1000, 1, daiContract.getAddress()))
+    ).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "PaymentTokenNotAllowed"
+    );
+  });
+
+  it("Should revert to list in a token not allowed or below its minimum price", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(user1.getAddress(), property);
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, buyer.getAddress(), 200000);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .list(id, 1, await createList(100, 1000, 1, daiContract.getAddress()))
+    ).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "PaymentTokenNotAllowed"
+    );
+
+    await marketplaceContract.setPaymentToken(
+      stableTokenContract.getAddress(),
+      50
+    );
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .list(
+          id,
+          1,
+          await createList(49, 1000, 1, stableTokenContract.getAddress())
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "PriceBelowMinimum");
+
+    const start = await now();
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithTerms(
+          id,
+          1,
+          await createList(100, 1000, 1, stableTokenContract.getAddress()),
+          await createListingTerms(40, start, start + 1000)
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "PriceBelowMinimum");
+
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(50, 1000, 1, stableTokenContract.getAddress())
+      );
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(id, 1, [await daiContract.getAddress()], [2000])
+    ).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "PaymentTokenNotAllowed"
+    );
+    await marketplaceContract.setPaymentToken(daiContract.getAddress(), 2000);
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(id, 1, [await daiContract.getAddress()], [1999])
+    ).to.be.revertedWithCustomError(marketplaceContract, "PriceBelowMinimum");
+    await marketplaceContract
+      .connect(user1)
+      .setTokenPrices(id, 1, [await daiContract.getAddress()], [2000]);
+
+    await marketplaceContract.removePaymentToken(daiContract.getAddress());
+    await marketplaceContract
+      .connect(user1)
+      .setTokenPrices(id, 1, [await daiContract.getAddress()], [0]);
+  });
+
+  it("Should create invoice and selling it to buyer through Marketplace", async function () {
+    const id = await getId(invoiceContract, await invoiceContract.getAddress());
+    await invoiceContract.createInvoice(asset);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    await expect(
+      await marketplaceContract
+        .connect(buyer)
+        .buy(id, 0, 1000, invoiceContract.getAddress())
+    ).not.to.be.reverted;
+
+    expect(
+      await stableTokenContract.balanceOf(treasuryWallet.getAddress())
+    ).to.eq(asset.price / 10n);
+
+    expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
+      1000
+    );
+  });
+
+  it("Should create invoice and increment sub Id after buy", async function () {
+    const id = await getId(invoiceContract, await invoiceContract.getAddress());
+    await invoiceContract.createInvoice(asset);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    expect(await invoiceContract.getCurrentSubId(id)).to.eq(0);
+
+    await expect(
+      await marketplaceContract
+        .connect(buyer)
+        .buy(id, 0, 1000, invoiceContract.getAddress())
+    ).not.to.be.reverted;
+
+    expect(await invoiceContract.getCurrentSubId(id)).to.eq(1);
+  });
+
+  it("Should create asset and burn", async function () {
+    const iId = await getId(
+      invoiceContract,
+      await invoiceContract.getAddress()
+    );
+    const pId = await getId(propertyContract, await user1.getAddress());
+    await invoiceContract.createInvoice(asset);
+    await propertyContract.createProperty(user1.getAddress(), property);
+
+    await invoiceContract
+      .connect(deployer)
+      .burnInvoice(invoiceContract.getAddress(), iId, 0, 5000);
+
+    await invoiceContract
+      .connect(deployer)
+      .burnInvoice(invoiceContract.getAddress(), iId, 0, 5000);
+
+    await propertyContract
+      .connect(deployer)
+      .burnProperty(user1.getAddress(), pId, 1000);
+
+    await propertyContract
+      .connect(deployer)
+      .burnProperty(user1.getAddress(), pId, 9000);
+  });
+
+  it("Should create invoice and selling it to buyer (before due date)", async function () {
+    const id = await getId(invoiceContract, await invoiceContract.getAddress());
+
+    expect(await invoiceContract.getAvailableReward(id, 0)).to.eq(0);
+
+    await invoiceContract.createInvoice(asset);
+
+    expect(await invoiceContract.getRemainingReward(id, 1)).to.be.eq(0);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    await stableTokenContract
+      .connect(treasuryWallet)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    expect(await invoiceContract.getAvailableReward(id, 0)).to.eq(0);
+
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 0, 10000, invoiceContract.getAddress());
+
+    const tenure = 10n * DAY;
+    await time.increase(tenure);
+
+    const expectedReward = Math.round(
+      Number((tenure * asset.price * asset.rewardApr) / (10000n * YEAR))
+    );
+
+    const actualReward = await invoiceContract.getAvailableReward(id, 1);
+
+    expect(actualReward).to.be.within(expectedReward - 1, expectedReward + 1);
+
+    await invoiceContract.getRemainingReward(id, 1);
+  });
+
+  it("Should create asset and selling it to buyer (after due date)", async function () {
+    const id = await getId(invoiceContract, await invoiceContract.getAddress());
+    await invoiceContract.createInvoice(asset);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    await stableTokenContract
+      .connect(treasuryWallet)
+      .approve(marketplaceContract.getAddress(), asset.price);
 
     await expect(
       await marketplaceContract
@@ -1888,6 +2374,1801 @@ describe("Marketplace", function () {
     ).to.eq(0);
   });
 
+  it("Should create dutch invoice and buy it at the decayed price", async function () {
+    const id = await getId(invoiceContract, await invoiceContract.getAddress());
+    const startPrice = asset.price / asset.fractions;
+    const floorPrice = startPrice / 2n;
+    const decayEndTime = BigInt(await now()) + 10n * DAY;
+
+    await invoiceContract.createDutchInvoice(asset, floorPrice, decayEndTime);
+
+    expect(
+      (
+        await marketplaceContract.getListedInfo(
+          invoiceContract.getAddress(),
+          id,
+          0
+        )
+      ).salePrice
+    ).to.eq(startPrice);
+
+    const info = await marketplaceContract.getListingTerms(
+      invoiceContract.getAddress(),
+      id,
+      0
+    );
+    expect(info.floorPrice).to.eq(floorPrice);
+    expect(info.decayEndTime).to.eq(decayEndTime);
+
+    const buyTime =
+      info.decayStartTime + (decayEndTime - info.decayStartTime) / 2n;
+    const expectedPrice =
+      startPrice -
+      ((startPrice - floorPrice) * (buyTime - info.decayStartTime)) /
+        (decayEndTime - info.decayStartTime);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    await time.setNextBlockTimestamp(buyTime);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buy(id, 0, 1000, invoiceContract.getAddress())
+    )
+      .to.emit(marketplaceContract, "AssetBought")
+      .withArgs(
+        await invoiceContract.getAddress(),
+        await buyer.getAddress(),
+        id,
+        0,
+        expectedPrice,
+        expectedPrice * 1000n,
+        1000,
+        await stableTokenContract.getAddress()
+      );
+
+    expect(
+      await stableTokenContract.balanceOf(treasuryWallet.getAddress())
+    ).to.eq(expectedPrice * 1000n);
+  });
+
+  it("Should list with a fixed price and no listing terms", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .list(
+          id,
+          1,
+          await createList(
+            1000,
+            asset.fractions,
+            1,
+            stableTokenContract.getAddress()
+          )
+        )
+    )
+      .to.emit(marketplaceContract, "AssetListed")
+      .withArgs(await user1.getAddress(), id, 1, [
+        1000,
+        asset.fractions,
+        1,
+        await stableTokenContract.getAddress(),
+      ])
+      .and.not.to.emit(marketplaceContract, "ListingTermsSet");
+
+    expect(
+      await marketplaceContract.getListingTerms(user1.getAddress(), id, 1)
+    ).to.deep.eq([0n, 0n, 0n, 0n]);
+  });
+
+  it("Should return the current sale price of a dutch listing", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const decayStartTime = BigInt(await now()) + DAY;
+    const decayEndTime = decayStartTime + 10n * DAY;
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithTerms(
+          id,
+          1,
+          await createList(
+            1000,
+            asset.fractions,
+            1,
+            stableTokenContract.getAddress()
+          ),
+          await createListingTerms(100, decayStartTime, decayEndTime)
+        )
+    )
+      .to.emit(marketplaceContract, "ListingTermsSet")
+      .withArgs(await user1.getAddress(), id, 1, [
+        100,
+        decayStartTime,
+        decayEndTime,
+        0,
+      ]);
+
+    expect(
+      await marketplaceContract.getSalePrice(user1.getAddress(), id, 1)
+    ).to.eq(1000);
+
+    await time.increaseTo(decayStartTime + 5n * DAY);
+
+    expect(
+      await marketplaceContract.getSalePrice(user1.getAddress(), id, 1)
+    ).to.eq(550);
+
+    await time.increaseTo(decayEndTime + DAY);
+
+    expect(
+      await marketplaceContract.getSalePrice(user1.getAddress(), id, 1)
+    ).to.eq(100);
+  });
+
+  it("Should revert on dutch listing with invalid floor price or decay period", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const decayEndTime = BigInt(await now()) + DAY;
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithTerms(
+          id,
+          1,
+          await createList(
+            1000,
+            asset.fractions,
+            1,
+            stableTokenContract.getAddress()
+          ),
+          await createListingTerms(0, 0, decayEndTime)
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidPrice");
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithTerms(
+          id,
+          1,
+          await createList(
+            1000,
+            asset.fractions,
+            1,
+            stableTokenContract.getAddress()
+          ),
+          await createListingTerms(1000, 0, decayEndTime)
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidPrice");
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithTerms(
+          id,
+          1,
+          await createList(
+            1000,
+            asset.fractions,
+            1,
+            stableTokenContract.getAddress()
+          ),
+          await createListingTerms(100, decayEndTime, decayEndTime)
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidDecayPeriod");
+  });
+
+  it("Should revert to create dutch invoice without originator role", async function () {
+    await expect(
+      invoiceContract
+        .connect(user1)
+        .createDutchInvoice(asset, 1, BigInt(await now()) + DAY)
+    ).to.be.reverted;
+  });
+
+  it("Should buy a listing before its expiry", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const expiresAt = BigInt(await now()) + DAY;
+
+    await marketplaceContract
+      .connect(user1)
+      .listWithTerms(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        ),
+        await createListingTerms(0, 0, 0, expiresAt)
+      );
+
+    const info = await marketplaceContract.getListedInfo(
+      user1.getAddress(),
+      id,
+      1
+    );
+    expect(info.listedFractions).to.eq(asset.fractions);
+    expect(
+      (await marketplaceContract.getListingTerms(user1.getAddress(), id, 1))
+        .expiresAt
+    ).to.eq(expiresAt);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 1, 1000, user1.getAddress());
+
+    expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
+      1000
+    );
+  });
+
+  it("Should report expired listing as inactive and revert to buy it", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const expiresAt = BigInt(await now()) + DAY;
+
+    await marketplaceContract
+      .connect(user1)
+      .listWithTerms(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        ),
+        await createListingTerms(0, 0, 0, expiresAt)
+      );
+
+    await time.increaseTo(expiresAt + 1n);
+
+    const info = await marketplaceContract.getListedInfo(
+      user1.getAddress(),
+      id,
+      1
+    );
+    expect(info.listedFractions).to.eq(0);
+    expect(
+      (await marketplaceContract.getListingTerms(user1.getAddress(), id, 1))
+        .expiresAt
+    ).to.eq(expiresAt);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), asset.price);
+
+    await expect(
+      marketplaceContract.connect(buyer).buy(id, 1, 1000, user1.getAddress())
+    ).to.be.revertedWithCustomError(marketplaceContract, "ListingExpired");
+
+    await expect(marketplaceContract.connect(user1).unlist(id, 1)).to.emit(
+      marketplaceContract,
+      "AssetUnlisted"
+    );
+  });
+
+  it("Should revert to list with an expiry in the past", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithTerms(
+          id,
+          1,
+          await createList(
+            1000,
+            asset.fractions,
+            1,
+            stableTokenContract.getAddress()
+          ),
+          await createListingTerms(0, 0, 0, await now())
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidExpiry");
+  });
+
+  it("Should return fillable fractions based on live owner balance", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    expect(
+      await marketplaceContract.getFillableFractions(user1.getAddress(), id, 1)
+    ).to.eq(0);
+
+    const expiresAt = BigInt(await now()) + DAY;
+
+    await marketplaceContract
+      .connect(user1)
+      .listWithTerms(
+        id,
+        1,
+        await createList(1000, 1000, 100, stableTokenContract.getAddress()),
+        await createListingTerms(0, 0, 0, expiresAt)
+      );
+
+    expect(
+      await marketplaceContract.getFillableFractions(user1.getAddress(), id, 1)
+    ).to.eq(1000);
+
+    await assetContract
+      .connect(user1)
+      .safeTransferFrom(
+        user1.getAddress(),
+        buyer.getAddress(),
+        id,
+        1,
+        property.fractions - 400n
+      );
+
+    expect(
+      await marketplaceContract.getFillableFractions(user1.getAddress(), id, 1)
+    ).to.eq(400);
+
+    await assetContract
+      .connect(user1)
+      .safeTransferFrom(user1.getAddress(), buyer.getAddress(), id, 1, 350);
+
+    expect(
+      await marketplaceContract.getFillableFractions(user1.getAddress(), id, 1)
+    ).to.eq(0);
+
+    await assetContract
+      .connect(buyer)
+      .safeTransferFrom(buyer.getAddress(), user1.getAddress(), id, 1, 950);
+
+    await time.increaseTo(expiresAt + 1n);
+
+    expect(
+      await marketplaceContract.getFillableFractions(user1.getAddress(), id, 1)
+    ).to.eq(0);
+  });
+
+  it("Should buy a listing with an additional payment token", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, buyer.getAddress(), 200000);
+    await marketplaceContract.setPaymentToken(daiContract.getAddress(), 0);
+
+    await newFeeManager.setDefaultFees(100, 200);
+
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(id, 1, [await daiContract.getAddress()], [2000])
+    )
+      .to.emit(marketplaceContract, "TokenPriceSet")
+      .withArgs(
+        await user1.getAddress(),
+        id,
+        1,
+        await daiContract.getAddress(),
+        2000
+      );
+
+    expect(
+      await marketplaceContract.getTokenPrice(
+        user1.getAddress(),
+        id,
+        1,
+        daiContract.getAddress()
+      )
+    ).to.eq(2000);
+    expect(
+      await marketplaceContract.getTokenPrice(
+        user1.getAddress(),
+        id,
+        1,
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(1000);
+
+    await daiContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithToken(
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          daiContract.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256
+        )
+    )
+      .to.emit(marketplaceContract, "AssetBought")
+      .withArgs(
+        await user1.getAddress(),
+        await buyer.getAddress(),
+        id,
+        1,
+        2000,
+        200000,
+        100,
+        await daiContract.getAddress()
+      );
+
+    expect(await daiContract.balanceOf(user1.getAddress())).to.eq(200000);
+    expect(await daiContract.balanceOf(feeWallet.getAddress())).to.eq(2000);
+    expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+      0
+    );
+  });
+
+  it("Should drop the additional token prices of a listing on unlist", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, buyer.getAddress(), 200000);
+    await marketplaceContract.setPaymentToken(daiContract.getAddress(), 0);
+
+    const listing = await createList(
+      1000,
+      asset.fractions,
+      1,
+      stableTokenContract.getAddress()
+    );
+    await marketplaceContract.connect(user1).list(id, 1, listing);
+    await marketplaceContract
+      .connect(user1)
+      .setTokenPrices(id, 1, [await daiContract.getAddress()], [2000]);
+
+    await marketplaceContract.connect(user1).unlist(id, 1);
+    expect(
+      await marketplaceContract.getTokenPrice(
+        user1.getAddress(),
+        id,
+        1,
+        daiContract.getAddress()
+      )
+    ).to.eq(0);
+
+    await marketplaceContract.connect(user1).list(id, 1, listing);
+    expect(
+      await marketplaceContract.getTokenPrice(
+        user1.getAddress(),
+        id,
+        1,
+        daiContract.getAddress()
+      )
+    ).to.eq(0);
+  });
+
+  it("Should revert to buy with a token not accepted by the listing", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, buyer.getAddress(), 200000);
+    await marketplaceContract.setPaymentToken(daiContract.getAddress(), 0);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(id, 1, [await daiContract.getAddress()], [2000])
+    ).to.be.revertedWithCustomError(marketplaceContract, "ListingNotFound");
+
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(id, 1, [await stableTokenContract.getAddress()], [1])
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidAddress");
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(id, 1, [await daiContract.getAddress()], [])
+    ).to.be.revertedWithCustomError(marketplaceContract, "NoArrayParity");
+
+    await marketplaceContract.setBatchLimit(1);
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setTokenPrices(
+          id,
+          1,
+          [await daiContract.getAddress(), await daiContract.getAddress()],
+          [2000, 2000]
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "BatchLimitExceeded");
+
+    await marketplaceContract
+      .connect(user1)
+      .setTokenPrices(id, 1, [await daiContract.getAddress()], [2000]);
+
+    // listing again resets the prices of additional tokens
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    expect(
+      await marketplaceContract.getTokenPrice(
+        user1.getAddress(),
+        id,
+        1,
+        daiContract.getAddress()
+      )
+    ).to.eq(0);
+
+    await daiContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithToken(
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          daiContract.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "UnsupportedToken");
+  });
+
+  it("Should set the wrapped native token", async function () {
+    const wrappedNative = await (
+      await ethers.getContractFactory("MockWrappedNative")
+    ).deploy();
+
+    await expect(
+      marketplaceContract.setWrappedNative(wrappedNative.getAddress())
+    )
+      .to.emit(marketplaceContract, "WrappedNativeSet")
+      .withArgs(ethers.ZeroAddress, await wrappedNative.getAddress());
+
+    expect(await marketplaceContract.getWrappedNative()).to.eq(
+      await wrappedNative.getAddress()
+    );
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .setWrappedNative(wrappedNative.getAddress())
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+  });
+
+  it("Should buy with native currency and refund the excess", async function () {
+    const wrappedNative = await (
+      await ethers.getContractFactory("MockWrappedNative")
+    ).deploy();
+    await marketplaceContract.setPaymentToken(wrappedNative.getAddress(), 0);
+    await marketplaceContract.setWrappedNative(wrappedNative.getAddress());
+    await newFeeManager.setDefaultFees(100, 200);
+
+    const ids = [];
+    for (let i = 0; i < 2; i++) {
+      ids.push(await getId(propertyContract, await user1.getAddress()));
+      await propertyContract.createProperty(await user1.getAddress(), property);
+      await marketplaceContract
+        .connect(user1)
+        .list(
+          ids[i],
+          1,
+          await createList(1000, asset.fractions, 1, wrappedNative.getAddress())
+        );
+    }
+
+    const cost = 100n * 1000n + (100n * 1000n * 100n) / 10000n;
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(
+          ids[0],
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          {
+            value: cost + 5000n,
+          }
+        )
+    ).to.changeEtherBalance(buyer, -cost);
+
+    expect(await wrappedNative.balanceOf(user1.getAddress())).to.eq(100000);
+    expect(await wrappedNative.balanceOf(feeWallet.getAddress())).to.eq(1000);
+    expect(
+      await wrappedNative.balanceOf(marketplaceContract.getAddress())
+    ).to.eq(0);
+    expect(
+      await assetContract.subBalanceOf(buyer.getAddress(), ids[0], 1)
+    ).to.eq(100);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .batchBuyWithNative(
+          ids,
+          [1, 1],
+          [100, 100],
+          [user1.getAddress(), user1.getAddress()],
+          [],
+          { value: 3n * cost }
+        )
+    ).to.changeEtherBalance(buyer, -2n * cost);
+
+    expect(
+      await assetContract.subBalanceOf(buyer.getAddress(), ids[1], 1)
+    ).to.eq(100);
+  });
+
+  it("Should revert to buy with native currency on invalid conditions", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          { value: 100000 }
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "UnsupportedToken");
+
+    const wrappedNative = await (
+      await ethers.getContractFactory("MockWrappedNative")
+    ).deploy();
+    await marketplaceContract.setPaymentToken(wrappedNative.getAddress(), 0);
+    await marketplaceContract.setWrappedNative(wrappedNative.getAddress());
+
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          { value: 100000 }
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "UnsupportedToken");
+
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(1000, asset.fractions, 1, wrappedNative.getAddress())
+      );
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(id, 1, 100, user1.getAddress(), 999, 100000, {
+          value: 100000,
+        })
+    ).to.be.revertedWithCustomError(marketplaceContract, "MaxPriceExceeded");
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          { value: 99999 }
+        )
+    ).to.be.reverted;
+
+    await expect(
+      buyer.sendTransaction({
+        to: marketplaceContract.getAddress(),
+        value: 1000,
+      })
+    ).to.be.revertedWithCustomError(marketplaceContract, "UnsupportedToken");
+  });
+
+  it("Should buy with a permit of the payment token", async function () {
+    const permitToken = await (
+      await ethers.getContractFactory("MockERC20Permit")
+    ).deploy("Permit Dollar", "PUSD", buyer.getAddress(), 200000);
+    await marketplaceContract.setPaymentToken(permitToken.getAddress(), 0);
+    await newFeeManager.setDefaultFees(100, 200);
+
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(await getId(propertyContract, await user1.getAddress()));
+      await propertyContract.createProperty(await user1.getAddress(), property);
+      await marketplaceContract
+        .connect(user1)
+        .list(
+          ids[i],
+          1,
+          await createList(1000, asset.fractions, 1, permitToken.getAddress())
+        );
+    }
+
+    const signPermit = async (value, deadline) => {
+      const signature = ethers.Signature.from(
+        await buyer.signTypedData(
+          {
+            name: "Permit Dollar",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await permitToken.getAddress(),
+          },
+          {
+            Permit: [
+              { name: "owner", type: "address" },
+              { name: "spender", type: "address" },
+              { name: "value", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "deadline", type: "uint256" },
+            ],
+          },
+          {
+            owner: await buyer.getAddress(),
+            spender: await marketplaceContract.getAddress(),
+            value,
+            nonce: await permitToken.nonces(buyer.getAddress()),
+            deadline,
+          }
+        )
+      );
+      return {
+        token: await permitToken.getAddress(),
+        value,
+        deadline,
+        v: signature.v,
+        r: signature.r,
+        s: signature.s,
+      };
+    };
+
+    const cost = 100n * 1000n + (100n * 1000n * 100n) / 10000n;
+    const deadline = (await time.latest()) + 1000;
+    const permitInfo = await signPermit(cost, deadline);
+
+    await marketplaceContract
+      .connect(buyer)
+      .buyWithPermit(
+        ids[0],
+        1,
+        100,
+        user1.getAddress(),
+        ethers.MaxUint256,
+        ethers.MaxUint256,
+        permitInfo
+      );
+
+    expect(await permitToken.balanceOf(user1.getAddress())).to.eq(100000);
+    expect(await permitToken.balanceOf(feeWallet.getAddress())).to.eq(1000);
+    expect(
+      await assetContract.subBalanceOf(buyer.getAddress(), ids[0], 1)
+    ).to.eq(100);
+
+    await marketplaceContract
+      .connect(buyer)
+      .batchBuyWithPermit(
+        [ids[1], ids[2]],
+        [1, 1],
+        [100, 100],
+        [user1.getAddress(), user1.getAddress()],
+        [],
+        await signPermit(2n * cost, deadline)
+      );
+
+    expect(
+      await assetContract.subBalanceOf(buyer.getAddress(), ids[2], 1)
+    ).to.eq(100);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithPermit(
+          ids[0],
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          permitInfo
+        )
+    ).to.be.revertedWith("ERC20Permit: invalid signature");
+  });
+
+  it("Should buy with a front-run permit of the payment token", async function () {
+    const permitToken = await (
+      await ethers.getContractFactory("MockERC20Permit")
+    ).deploy("Permit Dollar", "PUSD", buyer.getAddress(), 200000);
+    await marketplaceContract.setPaymentToken(permitToken.getAddress(), 0);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(1000, asset.fractions, 1, permitToken.getAddress())
+      );
+
+    const deadline = (await time.latest()) + 1000;
+    const signature = ethers.Signature.from(
+      await buyer.signTypedData(
+        {
+          name: "Permit Dollar",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await permitToken.getAddress(),
+        },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        {
+          owner: await buyer.getAddress(),
+          spender: await marketplaceContract.getAddress(),
+          value: 100000,
+          nonce: 0,
+          deadline,
+        }
+      )
+    );
+
+    await permitToken.permit(
+      buyer.getAddress(),
+      marketplaceContract.getAddress(),
+      100000,
+      deadline,
+      signature.v,
+      signature.r,
+      signature.s
+    );
+
+    await marketplaceContract
+      .connect(buyer)
+      .buyWithPermit(
+        id,
+        1,
+        100,
+        user1.getAddress(),
+        ethers.MaxUint256,
+        ethers.MaxUint256,
+        {
+          token: await permitToken.getAddress(),
+          value: 100000,
+          deadline,
+          v: signature.v,
+          r: signature.r,
+          s: signature.s,
+        }
+      );
+
+    expect(await permitToken.balanceOf(user1.getAddress())).to.eq(100000);
+  });
+
+  it("Should list with a DLT permit without prior approval", async function () {
+    await assetContract
+      .connect(user1)
+      .setApprovalForAll(marketplaceContract.getAddress(), false);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+
+    const list = await createList(
+      1000,
+      100,
+      1,
+      stableTokenContract.getAddress()
+    );
+    const deadline = (await time.latest()) + 1000;
+    const signature = ethers.Signature.from(
+      await user1.signTypedData(
+        {
+          name: "Polytrade Asset Collection",
+          version: "2.3",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await assetContract.getAddress(),
+        },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "mainId", type: "uint256" },
+            { name: "subId", type: "uint256" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        {
+          owner: await user1.getAddress(),
+          spender: await marketplaceContract.getAddress(),
+          mainId: id,
+          subId: 1,
+          amount: 100,
+          nonce: await assetContract.nonces(user1.getAddress()),
+          deadline,
+        }
+      )
+    );
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithPermit(
+          id,
+          1,
+          list,
+          deadline,
+          signature.v,
+          signature.r,
+          signature.s
+        )
+    ).to.emit(marketplaceContract, "AssetListed");
+
+    expect(
+      await assetContract.allowance(
+        user1.getAddress(),
+        marketplaceContract.getAddress(),
+        id,
+        1
+      )
+    ).to.eq(100);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), 100000);
+
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 1, 100, user1.getAddress());
+
+    expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
+      100
+    );
+    expect(
+      await assetContract.allowance(
+        user1.getAddress(),
+        marketplaceContract.getAddress(),
+        id,
+        1
+      )
+    ).to.eq(0);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .listWithPermit(
+          id,
+          1,
+          list,
+          deadline,
+          signature.v,
+          signature.r,
+          signature.s
+        )
+    ).to.be.revertedWithCustomError(assetContract, "InvalidSignature");
+  });
+
+  it("Should escrow proceeds and withdraw them in escrow mode", async function () {
+    await newFeeManager.setDefaultFees(100, 200);
+
+    await expect(marketplaceContract.setEscrowEnabled(true))
+      .to.emit(marketplaceContract, "EscrowModeSet")
+      .withArgs(true);
+    expect(await marketplaceContract.isEscrowEnabled()).to.eq(true);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    await expect(
+      marketplaceContract.connect(buyer).buy(id, 1, 100, user1.getAddress())
+    )
+      .to.emit(marketplaceContract, "PaymentEscrowed")
+      .withArgs(
+        await user1.getAddress(),
+        await stableTokenContract.getAddress(),
+        100000
+      );
+
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(0);
+    expect(
+      await stableTokenContract.balanceOf(marketplaceContract.getAddress())
+    ).to.eq(101000);
+    expect(
+      await marketplaceContract.getEscrowBalance(
+        user1.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(100000);
+    expect(
+      await marketplaceContract.getEscrowBalance(
+        feeWallet.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(1000);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .withdraw(stableTokenContract.getAddress())
+    )
+      .to.emit(marketplaceContract, "Withdrawn")
+      .withArgs(
+        await user1.getAddress(),
+        await stableTokenContract.getAddress(),
+        100000
+      );
+
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      100000
+    );
+    expect(
+      await marketplaceContract.getEscrowBalance(
+        user1.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(0);
+
+    await expect(
+      marketplaceContract
+        .connect(user1)
+        .withdraw(stableTokenContract.getAddress())
+    ).to.be.revertedWithCustomError(marketplaceContract, "NothingToWithdraw");
+
+    await marketplaceContract
+      .connect(feeWallet)
+      .withdraw(stableTokenContract.getAddress());
+    expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+      1000
+    );
+
+    await marketplaceContract.setEscrowEnabled(false);
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 1, 100, user1.getAddress());
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      200000
+    );
+
+    await expect(
+      marketplaceContract.connect(user1).setEscrowEnabled(true)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await user1.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+  });
+
+  it("Should refund native currency without escrowed proceeds in escrow mode", async function () {
+    const wrappedNative = await (
+      await ethers.getContractFactory("MockWrappedNative")
+    ).deploy();
+    await marketplaceContract.setPaymentToken(wrappedNative.getAddress(), 0);
+    await marketplaceContract.setWrappedNative(wrappedNative.getAddress());
+    await marketplaceContract.setEscrowEnabled(true);
+
+    const ids = [];
+    for (let i = 0; i < 2; i++) {
+      ids.push(await getId(propertyContract, await user1.getAddress()));
+      await propertyContract.createProperty(await user1.getAddress(), property);
+      await marketplaceContract
+        .connect(user1)
+        .list(
+          ids[i],
+          1,
+          await createList(1000, asset.fractions, 1, wrappedNative.getAddress())
+        );
+    }
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(
+          ids[0],
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          { value: 150000 }
+        )
+    ).to.changeEtherBalance(buyer, -100000);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .buyWithNative(
+          ids[1],
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          { value: 100000 }
+        )
+    ).to.changeEtherBalance(buyer, -100000);
+
+    expect(
+      await wrappedNative.balanceOf(marketplaceContract.getAddress())
+    ).to.eq(200000);
+
+    await marketplaceContract
+      .connect(user1)
+      .withdraw(wrappedNative.getAddress());
+    expect(await wrappedNative.balanceOf(user1.getAddress())).to.eq(200000);
+  });
+
+  it("Should pay royalty on secondary sales only", async function () {
+    await assetContract.setRoyalty(
+      await getId(propertyContract, await user1.getAddress()),
+      treasuryWallet.getAddress(),
+      500
+    );
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    await expect(
+      marketplaceContract.connect(buyer).buy(id, 1, 100, user1.getAddress())
+    ).to.not.emit(marketplaceContract, "RoyaltyPaid");
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      100000
+    );
+
+    await marketplaceContract
+      .connect(buyer)
+      .list(
+        id,
+        1,
+        await createList(1000, 100, 1, stableTokenContract.getAddress())
+      );
+    await stableTokenContract
+      .connect(buyer)
+      .transfer(deployer.getAddress(), 100000);
+    await stableTokenContract
+      .connect(deployer)
+      .approve(marketplaceContract.getAddress(), 100000);
+
+    await newFeeManager.setSellerFee(500);
+    const buyerBalance = await stableTokenContract.balanceOf(
+      buyer.getAddress()
+    );
+
+    await expect(
+      marketplaceContract.connect(deployer).buy(id, 1, 100, buyer.getAddress())
+    )
+      .to.emit(marketplaceContract, "RoyaltyPaid")
+      .withArgs(
+        id,
+        1,
+        await treasuryWallet.getAddress(),
+        await stableTokenContract.getAddress(),
+        5000
+      );
+
+    expect(
+      await stableTokenContract.balanceOf(treasuryWallet.getAddress())
+    ).to.eq(5000);
+    expect(await stableTokenContract.balanceOf(buyer.getAddress())).to.eq(
+      buyerBalance + 90000n
+    );
+  });
+
+  it("Should skip royalty on asset collections not supporting ERC-2981", async function () {
+    const legacyAsset = await (
+      await ethers.getContractFactory("MockLegacyAsset")
+    ).deploy();
+    const legacyMarketplace = await upgrades.deployProxy(
+      marketplaceFactory,
+      [await legacyAsset.getAddress(), await newFeeManager.getAddress()],
+      { unsafeAllow: ["external-library-linking"] }
+    );
+    await legacyMarketplace.setPaymentToken(
+      stableTokenContract.getAddress(),
+      0
+    );
+
+    await legacyAsset.grantRole(AssetManagerAccess, deployer.getAddress());
+    await legacyAsset.setRoyalty(1, treasuryWallet.getAddress(), 500);
+    await legacyAsset.createAsset(deployer.getAddress(), 1, 1, 1000);
+    await legacyAsset.safeTransferFrom(
+      deployer.getAddress(),
+      user1.getAddress(),
+      1,
+      1,
+      1000
+    );
+    await legacyAsset
+      .connect(user1)
+      .setApprovalForAll(legacyMarketplace.getAddress(), true);
+    await legacyMarketplace
+      .connect(user1)
+      .list(
+        1,
+        1,
+        await createList(1000, 1000, 1, stableTokenContract.getAddress())
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(legacyMarketplace.getAddress(), 100000);
+
+    await expect(
+      legacyMarketplace.connect(buyer).buy(1, 1, 100, user1.getAddress())
+    ).to.not.emit(legacyMarketplace, "RoyaltyPaid");
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      100000
+    );
+  });
+
+  it("Should charge the tier fee of the buyer on secondary buys", async function () {
+    await newFeeManager.setDefaultFees(0, 200);
+    await newFeeManager.setTierFee(1, 50);
+    await newFeeManager.setBuyerTier(buyer.getAddress(), 1);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await assetContract
+      .connect(user1)
+      ["safeTransferFrom(address,address,uint256,uint256,uint256)"](
+        user1.getAddress(),
+        deployer.getAddress(),
+        id,
+        1,
+        100
+      );
+    await assetContract
+      .connect(deployer)
+      .setApprovalForAll(marketplaceContract.getAddress(), true);
+    await marketplaceContract
+      .connect(deployer)
+      .list(
+        id,
+        1,
+        await createList(1000, 100, 1, stableTokenContract.getAddress())
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 1, 100, deployer.getAddress());
+
+    expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+      500
+    );
+  });
+
+  it("Should deduct the seller fee and split the collected fees", async function () {
+    await newFeeManager.setDefaultFees(100, 200);
+    await newFeeManager.setSellerFee(50);
+    await newFeeManager.setFeeSplits([
+      { wallet: await feeWallet.getAddress(), share: 7000 },
+      { wallet: await newTreasuryWallet.getAddress(), share: 3000 },
+    ]);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+    await marketplaceContract
+      .connect(buyer)
+      .buy(id, 1, 100, user1.getAddress());
+
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      99500
+    );
+    expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+      1050
+    );
+    expect(
+      await stableTokenContract.balanceOf(newTreasuryWallet.getAddress())
+    ).to.eq(450);
+  });
+
+  it("Should pay the referral share of fees to the referrer", async function () {
+    await newFeeManager.setDefaultFees(100, 200);
+    await newFeeManager.setReferralShare(2000);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        ["buy(uint256,uint256,uint256,address,uint256,uint256,address)"](
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          buyer.getAddress()
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidReferrer");
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        ["buy(uint256,uint256,uint256,address,uint256,uint256,address)"](
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          user1.getAddress()
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidReferrer");
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        ["buy(uint256,uint256,uint256,address,uint256,uint256,address)"](
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          deployer.getAddress()
+        )
+    ).to.be.revertedWithCustomError(marketplaceContract, "InvalidReferrer");
+
+    await newFeeManager.setReferrer(deployer.getAddress(), true);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        ["buy(uint256,uint256,uint256,address,uint256,uint256,address)"](
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          ethers.MaxUint256,
+          ethers.MaxUint256,
+          deployer.getAddress()
+        )
+    )
+      .to.emit(marketplaceContract, "ReferralFeePaid")
+      .withArgs(
+        await deployer.getAddress(),
+        await buyer.getAddress(),
+        await stableTokenContract.getAddress(),
+        200
+      );
+
+    await marketplaceContract
+      .connect(buyer)
+      [
+        "batchBuy(uint256[],uint256[],uint256[],address[],(uint256,uint256)[],address)"
+      ]([id], [1], [100], [user1.getAddress()], [], deployer.getAddress());
+
+    expect(await stableTokenContract.balanceOf(deployer.getAddress())).to.eq(
+      400
+    );
+    expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+      1600
+    );
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      200000
+    );
+  });
+
+  it("Should revert to buy above the price and cost limits of the buyer", async function () {
+    await newFeeManager.setDefaultFees(100, 200);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(
+          1000,
+          asset.fractions,
+          1,
+          stableTokenContract.getAddress()
+        )
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    const buyWithLimits = (maxPricePerFraction, maxTotalCost) =>
+      marketplaceContract
+        .connect(buyer)
+        ["buy(uint256,uint256,uint256,address,uint256,uint256,address)"](
+          id,
+          1,
+          100,
+          user1.getAddress(),
+          maxPricePerFraction,
+          maxTotalCost,
+          ethers.ZeroAddress
+        );
+    await expect(buyWithLimits(999, 101000)).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "MaxPriceExceeded"
+    );
+    await expect(buyWithLimits(1000, 100999)).to.be.revertedWithCustomError(
+      marketplaceContract,
+      "MaxCostExceeded"
+    );
+    await buyWithLimits(1000, 101000);
+
+    const batchBuyWithLimits = (limits) =>
+      marketplaceContract
+        .connect(buyer)
+        [
+          "batchBuy(uint256[],uint256[],uint256[],address[],(uint256,uint256)[],address)"
+        ]([id], [1], [100], [user1.getAddress()], limits, ethers.ZeroAddress);
+    await expect(
+      batchBuyWithLimits([
+        { maxPricePerFraction: 1100, maxTotalCost: 111100 },
+        { maxPricePerFraction: 1100, maxTotalCost: 111100 },
+      ])
+    ).to.be.revertedWithCustomError(marketplaceContract, "NoArrayParity");
+
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(1100, 100, 1, stableTokenContract.getAddress())
+      );
+    await expect(
+      batchBuyWithLimits([{ maxPricePerFraction: 1099, maxTotalCost: 111100 }])
+    ).to.be.revertedWithCustomError(marketplaceContract, "MaxPriceExceeded");
+    await expect(
+      batchBuyWithLimits([{ maxPricePerFraction: 1100, maxTotalCost: 101000 }])
+    ).to.be.revertedWithCustomError(marketplaceContract, "MaxCostExceeded");
+    await batchBuyWithLimits([
+      { maxPricePerFraction: 1100, maxTotalCost: 111100 },
+    ]);
+
+    expect(await stableTokenContract.balanceOf(user1.getAddress())).to.eq(
+      210000
+    );
+  });
+
+  it("Should sweep the listings of several sellers skipping stale ones", async function () {
+    await newFeeManager.setDefaultFees(100, 200);
+
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await assetContract
+      .connect(user1)
+      .safeTransferFrom(user1.getAddress(), deployer.getAddress(), id, 1, 150);
+    await assetContract
+      .connect(user1)
+      .safeTransferFrom(
+        user1.getAddress(),
+        treasuryWallet.getAddress(),
+        id,
+        1,
+        500
+      );
+    await assetContract
+      .connect(deployer)
+      .setApprovalForAll(marketplaceContract.getAddress(), true);
+    await assetContract
+      .connect(treasuryWallet)
+      .setApprovalForAll(marketplaceContract.getAddress(), true);
+
+    await marketplaceContract
+      .connect(deployer)
+      .list(
+        id,
+        1,
+        await createList(90, 150, 1, stableTokenContract.getAddress())
+      );
+    await marketplaceContract
+      .connect(treasuryWallet)
+      .list(
+        id,
+        1,
+        await createList(120, 500, 1, stableTokenContract.getAddress())
+      );
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(100, 1000, 1, stableTokenContract.getAddress())
+      );
+    await assetContract
+      .connect(deployer)
+      .safeTransferFrom(
+        deployer.getAddress(),
+        newTreasuryWallet.getAddress(),
+        id,
+        1,
+        50
+      );
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    const sellers = [
+      await newTreasuryWallet.getAddress(),
+      await deployer.getAddress(),
+      await treasuryWallet.getAddress(),
+      await user1.getAddress(),
+    ];
+    const [filled, spent] = await marketplaceContract
+      .connect(buyer)
+      .sweep.staticCall(id, 1, 350, 100, sellers);
+    expect(filled).to.eq(350);
+    expect(spent).to.eq(9180 + 25250);
+
+    await marketplaceContract.connect(buyer).sweep(id, 1, 350, 100, sellers);
+
+    expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
+      350
+    );
+    expect(
+      await marketplaceContract.getFillableFractions(user1.getAddress(), id, 1)
+    ).to.eq(750);
+    expect(
+      await marketplaceContract.getFillableFractions(
+        treasuryWallet.getAddress(),
+        id,
+        1
+      )
+    ).to.eq(500);
+
+    await expect(
+      marketplaceContract
+        .connect(buyer)
+        .sweep(id, 1, 350, 100, Array(31).fill(await user1.getAddress()))
+    ).to.be.revertedWithCustomError(marketplaceContract, "BatchLimitExceeded");
+  });
+
+  it("Should sweep skipping sellers without approval or with halted trading", async function () {
+    const id = await getId(propertyContract, await user1.getAddress());
+    await propertyContract.createProperty(await user1.getAddress(), property);
+    await assetContract
+      .connect(user1)
+      .safeTransferFrom(user1.getAddress(), deployer.getAddress(), id, 1, 150);
+    await assetContract
+      .connect(deployer)
+      .setApprovalForAll(marketplaceContract.getAddress(), true);
+
+    await marketplaceContract
+      .connect(deployer)
+      .list(
+        id,
+        1,
+        await createList(90, 150, 1, stableTokenContract.getAddress())
+      );
+    await marketplaceContract
+      .connect(user1)
+      .list(
+        id,
+        1,
+        await createList(100, 1000, 1, stableTokenContract.getAddress())
+      );
+    await assetContract
+      .connect(deployer)
+      .setApprovalForAll(marketplaceContract.getAddress(), false);
+    await assetContract
+      .connect(deployer)
+      .approve(marketplaceContract.getAddress(), id, 1, 40);
+
+    expect(
+      await marketplaceContract.getFillableFractions(
+        deployer.getAddress(),
+        id,
+        1
+      )
+    ).to.eq(40);
+
+    await stableTokenContract
+      .connect(buyer)
+      .approve(marketplaceContract.getAddress(), ethers.MaxUint256);
+
+    const sellers = [await deployer.getAddress(), await user1.getAddress()];
+    await marketplaceContract.connect(buyer).sweep(id, 1, 200, 100, sellers);
+
+    expect(
+      await assetContract.subBalanceOf(deployer.getAddress(), id, 1)
+    ).to.eq(110);
+    expect(await assetContract.subBalanceOf(buyer.getAddress(), id, 1)).to.eq(
+      200
+    );
+    expect(
+      await marketplaceContract.getFillableFractions(
+        deployer.getAddress(),
+        id,
+        1
+      )
+    ).to.eq(0);
+
+    await marketplaceContract.grantRole(PauserAccess, deployer.getAddress());
+    await marketplaceContract.setSubIdFrozen(id, 1, true);
+    let [filled] = await marketplaceContract
+      .connect(buyer)
+      .sweep.staticCall(id, 1, 100, 100, sellers);
+    expect(filled).to.eq(0);
+
+    await marketplaceContract.setSubIdFrozen(id, 1, false);
+    await marketplaceContract.setPaymentTokenDisabled(
+      stableTokenContract.getAddress(),
+      true
+    );
+    [filled] = await marketplaceContract
+      .connect(buyer)
+      .sweep.staticCall(id, 1, 100, 100, sellers);
+    expect(filled).to.eq(0);
+  });
+
   it("Should revert to buy when asset is not listed", async function () {
     const id = await getId(propertyContract, await user1.getAddress());
     await propertyContract.createProperty(
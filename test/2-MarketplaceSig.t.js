@@ -5,6 +5,7 @@ const {
   offer,
   AssetManagerAccess,
   OriginatorAccess,
+  PauserAccess,
   createAsset,
 } = require("./helpers/data.spec");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
@@ -19,6 +20,8 @@ describe("Marketplace Signatures", function () {
   let assetContract;
   let stableTokenContract;
   let marketplaceContract;
+  let marketplaceFactory;
+  let feeManager;
   let deployer;
   let user1;
   let offeror;
@@ -63,21 +66,43 @@ describe("Marketplace Signatures", function () {
     await assetContract.waitForDeployment();
 
     const FeeManagerFactory = await ethers.getContractFactory("FeeManager");
-    const FeeManager = await FeeManagerFactory.deploy(
+    feeManager = await FeeManagerFactory.deploy(
       0,
       0,
       await feeWallet.getAddress()
     );
 
-    await FeeManager.waitForDeployment();
+    await feeManager.waitForDeployment();
 
     stableTokenContract = await (
       await ethers.getContractFactory("MockERC20")
     ).deploy("USD Dollar", "USDC", 18, offeror.getAddress(), 20000000);
 
+    const settlement = await (
+      await ethers.getContractFactory("Settlement")
+    ).deploy();
+    const listings = await (
+      await ethers.getContractFactory("Listings")
+    ).deploy();
+    const offers = await (await ethers.getContractFactory("Offers")).deploy();
+    const batches = await (await ethers.getContractFactory("Batches")).deploy();
+    marketplaceFactory = await ethers.getContractFactory("Marketplace", {
+      libraries: {
+        Settlement: await settlement.getAddress(),
+        Listings: await listings.getAddress(),
+        Offers: await offers.getAddress(),
+        Batches: await batches.getAddress(),
+      },
+    });
     marketplaceContract = await upgrades.deployProxy(
-      await ethers.getContractFactory("Marketplace"),
-      [await assetContract.getAddress(), await FeeManager.getAddress()]
+      marketplaceFactory,
+      [await assetContract.getAddress(), await feeManager.getAddress()],
+      { unsafeAllow: ["external-library-linking"] }
+    );
+
+    await marketplaceContract.setPaymentToken(
+      stableTokenContract.getAddress(),
+      0
     );
 
     invoiceContract = await upgrades.deployProxy(
@@ -238,10 +263,31 @@ describe("Marketplace Signatures", function () {
 
       expect(
         await marketplaceContract.getNonce(offeror.getAddress())
-      ).to.be.equal("1");
+      ).to.be.equal("0");
+      expect(await marketplaceContract.getFilledFractions(hash)).to.be.equal(
+        1000
+      );
       expect(user1BalanceAfterBuy - user1BalanceBeforeBuy).to.be.equal(
         offer.offerPrice / 10n
       );
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          .offer(
+            user1.getAddress(),
+            offeror.getAddress(),
+            stableTokenContract.getAddress(),
+            offer.offerPrice / 10000n,
+            id,
+            1,
+            1000,
+            params.deadline,
+            v,
+            r,
+            s
+          )
+      ).to.be.revertedWithCustomError(marketplaceContract, "NotEnoughOffered");
     });
 
     it("Should buy invoice for second time to apply buying fee", async function () {
@@ -293,6 +339,63 @@ describe("Marketplace Signatures", function () {
         );
     });
 
+    it("Should pay the referral share of fees on a signed offer", async function () {
+      await feeManager.setDefaultFees(100, 200);
+      await feeManager.setReferralShare(5000);
+      await feeManager.setReferrer(deployer.getAddress(), true);
+
+      params = {
+        owner: await user1.getAddress(),
+        offeror: await offeror.getAddress(),
+        token: await stableTokenContract.getAddress(),
+        offerPrice: offer.offerPrice / 10000n,
+        mainId: id,
+        subId: 1,
+        fractionsToBuy: 1000,
+        nonce: 0,
+        deadline: offer.deadline + BigInt(await now()),
+      };
+
+      signature = await offeror.signTypedData(domainData, offerType, params);
+      const { r, s, v } = ethers.Signature.from(signature);
+      const referralFee = ((offer.offerPrice / 10n) * 100n) / 10000n / 2n;
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          [
+            "offer(address,address,address,uint256,uint256,uint256,uint256,uint256,uint8,bytes32,bytes32,address)"
+          ](
+            params.owner,
+            params.offeror,
+            params.token,
+            params.offerPrice,
+            id,
+            1,
+            1000,
+            params.deadline,
+            v,
+            r,
+            s,
+            deployer.getAddress()
+          )
+      )
+        .to.emit(marketplaceContract, "ReferralFeePaid")
+        .withArgs(
+          await deployer.getAddress(),
+          await offeror.getAddress(),
+          await stableTokenContract.getAddress(),
+          referralFee
+        );
+
+      expect(await stableTokenContract.balanceOf(deployer.getAddress())).to.eq(
+        referralFee
+      );
+      expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+        referralFee
+      );
+    });
+
     it("Should revert if owner balance is not enough", async function () {
       const nowTime = await now();
       params = {
@@ -408,6 +511,49 @@ describe("Marketplace Signatures", function () {
       ).to.be.reverted;
     });
 
+    it("Should revert to buy with a cancelled owner signed offer", async function () {
+      params = {
+        owner: await user1.getAddress(),
+        offeror: await offeror.getAddress(),
+        token: await stableTokenContract.getAddress(),
+        offerPrice: offer.offerPrice / 10000n,
+        mainId: id,
+        subId: 1,
+        fractionsToBuy: 1000,
+        nonce: 0,
+        deadline: offer.deadline + BigInt(await now()),
+      };
+
+      signature = await offeror.signTypedData(domainData, offerType, params);
+      const { r, s, v } = ethers.Signature.from(signature);
+      const offerHash = calculateOfferHash(params);
+
+      await expect(marketplaceContract.connect(offeror).cancelOffer(offerHash))
+        .to.emit(marketplaceContract, "OfferCancelled")
+        .withArgs(await offeror.getAddress(), offerHash);
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          .offer(
+            params.owner,
+            params.offeror,
+            params.token,
+            params.offerPrice,
+            params.mainId,
+            params.subId,
+            params.fractionsToBuy,
+            params.deadline,
+            v,
+            r,
+            s
+          )
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "OfferAlreadyCancelled"
+      );
+    });
+
     it("Should revert expired offers", async function () {
       const expiredDeadline = BigInt(await time.latest()) - 100n;
 
@@ -432,4 +578,701 @@ describe("Marketplace Signatures", function () {
       ).to.be.reverted;
     });
   });
+
+  describe("Partial Offer", function () {
+    let partialOfferType;
+    let offerInfo;
+
+    beforeEach(async () => {
+      partialOfferType = {
+        partialOffer: [
+          { name: "offeror", type: "address" },
+          { name: "token", type: "address" },
+          { name: "offerPrice", type: "uint256" },
+          { name: "mainId", type: "uint256" },
+          { name: "subId", type: "uint256" },
+          { name: "maxFractions", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+
+      offerInfo = {
+        offeror: await offeror.getAddress(),
+        token: await stableTokenContract.getAddress(),
+        offerPrice: 1000n,
+        mainId: id,
+        subId: 1n,
+        maxFractions: 3000n,
+        nonce: 0n,
+        deadline: offer.deadline + BigInt(await now()),
+      };
+
+      await assetContract
+        .connect(user1)
+        .safeTransferFrom(
+          user1.getAddress(),
+          deployer.getAddress(),
+          id,
+          1,
+          2000
+        );
+
+      await assetContract
+        .connect(deployer)
+        .setApprovalForAll(marketplaceContract.getAddress(), true);
+    });
+
+    it("Should return the struct hash of the offer", async function () {
+      expect(await marketplaceContract.getOfferHash(offerInfo)).to.eq(
+        ethers.TypedDataEncoder.hashStruct(
+          "partialOffer",
+          partialOfferType,
+          offerInfo
+        )
+      );
+    });
+
+    it("Should fill a signed offer partially by multiple holders", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+      const offerHash = await marketplaceContract.getOfferHash(offerInfo);
+      const offerorBalance = await stableTokenContract.balanceOf(
+        offeror.getAddress()
+      );
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      )
+        .to.emit(marketplaceContract, "OfferFilled")
+        .withArgs(
+          offerHash,
+          await user1.getAddress(),
+          await offeror.getAddress(),
+          1000,
+          1000
+        );
+
+      await expect(
+        marketplaceContract
+          .connect(deployer)
+          .fillOffer(offerInfo, 2000, v, r, s)
+      )
+        .to.emit(marketplaceContract, "AssetBought")
+        .withArgs(
+          await deployer.getAddress(),
+          await offeror.getAddress(),
+          id,
+          1,
+          1000,
+          2000000,
+          2000,
+          await stableTokenContract.getAddress()
+        );
+
+      expect(await marketplaceContract.getFilledFractions(offerHash)).to.eq(
+        3000
+      );
+      expect(
+        await assetContract.subBalanceOf(offeror.getAddress(), id, 1)
+      ).to.eq(3000);
+      expect(
+        offerorBalance -
+          (await stableTokenContract.balanceOf(offeror.getAddress()))
+      ).to.eq(3000000);
+      expect(
+        await marketplaceContract.getNonce(offeror.getAddress())
+      ).to.be.equal(0);
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "NotEnoughOffered");
+
+      expect(await marketplaceContract.isOfferExecutable(offerInfo)).to.eq(
+        false
+      );
+    });
+
+    it("Should keep a partial offer fillable after an owner signed offer of the offeror", async function () {
+      const params = {
+        owner: await user1.getAddress(),
+        offeror: await offeror.getAddress(),
+        token: await stableTokenContract.getAddress(),
+        offerPrice: 1000n,
+        mainId: id,
+        subId: 1n,
+        fractionsToBuy: 1000n,
+        nonce: 0n,
+        deadline: offerInfo.deadline,
+      };
+      const legacy = ethers.Signature.from(
+        await offeror.signTypedData(domainData, offerType, params)
+      );
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await marketplaceContract
+        .connect(user1)
+        .offer(
+          params.owner,
+          params.offeror,
+          params.token,
+          params.offerPrice,
+          params.mainId,
+          params.subId,
+          params.fractionsToBuy,
+          params.deadline,
+          legacy.v,
+          legacy.r,
+          legacy.s
+        );
+
+      expect(await marketplaceContract.isOfferExecutable(offerInfo)).to.eq(
+        true
+      );
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.emit(marketplaceContract, "OfferFilled");
+    });
+
+    it("Should revert to fill more than the offered fractions", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 3001, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "NotEnoughOffered");
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 0, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "InvalidFraction");
+    });
+
+    it("Should revert to fill an offer with invalid signature", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await user1.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "InvalidSignature");
+    });
+
+    it("Should revert to fill an offer while trading is halted", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+      await marketplaceContract.grantRole(PauserAccess, deployer.getAddress());
+
+      await marketplaceContract.setSubIdFrozen(id, 1, true);
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "TradingHalted");
+      await marketplaceContract.setSubIdFrozen(id, 1, false);
+
+      await marketplaceContract.setPaymentTokenDisabled(
+        stableTokenContract.getAddress(),
+        true
+      );
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "PaymentTokenDisabled"
+      );
+    });
+
+    it("Should revert to fill an offer in a token not allowed or below its minimum price", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await marketplaceContract.setPaymentToken(
+        stableTokenContract.getAddress(),
+        offerInfo.offerPrice + 1n
+      );
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "PriceBelowMinimum");
+
+      const daiContract = await (
+        await ethers.getContractFactory("MockERC20")
+      ).deploy("DAI Stablecoin", "DAI", 18, offeror.getAddress(), 200000);
+      await marketplaceContract.setPaymentToken(daiContract.getAddress(), 0);
+      await marketplaceContract.removePaymentToken(
+        stableTokenContract.getAddress()
+      );
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "PaymentTokenNotAllowed"
+      );
+    });
+
+    it("Should revert to fill an offer with invalid nonce", async function () {
+      offerInfo.nonce = 1n;
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "InvalidNonce");
+    });
+
+    it("Should revert to fill an expired offer", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await time.increaseTo(offerInfo.deadline + 1n);
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "OfferExpired");
+    });
+
+    it("Should cancel a single offer by its offeror", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+      const offerHash = await marketplaceContract.getOfferHash(offerInfo);
+
+      expect(await marketplaceContract.isOfferExecutable(offerInfo)).to.eq(
+        true
+      );
+
+      await expect(marketplaceContract.connect(offeror).cancelOffer(offerHash))
+        .to.emit(marketplaceContract, "OfferCancelled")
+        .withArgs(await offeror.getAddress(), offerHash);
+
+      expect(
+        await marketplaceContract.isOfferCancelled(
+          offeror.getAddress(),
+          offerHash
+        )
+      ).to.eq(true);
+      expect(await marketplaceContract.isOfferExecutable(offerInfo)).to.eq(
+        false
+      );
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "OfferAlreadyCancelled"
+      );
+
+      await expect(
+        marketplaceContract.connect(offeror).cancelOffer(offerHash)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "OfferAlreadyCancelled"
+      );
+    });
+
+    it("Should not cancel an offer of another offeror", async function () {
+      const offerHash = await marketplaceContract.getOfferHash(offerInfo);
+
+      await marketplaceContract.connect(user1).cancelOffer(offerHash);
+
+      expect(
+        await marketplaceContract.isOfferCancelled(
+          offeror.getAddress(),
+          offerHash
+        )
+      ).to.eq(false);
+      expect(await marketplaceContract.isOfferExecutable(offerInfo)).to.eq(
+        true
+      );
+    });
+
+    it("Should cancel all offers by incrementing the nonce", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await expect(marketplaceContract.connect(offeror).incrementNonce())
+        .to.emit(marketplaceContract, "NonceIncreased")
+        .withArgs(await offeror.getAddress(), 1);
+
+      expect(
+        await marketplaceContract.getNonce(offeror.getAddress())
+      ).to.be.equal(1);
+      expect(await marketplaceContract.isOfferExecutable(offerInfo)).to.eq(
+        false
+      );
+
+      await expect(
+        marketplaceContract.connect(user1).fillOffer(offerInfo, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "InvalidNonce");
+    });
+
+    it("Should cancel all offers before a nonce", async function () {
+      await expect(
+        marketplaceContract.connect(offeror).cancelAllOffersBefore(5)
+      )
+        .to.emit(marketplaceContract, "NonceIncreased")
+        .withArgs(await offeror.getAddress(), 5);
+
+      expect(
+        await marketplaceContract.getNonce(offeror.getAddress())
+      ).to.be.equal(5);
+
+      offerInfo.nonce = 5n;
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, partialOfferType, offerInfo)
+      );
+
+      await marketplaceContract
+        .connect(user1)
+        .fillOffer(offerInfo, 1000, v, r, s);
+
+      await expect(
+        marketplaceContract.connect(offeror).cancelAllOffersBefore(5)
+      ).to.be.revertedWithCustomError(marketplaceContract, "InvalidNonce");
+    });
+  });
+
+  describe("Collection Offer", function () {
+    let collectionOfferType;
+    let offerInfo;
+
+    beforeEach(async () => {
+      collectionOfferType = {
+        collectionOffer: [
+          { name: "offeror", type: "address" },
+          { name: "token", type: "address" },
+          { name: "offerPrice", type: "uint256" },
+          { name: "mainId", type: "uint256" },
+          { name: "assetManager", type: "address" },
+          { name: "maxFractions", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+
+      offerInfo = {
+        offeror: await offeror.getAddress(),
+        token: await stableTokenContract.getAddress(),
+        offerPrice: 1000n,
+        mainId: id,
+        assetManager: ethers.ZeroAddress,
+        maxFractions: 3000n,
+        nonce: 0n,
+        deadline: offer.deadline + BigInt(await now()),
+      };
+    });
+
+    it("Should return the struct hash of the collection offer", async function () {
+      expect(await marketplaceContract.getCollectionOfferHash(offerInfo)).to.eq(
+        ethers.TypedDataEncoder.hashStruct(
+          "collectionOffer",
+          collectionOfferType,
+          offerInfo
+        )
+      );
+    });
+
+    it("Should fill a collection offer with any subId of the main id", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, collectionOfferType, offerInfo)
+      );
+      const offerHash = await marketplaceContract.getCollectionOfferHash(
+        offerInfo
+      );
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          .fillCollectionOffer(offerInfo, id, 1, 1000, v, r, s)
+      )
+        .to.emit(marketplaceContract, "OfferFilled")
+        .withArgs(
+          offerHash,
+          await user1.getAddress(),
+          await offeror.getAddress(),
+          1000,
+          1000
+        );
+
+      expect(
+        await assetContract.subBalanceOf(offeror.getAddress(), id, 1)
+      ).to.eq(1000);
+      expect(await marketplaceContract.getFilledFractions(offerHash)).to.eq(
+        1000
+      );
+      expect(
+        await marketplaceContract.isCollectionOfferExecutable(offerInfo)
+      ).to.eq(true);
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          .fillCollectionOffer(offerInfo, id + 1n, 1, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "AssetNotOffered");
+    });
+
+    it("Should fill a collection offer with any main id of the asset manager", async function () {
+      offerInfo.mainId = 0n;
+      offerInfo.assetManager = await invoiceContract.getAddress();
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, collectionOfferType, offerInfo)
+      );
+
+      await marketplaceContract
+        .connect(user1)
+        .fillCollectionOffer(offerInfo, id, 1, 3000, v, r, s);
+
+      expect(
+        await assetContract.subBalanceOf(offeror.getAddress(), id, 1)
+      ).to.eq(3000);
+      expect(
+        await marketplaceContract.isCollectionOfferExecutable(offerInfo)
+      ).to.eq(false);
+
+      offerInfo.assetManager = await marketplaceContract.getAddress();
+      const signature = ethers.Signature.from(
+        await offeror.signTypedData(domainData, collectionOfferType, offerInfo)
+      );
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          .fillCollectionOffer(
+            offerInfo,
+            id,
+            1,
+            1000,
+            signature.v,
+            signature.r,
+            signature.s
+          )
+      ).to.be.revertedWithCustomError(marketplaceContract, "AssetNotOffered");
+    });
+
+    it("Should revert to fill an asset manager offer on a legacy asset collection", async function () {
+      const legacyAsset = await (
+        await ethers.getContractFactory("MockLegacyAsset")
+      ).deploy();
+      const legacyMarketplace = await upgrades.deployProxy(
+        marketplaceFactory,
+        [await legacyAsset.getAddress(), await feeManager.getAddress()],
+        { unsafeAllow: ["external-library-linking"] }
+      );
+
+      await legacyAsset.grantRole(AssetManagerAccess, deployer.getAddress());
+      await legacyAsset.createAsset(user1.getAddress(), 1, 1, 1000);
+      expect(await legacyAsset.getAssetManager(1)).to.eq(
+        await deployer.getAddress()
+      );
+
+      offerInfo.mainId = 0n;
+      offerInfo.assetManager = await deployer.getAddress();
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(
+          {
+            ...domainData,
+            verifyingContract: await legacyMarketplace.getAddress(),
+          },
+          collectionOfferType,
+          offerInfo
+        )
+      );
+
+      await expect(
+        legacyMarketplace
+          .connect(user1)
+          .fillCollectionOffer(offerInfo, 1, 1, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(legacyMarketplace, "AssetNotOffered");
+    });
+
+    it("Should revert to fill a cancelled collection offer", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, collectionOfferType, offerInfo)
+      );
+
+      await marketplaceContract
+        .connect(offeror)
+        .cancelOffer(
+          await marketplaceContract.getCollectionOfferHash(offerInfo)
+        );
+
+      await expect(
+        marketplaceContract
+          .connect(user1)
+          .fillCollectionOffer(offerInfo, id, 1, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "OfferAlreadyCancelled"
+      );
+    });
+  });
+
+  describe("Signed Listing", function () {
+    let listingType;
+    let listing;
+
+    beforeEach(async () => {
+      listingType = {
+        listing: [
+          { name: "seller", type: "address" },
+          { name: "mainId", type: "uint256" },
+          { name: "subId", type: "uint256" },
+          { name: "price", type: "uint256" },
+          { name: "quantity", type: "uint256" },
+          { name: "minFraction", type: "uint256" },
+          { name: "token", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+
+      listing = {
+        seller: await user1.getAddress(),
+        mainId: id,
+        subId: 1n,
+        price: 1000n,
+        quantity: 3000n,
+        minFraction: 500n,
+        token: await stableTokenContract.getAddress(),
+        nonce: 0n,
+        deadline: offer.deadline + BigInt(await now()),
+      };
+    });
+
+    it("Should return the struct hash of the signed listing", async function () {
+      expect(await marketplaceContract.getListingHash(listing)).to.eq(
+        ethers.TypedDataEncoder.hashStruct("listing", listingType, listing)
+      );
+    });
+
+    it("Should buy from a signed listing in multiple purchases", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await user1.signTypedData(domainData, listingType, listing)
+      );
+      const listingHash = await marketplaceContract.getListingHash(listing);
+      const sellerBalance = await stableTokenContract.balanceOf(
+        user1.getAddress()
+      );
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(listing, 1000, v, r, s)
+      )
+        .to.emit(marketplaceContract, "SignedListingFilled")
+        .withArgs(
+          listingHash,
+          await user1.getAddress(),
+          await offeror.getAddress(),
+          1000,
+          1000
+        );
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(listing, 2000, v, r, s)
+      )
+        .to.emit(marketplaceContract, "AssetBought")
+        .withArgs(
+          await user1.getAddress(),
+          await offeror.getAddress(),
+          id,
+          1,
+          1000,
+          2000000,
+          2000,
+          await stableTokenContract.getAddress()
+        );
+
+      expect(
+        await assetContract.subBalanceOf(offeror.getAddress(), id, 1)
+      ).to.eq(3000);
+      expect(
+        (await stableTokenContract.balanceOf(user1.getAddress())) -
+          sellerBalance
+      ).to.eq(3000000);
+      expect(await marketplaceContract.getFilledFractions(listingHash)).to.eq(
+        3000
+      );
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(listing, 500, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "NotEnoughOffered");
+    });
+
+    it("Should revert to buy less than min fraction of a signed listing", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await user1.signTypedData(domainData, listingType, listing)
+      );
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(listing, 499, v, r, s)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "InvalidFractionToBuy"
+      );
+    });
+
+    it("Should revert to buy a signed listing with invalid signature", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await offeror.signTypedData(domainData, listingType, listing)
+      );
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(listing, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(marketplaceContract, "InvalidSignature");
+    });
+
+    it("Should revert to buy a cancelled or expired signed listing", async function () {
+      const { r, s, v } = ethers.Signature.from(
+        await user1.signTypedData(domainData, listingType, listing)
+      );
+
+      await marketplaceContract
+        .connect(user1)
+        .cancelOffer(await marketplaceContract.getListingHash(listing));
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(listing, 1000, v, r, s)
+      ).to.be.revertedWithCustomError(
+        marketplaceContract,
+        "OfferAlreadyCancelled"
+      );
+
+      listing.nonce = 1n;
+      await marketplaceContract.connect(user1).incrementNonce();
+      const signature = ethers.Signature.from(
+        await user1.signTypedData(domainData, listingType, listing)
+      );
+
+      await time.increaseTo(listing.deadline + 1n);
+
+      await expect(
+        marketplaceContract
+          .connect(offeror)
+          .buySignedListing(
+            listing,
+            1000,
+            signature.v,
+            signature.r,
+            signature.s
+          )
+      ).to.be.revertedWithCustomError(marketplaceContract, "OfferExpired");
+    });
+  });
 });
@@ -45,6 +45,51 @@ describe("Asset", function () {
     );
   });
 
+  it("Should record the asset manager that created the main id", async function () {
+    await assetContract.grantRole(AssetManagerAccess, deployer.getAddress());
+    await assetContract.grantRole(AssetManagerAccess, user1.getAddress());
+
+    expect(await assetContract.getAssetManager(1)).to.eq(ethers.ZeroAddress);
+
+    await assetContract.createAsset(deployer.getAddress(), 1, 1, 10000);
+    await assetContract
+      .connect(user1)
+      .createAsset(user1.getAddress(), 1, 2, 10000);
+
+    expect(await assetContract.getAssetManager(1)).to.eq(
+      await deployer.getAddress()
+    );
+  });
+
+  it("Should set the royalty of an asset type", async function () {
+    await expect(assetContract.setRoyalty(1, user1.getAddress(), 500))
+      .to.emit(assetContract, "RoyaltySet")
+      .withArgs(1, await user1.getAddress(), 500);
+
+    const [receiver, royaltyAmount] = await assetContract.royaltyInfo(1, 10000);
+    expect(receiver).to.eq(await user1.getAddress());
+    expect(royaltyAmount).to.eq(500);
+    expect((await assetContract.getRoyaltyInfo(1)).royaltyFraction).to.eq(500);
+    expect(await assetContract.supportsInterface("0x2a55205a")).to.eq(true);
+
+    await assetContract.setRoyalty(1, ethers.ZeroAddress, 0);
+    expect((await assetContract.royaltyInfo(1, 10000))[1]).to.eq(0);
+  });
+
+  it("Should revert to set invalid royalty", async function () {
+    await expect(
+      assetContract.setRoyalty(1, user1.getAddress(), 10001)
+    ).to.be.revertedWithCustomError(assetContract, "InvalidRoyalty");
+
+    await expect(
+      assetContract.setRoyalty(1, ethers.ZeroAddress, 500)
+    ).to.be.revertedWithCustomError(assetContract, "InvalidRoyalty");
+
+    await expect(
+      assetContract.connect(user1).setRoyalty(1, user1.getAddress(), 500)
+    ).to.be.reverted;
+  });
+
   it("Should to set new base uri", async function () {
     await expect(assetContract.setBaseURI(1, "https://ipfs2.io/ipfs")).to.not.be
       .reverted;
@@ -1,14 +1,16 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Fee Manager", function () {
+  let deployer;
   let buyer;
   let feeWallet;
   let feeManager;
   let newFeeWallet;
 
   beforeEach(async () => {
-    [, , buyer, , feeWallet, newFeeWallet] = await ethers.getSigners();
+    [deployer, , buyer, , feeWallet, newFeeWallet] = await ethers.getSigners();
 
     const FeeManagerFactory = await ethers.getContractFactory("FeeManager");
     feeManager = await FeeManagerFactory.deploy(
@@ -144,7 +146,9 @@ describe("Fee Manager", function () {
   it("Should set buying fee and get the value", async function () {
     await feeManager.setBuyingFee(1, 1, 2000);
 
-    expect(await feeManager.getBuyingFee(1, 1)).to.be.eq(2000);
+    expect(await feeManager.getBuyingFee(1, 1, ethers.ZeroAddress, 0)).to.be.eq(
+      2000
+    );
   });
 
   it("Should batch set initial fees and get the values", async function () {
@@ -157,8 +161,12 @@ describe("Fee Manager", function () {
   it("Should batch set buying fees and get the values", async function () {
     await feeManager.batchSetBuyingFee([1, 2], [1, 1], [1000, 2000]);
 
-    expect(await feeManager.getBuyingFee(1, 1)).to.be.eq(1000);
-    expect(await feeManager.getBuyingFee(2, 1)).to.be.eq(2000);
+    expect(await feeManager.getBuyingFee(1, 1, ethers.ZeroAddress, 0)).to.be.eq(
+      1000
+    );
+    expect(await feeManager.getBuyingFee(2, 1, ethers.ZeroAddress, 0)).to.be.eq(
+      2000
+    );
   });
 
   it("Should set new fee wallet and get the address", async function () {
@@ -171,12 +179,408 @@ describe("Fee Manager", function () {
 
   it("Should return default fee if not set", async function () {
     expect(await feeManager.getInitialFee(1, 1)).to.be.eq(0);
-    expect(await feeManager.getBuyingFee(1, 1)).to.be.eq(0);
+    expect(await feeManager.getBuyingFee(1, 1, ethers.ZeroAddress, 0)).to.be.eq(
+      0
+    );
 
     await feeManager.setInitialFee(1, 1, 1000);
     await feeManager.setBuyingFee(1, 1, 2000);
 
     expect(await feeManager.getInitialFee(1, 1)).to.be.eq(1000);
-    expect(await feeManager.getBuyingFee(1, 1)).to.be.eq(2000);
+    expect(await feeManager.getBuyingFee(1, 1, ethers.ZeroAddress, 0)).to.be.eq(
+      2000
+    );
+  });
+
+  it("Should apply the tier fee of the buyer if lower", async function () {
+    await feeManager.setDefaultFees(0, 200);
+
+    await expect(feeManager.setTierFee(1, 50))
+      .to.emit(feeManager, "TierFeeChanged")
+      .withArgs(1, 0, 50);
+    await expect(feeManager.setBuyerTier(buyer.getAddress(), 1))
+      .to.emit(feeManager, "BuyerTierSet")
+      .withArgs(await buyer.getAddress(), 1);
+
+    expect(await feeManager.getTierFee(1)).to.be.eq(50);
+    expect(await feeManager.getBuyerTier(buyer.getAddress())).to.be.eq(1);
+    expect(
+      await feeManager.getBuyingFee(1, 1, buyer.getAddress(), 1000)
+    ).to.be.eq(50);
+    expect(
+      await feeManager.getBuyingFee(1, 1, feeWallet.getAddress(), 1000)
+    ).to.be.eq(200);
+
+    await feeManager.setTierFee(1, 300);
+    expect(
+      await feeManager.getBuyingFee(1, 1, buyer.getAddress(), 1000)
+    ).to.be.eq(200);
+
+    await feeManager.setBuyerTier(buyer.getAddress(), 0);
+    expect(await feeManager.getBuyerTier(buyer.getAddress())).to.be.eq(0);
+  });
+
+  it("Should revert to set invalid tiers", async function () {
+    await expect(feeManager.setTierFee(0, 50)).to.be.revertedWithCustomError(
+      feeManager,
+      "InvalidTier"
+    );
+    await expect(feeManager.setTierFee(1, 10001)).to.be.revertedWithCustomError(
+      feeManager,
+      "InvalidFee"
+    );
+    await expect(
+      feeManager.setBuyerTier(buyer.getAddress(), 2)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidTier");
+    await expect(
+      feeManager.connect(buyer).setBuyerTier(buyer.getAddress(), 0)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await buyer.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+  });
+
+  it("Should apply the volume band fee of the trade size if lower", async function () {
+    await feeManager.setDefaultFees(0, 200);
+
+    const bands = [
+      { minAmount: 10000, fee: 150 },
+      { minAmount: 100000, fee: 100 },
+    ];
+    await expect(feeManager.setVolumeFeeBands(bands)).to.emit(
+      feeManager,
+      "VolumeFeeBandsSet"
+    );
+
+    const savedBands = await feeManager.getVolumeFeeBands();
+    expect(savedBands.length).to.be.eq(2);
+    expect(savedBands[1].fee).to.be.eq(100);
+
+    expect(
+      await feeManager.getBuyingFee(1, 1, buyer.getAddress(), 9999)
+    ).to.be.eq(200);
+    expect(
+      await feeManager.getBuyingFee(1, 1, buyer.getAddress(), 10000)
+    ).to.be.eq(150);
+    expect(
+      await feeManager.getBuyingFee(1, 1, buyer.getAddress(), 500000)
+    ).to.be.eq(100);
+
+    await feeManager.setTierFee(1, 120);
+    await feeManager.setBuyerTier(buyer.getAddress(), 1);
+    expect(
+      await feeManager.getBuyingFee(1, 1, buyer.getAddress(), 10000)
+    ).to.be.eq(120);
+
+    await feeManager.setVolumeFeeBands([]);
+    expect((await feeManager.getVolumeFeeBands()).length).to.be.eq(0);
+  });
+
+  it("Should revert to set invalid volume bands", async function () {
+    await expect(
+      feeManager.setVolumeFeeBands([
+        { minAmount: 100, fee: 150 },
+        { minAmount: 100, fee: 100 },
+      ])
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFeeBands");
+    await expect(
+      feeManager.setVolumeFeeBands([{ minAmount: 100, fee: 10001 }])
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFee");
+  });
+
+  it("Should distinguish explicit zero sub ID fees from unset ones", async function () {
+    await feeManager.setDefaultFees(100, 200);
+
+    await feeManager.setInitialFee(1, 1, 0);
+    expect(await feeManager.getInitialFee(1, 1)).to.be.eq(0);
+    expect(await feeManager.getBuyingFee(1, 1, ethers.ZeroAddress, 0)).to.be.eq(
+      200
+    );
+
+    await expect(feeManager.removeFees(1, 1))
+      .to.emit(feeManager, "FeesRemoved")
+      .withArgs(1, 1);
+    expect(await feeManager.getInitialFee(1, 1)).to.be.eq(100);
+  });
+
+  it("Should cascade fees from sub ID to main ID to originator to default", async function () {
+    const assetContract = await (
+      await ethers.getContractFactory("BaseAsset")
+    ).deploy(
+      "Polytrade Asset Collection",
+      "PAC",
+      "2.3",
+      "https://ipfs.io/ipfs"
+    );
+    await assetContract.grantRole(
+      ethers.keccak256(ethers.toUtf8Bytes("ASSET_MANAGER")),
+      deployer.getAddress()
+    );
+    await assetContract.createAsset(buyer.getAddress(), 1, 1, 10000);
+
+    await expect(feeManager.setAssetCollection(assetContract.getAddress()))
+      .to.emit(feeManager, "AssetCollectionSet")
+      .withArgs(ethers.ZeroAddress, await assetContract.getAddress());
+    expect(await feeManager.getAssetCollection()).to.be.eq(
+      await assetContract.getAddress()
+    );
+
+    await feeManager.setDefaultFees(100, 200);
+    await expect(
+      feeManager.setOriginatorFeePolicy(deployer.getAddress(), 50, 0)
+    )
+      .to.emit(feeManager, "OriginatorFeePolicySet")
+      .withArgs(await deployer.getAddress(), [50, 0, true]);
+
+    expect(await feeManager.getInitialFee(1, 2)).to.be.eq(50);
+    expect(await feeManager.getBuyingFee(1, 2, ethers.ZeroAddress, 0)).to.be.eq(
+      0
+    );
+    expect(await feeManager.getInitialFee(2, 1)).to.be.eq(100);
+
+    await feeManager.setMainIdFeePolicy(1, 0, 150);
+    expect(await feeManager.getInitialFee(1, 2)).to.be.eq(0);
+    expect(await feeManager.getBuyingFee(1, 2, ethers.ZeroAddress, 0)).to.be.eq(
+      150
+    );
+    expect((await feeManager.getMainIdFeePolicy(1)).isSet).to.be.eq(true);
+
+    await feeManager.setInitialFee(1, 2, 300);
+    expect(await feeManager.getInitialFee(1, 2)).to.be.eq(300);
+    expect(await feeManager.getInitialFee(1, 3)).to.be.eq(0);
+
+    await feeManager.removeMainIdFeePolicy(1);
+    expect(await feeManager.getInitialFee(1, 3)).to.be.eq(50);
+
+    await feeManager.removeOriginatorFeePolicy(deployer.getAddress());
+    expect(
+      (await feeManager.getOriginatorFeePolicy(deployer.getAddress())).isSet
+    ).to.be.eq(false);
+    expect(await feeManager.getInitialFee(1, 3)).to.be.eq(100);
+  });
+
+  it("Should revert to set invalid fee policies", async function () {
+    await expect(
+      feeManager.setMainIdFeePolicy(1, 10001, 0)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFee");
+    await expect(
+      feeManager.setOriginatorFeePolicy(buyer.getAddress(), 0, 10001)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFee");
+    await expect(
+      feeManager.setAssetCollection(buyer.getAddress())
+    ).to.be.revertedWithCustomError(feeManager, "UnsupportedInterface");
+    await expect(
+      feeManager.connect(buyer).setMainIdFeePolicy(1, 0, 0)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await buyer.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+  });
+
+  it("Should set the seller fee and fee splits", async function () {
+    await expect(feeManager.setSellerFee(100))
+      .to.emit(feeManager, "SellerFeeChanged")
+      .withArgs(0, 100);
+    expect(await feeManager.getSellerFee()).to.be.eq(100);
+
+    const splits = [
+      { wallet: await feeWallet.getAddress(), share: 7000 },
+      { wallet: await newFeeWallet.getAddress(), share: 3000 },
+    ];
+    await expect(feeManager.setFeeSplits(splits)).to.emit(
+      feeManager,
+      "FeeSplitsSet"
+    );
+    const savedSplits = await feeManager.getFeeSplits();
+    expect(savedSplits.length).to.be.eq(2);
+    expect(savedSplits[1].wallet).to.be.eq(await newFeeWallet.getAddress());
+
+    await feeManager.setFeeSplits([]);
+    expect((await feeManager.getFeeSplits()).length).to.be.eq(0);
+  });
+
+  it("Should revert to set invalid seller fee or fee splits", async function () {
+    await expect(feeManager.setSellerFee(10001)).to.be.revertedWithCustomError(
+      feeManager,
+      "InvalidFee"
+    );
+    await expect(
+      feeManager.setFeeSplits([
+        { wallet: await feeWallet.getAddress(), share: 7000 },
+      ])
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFeeSplits");
+    await expect(
+      feeManager.setFeeSplits([{ wallet: ethers.ZeroAddress, share: 10000 }])
+    ).to.be.revertedWithCustomError(feeManager, "InvalidAddress");
+  });
+
+  it("Should set the referral share", async function () {
+    await expect(
+      feeManager.connect(buyer).setReferralShare(1000)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await buyer.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+    await expect(
+      feeManager.setReferralShare(10001)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFee");
+
+    await expect(feeManager.setReferralShare(1000))
+      .to.emit(feeManager, "ReferralShareChanged")
+      .withArgs(0, 1000);
+    expect(await feeManager.getReferralShare()).to.eq(1000);
+  });
+
+  it("Should register and remove referrers", async function () {
+    await expect(
+      feeManager.connect(buyer).setReferrer(buyer.getAddress(), true)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await buyer.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+    await expect(
+      feeManager.setReferrer(ethers.ZeroAddress, true)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidAddress");
+
+    await expect(feeManager.setReferrer(buyer.getAddress(), true))
+      .to.emit(feeManager, "ReferrerSet")
+      .withArgs(await buyer.getAddress(), true);
+    expect(await feeManager.isReferrer(buyer.getAddress())).to.eq(true);
+
+    await expect(feeManager.setReferrer(buyer.getAddress(), false))
+      .to.emit(feeManager, "ReferrerSet")
+      .withArgs(await buyer.getAddress(), false);
+    expect(await feeManager.isReferrer(buyer.getAddress())).to.eq(false);
+  });
+
+  it("Should execute timelocked fee changes once the fee delay passed", async function () {
+    const day = 24 * 60 * 60;
+    await expect(feeManager.setFeeDelay(day))
+      .to.emit(feeManager, "FeeDelayChanged")
+      .withArgs(0, day);
+    expect(await feeManager.getFeeDelay()).to.eq(day);
+
+    await expect(
+      feeManager.setDefaultFees(100, 200)
+    ).to.be.revertedWithCustomError(feeManager, "FeeChangeNotReady");
+    await expect(
+      feeManager.setAssetCollection(buyer.getAddress())
+    ).to.be.revertedWithCustomError(feeManager, "FeeChangeNotReady");
+
+    const data = feeManager.interface.encodeFunctionData(
+      "setDefaultFees",
+      [100, 200]
+    );
+    const changeId = ethers.keccak256(data);
+    await expect(
+      feeManager.connect(buyer).proposeFeeChange(data)
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await buyer.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+    await expect(feeManager.proposeFeeChange(data)).to.emit(
+      feeManager,
+      "FeeChangeProposed"
+    );
+    const readyAt = await feeManager.getFeeChangeReadyAt(changeId);
+    expect(readyAt).to.eq((await time.latest()) + day);
+
+    await expect(
+      feeManager.setDefaultFees(100, 200)
+    ).to.be.revertedWithCustomError(feeManager, "FeeChangeNotReady");
+
+    await time.increaseTo(readyAt);
+    await expect(feeManager.setDefaultFees(100, 200))
+      .to.emit(feeManager, "FeeChangeExecuted")
+      .withArgs(changeId);
+    expect(await feeManager.getDefaultBuyingFee()).to.eq(200);
+    expect(await feeManager.getFeeChangeReadyAt(changeId)).to.eq(0);
+
+    await expect(
+      feeManager.setDefaultFees(100, 200)
+    ).to.be.revertedWithCustomError(feeManager, "FeeChangeNotReady");
+  });
+
+  it("Should cancel proposed fee changes", async function () {
+    await feeManager.setFeeDelay(60);
+    const data = feeManager.interface.encodeFunctionData("setFeeWallet", [
+      await newFeeWallet.getAddress(),
+    ]);
+    const changeId = ethers.keccak256(data);
+
+    await expect(
+      feeManager.cancelFeeChange(changeId)
+    ).to.be.revertedWithCustomError(feeManager, "FeeChangeNotFound");
+
+    await feeManager.proposeFeeChange(data);
+    await expect(feeManager.cancelFeeChange(changeId))
+      .to.emit(feeManager, "FeeChangeCancelled")
+      .withArgs(changeId);
+
+    await time.increase(60);
+    await expect(
+      feeManager.setFeeWallet(await newFeeWallet.getAddress())
+    ).to.be.revertedWithCustomError(feeManager, "FeeChangeNotReady");
+  });
+
+  it("Should cap fees with the fee cap", async function () {
+    await feeManager.setDefaultFees(800, 900);
+    await feeManager.setSellerFee(700);
+
+    await expect(feeManager.setFeeCap(10001)).to.be.revertedWithCustomError(
+      feeManager,
+      "InvalidFee"
+    );
+    await expect(feeManager.setFeeCap(500))
+      .to.emit(feeManager, "FeeCapChanged")
+      .withArgs(10000, 500);
+    expect(await feeManager.getFeeCap()).to.eq(500);
+
+    expect(await feeManager.getInitialFee(1, 1)).to.eq(500);
+    expect(
+      await feeManager.getBuyingFee(1, 1, await buyer.getAddress(), 0)
+    ).to.eq(500);
+    expect(await feeManager.getSellerFee()).to.eq(500);
+
+    await expect(
+      feeManager.setDefaultFees(600, 100)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFee");
+    await expect(
+      feeManager.setBuyingFee(1, 1, 600)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFee");
+  });
+
+  it("Should revert to set an invalid fee delay", async function () {
+    await expect(
+      feeManager.setFeeDelay(30 * 24 * 60 * 60 + 1)
+    ).to.be.revertedWithCustomError(feeManager, "InvalidFeeDelay");
+    await expect(feeManager.connect(buyer).setFeeCap(500)).to.be.revertedWith(
+      `AccessControl: account ${(
+        await buyer.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
   });
 });
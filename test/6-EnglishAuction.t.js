@@ -0,0 +1,768 @@
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const {
+  createProperty,
+  createAuction,
+  OriginatorAccess,
+  AssetManagerAccess,
+  DAY,
+  PauserAccess,
+} = require("./helpers/data.spec");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { now } = require("./helpers/time");
+const { deployMarketplace } = require("./helpers/marketplace");
+const chainId = network.config.chainId;
+
+const getId = async (contract, owner) => {
+  const nonce = await contract.getNonce(owner);
+  return BigInt(
+    ethers.solidityPackedKeccak256(
+      ["uint256", "address", "address", "uint256"],
+      [chainId, await contract.getAddress(), owner, nonce]
+    )
+  );
+};
+
+describe("English Auction", function () {
+  let assetContract;
+  let propertyContract;
+  let stableTokenContract;
+  let auctionContract;
+  let auctionFactory;
+  let feeManager;
+  let seller;
+  let bidder;
+  let otherBidder;
+  let treasuryWallet;
+  let feeWallet;
+  let property;
+  let id;
+  let auction;
+
+  beforeEach(async () => {
+    [, seller, bidder, treasuryWallet, feeWallet, otherBidder] =
+      await ethers.getSigners();
+
+    assetContract = await (
+      await ethers.getContractFactory("BaseAsset")
+    ).deploy(
+      "Polytrade Asset Collection",
+      "PAC",
+      "2.3",
+      "https://ipfs.io/ipfs"
+    );
+
+    feeManager = await (
+      await ethers.getContractFactory("FeeManager")
+    ).deploy(0, 0, await feeWallet.getAddress());
+
+    stableTokenContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("USD Dollar", "USDC", 18, bidder.getAddress(), 200000);
+
+    const settlement = await (
+      await ethers.getContractFactory("Settlement")
+    ).deploy();
+
+    auctionFactory = await ethers.getContractFactory("EnglishAuction", {
+      libraries: { Settlement: await settlement.getAddress() },
+    });
+
+    auctionContract = await upgrades.deployProxy(
+      auctionFactory,
+      [await assetContract.getAddress(), await feeManager.getAddress()],
+      { unsafeAllow: ["external-library-linking"] }
+    );
+
+    propertyContract = await upgrades.deployProxy(
+      await ethers.getContractFactory("PropertyAsset"),
+      [await assetContract.getAddress(), await treasuryWallet.getAddress()]
+    );
+
+    await assetContract.grantRole(
+      AssetManagerAccess,
+      propertyContract.getAddress()
+    );
+
+    await propertyContract.grantRole(OriginatorAccess, seller.getAddress());
+
+    property = await createProperty(stableTokenContract.getAddress());
+    id = await getId(propertyContract, await seller.getAddress());
+
+    await propertyContract
+      .connect(seller)
+      .createProperty(seller.getAddress(), property);
+
+    await assetContract
+      .connect(seller)
+      .setApprovalForAll(auctionContract.getAddress(), true);
+
+    await stableTokenContract
+      .connect(bidder)
+      .transfer(otherBidder.getAddress(), ethers.parseUnits("100000", 18));
+
+    await stableTokenContract
+      .connect(bidder)
+      .approve(auctionContract.getAddress(), ethers.MaxUint256);
+
+    await stableTokenContract
+      .connect(otherBidder)
+      .approve(auctionContract.getAddress(), ethers.MaxUint256);
+
+    auction = await createAuction(
+      1000n,
+      100n,
+      1000n,
+      BigInt(await now()) + DAY,
+      await stableTokenContract.getAddress()
+    );
+  });
+
+  it("Should revert to initialize the contract twice", async function () {
+    await expect(
+      auctionContract.initialize(
+        await assetContract.getAddress(),
+        await feeManager.getAddress()
+      )
+    ).to.revertedWith("Initializable: contract is already initialized");
+  });
+
+  it("Should revert on passing invalid asset collection or fee manager address", async function () {
+    await expect(
+      upgrades.deployProxy(
+        auctionFactory,
+        [await feeManager.getAddress(), await feeManager.getAddress()],
+        { unsafeAllow: ["external-library-linking"] }
+      )
+    ).to.be.revertedWithCustomError(auctionContract, "UnsupportedInterface");
+
+    await expect(
+      upgrades.deployProxy(
+        auctionFactory,
+        [await assetContract.getAddress(), await assetContract.getAddress()],
+        { unsafeAllow: ["external-library-linking"] }
+      )
+    ).to.be.revertedWithCustomError(auctionContract, "UnsupportedInterface");
+  });
+
+  it("Should return the asset collection and fee manager addresses", async function () {
+    expect(await auctionContract.getAssetCollection()).to.eq(
+      await assetContract.getAddress()
+    );
+
+    expect(await auctionContract.getFeeManager()).to.eq(
+      await feeManager.getAddress()
+    );
+  });
+
+  it("Should support english auction and trading venue interfaces", async function () {
+    const getSelectors = async (name) => {
+      const { interface: iface } = await ethers.getContractAt(
+        name,
+        await auctionContract.getAddress()
+      );
+      let selectors = 0n;
+      iface.forEachFunction((fragment) => {
+        selectors ^= BigInt(fragment.selector);
+      });
+      return selectors;
+    };
+    // Interface ids exclude the functions inherited from ITradingVenue
+    const venueId = await getSelectors("ITradingVenue");
+    const interfaceId = (await getSelectors("IEnglishAuction")) ^ venueId;
+
+    expect(
+      await auctionContract.supportsInterface(ethers.toBeHex(interfaceId, 4))
+    ).to.eq(true);
+    expect(
+      await auctionContract.supportsInterface(ethers.toBeHex(venueId, 4))
+    ).to.eq(true);
+  });
+
+  it("Should set a new fee manager address while calling setFeeManager()", async function () {
+    const newFeeManager = await (
+      await ethers.getContractFactory("FeeManager")
+    ).deploy(0, 0, await feeWallet.getAddress());
+
+    await expect(auctionContract.setFeeManager(newFeeManager.getAddress()))
+      .to.emit(auctionContract, "FeeManagerSet")
+      .withArgs(
+        await feeManager.getAddress(),
+        await newFeeManager.getAddress()
+      );
+
+    expect(await auctionContract.getFeeManager()).to.eq(
+      await newFeeManager.getAddress()
+    );
+  });
+
+  it("Should revert when setting a new fee manager by invalid caller address", async function () {
+    await expect(
+      auctionContract.connect(seller).setFeeManager(feeManager.getAddress())
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await seller.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+  });
+
+  it("Should set the marketplace while calling setMarketplace()", async function () {
+    const marketplace = await deployMarketplace(assetContract, feeManager);
+
+    await expect(
+      auctionContract.setMarketplace(feeManager.getAddress())
+    ).to.be.revertedWithCustomError(auctionContract, "UnsupportedInterface");
+
+    await expect(
+      auctionContract.connect(seller).setMarketplace(marketplace.getAddress())
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await seller.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+
+    await expect(auctionContract.setMarketplace(marketplace.getAddress()))
+      .to.emit(auctionContract, "MarketplaceSet")
+      .withArgs(ethers.ZeroAddress, await marketplace.getAddress());
+
+    expect(await auctionContract.getMarketplace()).to.eq(
+      await marketplace.getAddress()
+    );
+  });
+
+  it("Should create an auction and escrow the fractions", async function () {
+    await expect(auctionContract.connect(seller).createAuction(id, 1, auction))
+      .to.emit(auctionContract, "AuctionCreated")
+      .withArgs(await seller.getAddress(), id, 1, Object.values(auction));
+
+    expect(
+      await assetContract.subBalanceOf(auctionContract.getAddress(), id, 1)
+    ).to.eq(auction.fractions);
+
+    expect(await assetContract.subBalanceOf(seller.getAddress(), id, 1)).to.eq(
+      property.fractions - auction.fractions
+    );
+
+    const auctionInfo = await auctionContract.getAuctionInfo(
+      seller.getAddress(),
+      id,
+      1
+    );
+    expect(auctionInfo.reservePrice).to.eq(auction.reservePrice);
+    expect(auctionInfo.fractions).to.eq(auction.fractions);
+    expect(auctionInfo.endTime).to.eq(auction.endTime);
+  });
+
+  it("Should revert to create an auction with invalid params", async function () {
+    await expect(
+      auctionContract
+        .connect(seller)
+        .createAuction(id, 1, { ...auction, token: ethers.ZeroAddress })
+    ).to.be.revertedWithCustomError(auctionContract, "InvalidAddress");
+
+    await expect(
+      auctionContract
+        .connect(seller)
+        .createAuction(id, 1, { ...auction, fractions: 0 })
+    ).to.be.revertedWithCustomError(auctionContract, "InvalidFraction");
+
+    await expect(
+      auctionContract
+        .connect(seller)
+        .createAuction(id, 1, { ...auction, reservePrice: 0 })
+    ).to.be.revertedWithCustomError(auctionContract, "InvalidPrice");
+
+    await expect(
+      auctionContract
+        .connect(seller)
+        .createAuction(id, 1, { ...auction, endTime: await now() })
+    ).to.be.revertedWithCustomError(auctionContract, "InvalidEndTime");
+
+    await expect(
+      auctionContract
+        .connect(seller)
+        .createAuction(id, 1, { ...auction, fractions: 10001 })
+    ).to.be.revertedWithCustomError(auctionContract, "NotEnoughBalance");
+  });
+
+  it("Should revert to create an auction twice for the same position", async function () {
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await expect(
+      auctionContract.connect(seller).createAuction(id, 1, auction)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionAlreadyCreated");
+  });
+
+  it("Should revert to receive fractions not escrowed by the auction", async function () {
+    await expect(
+      assetContract
+        .connect(seller)
+        .safeTransferFrom(
+          seller.getAddress(),
+          auctionContract.getAddress(),
+          id,
+          1,
+          100
+        )
+    ).to.be.revertedWith("DLT: transfer to non DLTReceiver implementer");
+  });
+
+  it("Should place a bid and escrow the price with fee", async function () {
+    await feeManager.setDefaultFees(100, 200);
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    const payPrice = auction.reservePrice * auction.fractions;
+    const fee = (payPrice * 100n) / 10000n;
+
+    await expect(
+      auctionContract
+        .connect(bidder)
+        .bid(seller.getAddress(), id, 1, auction.reservePrice)
+    )
+      .to.emit(auctionContract, "AuctionBidPlaced")
+      .withArgs(
+        await bidder.getAddress(),
+        await seller.getAddress(),
+        id,
+        1,
+        auction.reservePrice
+      );
+
+    expect(
+      await stableTokenContract.balanceOf(auctionContract.getAddress())
+    ).to.eq(payPrice + fee);
+
+    const highestBid = await auctionContract.getHighestBid(
+      seller.getAddress(),
+      id,
+      1
+    );
+    expect(highestBid.bidder).to.eq(await bidder.getAddress());
+    expect(highestBid.bidPrice).to.eq(auction.reservePrice);
+    expect(highestBid.fee).to.eq(fee);
+  });
+
+  it("Should escrow the refund of the previous highest bidder when outbid", async function () {
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+
+    const before = await stableTokenContract.balanceOf(bidder.getAddress());
+    const refund = auction.reservePrice * auction.fractions;
+
+    const newBidPrice = auction.reservePrice + auction.minIncrement;
+    await expect(
+      auctionContract
+        .connect(otherBidder)
+        .bid(seller.getAddress(), id, 1, newBidPrice)
+    )
+      .to.emit(auctionContract, "PaymentEscrowed")
+      .withArgs(
+        await bidder.getAddress(),
+        await stableTokenContract.getAddress(),
+        refund
+      );
+
+    expect(await stableTokenContract.balanceOf(bidder.getAddress())).to.eq(
+      before
+    );
+    expect(
+      await auctionContract.getEscrowBalance(
+        bidder.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(refund);
+
+    await expect(
+      auctionContract.connect(bidder).withdraw(stableTokenContract.getAddress())
+    )
+      .to.emit(auctionContract, "Withdrawn")
+      .withArgs(
+        await bidder.getAddress(),
+        await stableTokenContract.getAddress(),
+        refund
+      );
+
+    expect(await stableTokenContract.balanceOf(bidder.getAddress())).to.eq(
+      before + refund
+    );
+    expect(
+      await stableTokenContract.balanceOf(auctionContract.getAddress())
+    ).to.eq(newBidPrice * auction.fractions);
+
+    await expect(
+      auctionContract.connect(bidder).withdraw(stableTokenContract.getAddress())
+    ).to.be.revertedWithCustomError(auctionContract, "NothingToWithdraw");
+
+    expect(
+      (await auctionContract.getHighestBid(seller.getAddress(), id, 1)).bidder
+    ).to.eq(await otherBidder.getAddress());
+  });
+
+  it("Should revert to bid lower than reserve price or min increment", async function () {
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await expect(
+      auctionContract
+        .connect(bidder)
+        .bid(seller.getAddress(), id, 1, auction.reservePrice - 1n)
+    ).to.be.revertedWithCustomError(auctionContract, "BidTooLow");
+
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+
+    await expect(
+      auctionContract
+        .connect(otherBidder)
+        .bid(
+          seller.getAddress(),
+          id,
+          1,
+          auction.reservePrice + auction.minIncrement - 1n
+        )
+    ).to.be.revertedWithCustomError(auctionContract, "BidTooLow");
+  });
+
+  it("Should revert to bid on own, ended or not created auction", async function () {
+    await expect(
+      auctionContract
+        .connect(bidder)
+        .bid(seller.getAddress(), id, 1, auction.reservePrice)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionNotFound");
+
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await expect(
+      auctionContract
+        .connect(seller)
+        .bid(seller.getAddress(), id, 1, auction.reservePrice)
+    ).to.be.revertedWithCustomError(auctionContract, "InvalidBidder");
+
+    await time.increaseTo(auction.endTime);
+
+    await expect(
+      auctionContract
+        .connect(bidder)
+        .bid(seller.getAddress(), id, 1, auction.reservePrice)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionEnded");
+  });
+
+  it("Should settle the auction to the highest bidder after end time", async function () {
+    await feeManager.setDefaultFees(100, 200);
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    const bidPrice = auction.reservePrice + auction.minIncrement;
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+    await auctionContract
+      .connect(otherBidder)
+      .bid(seller.getAddress(), id, 1, bidPrice);
+
+    await expect(
+      auctionContract.settleAuction(seller.getAddress(), id, 1)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionNotEnded");
+
+    await time.increaseTo(auction.endTime);
+
+    const payPrice = bidPrice * auction.fractions;
+    const fee = (payPrice * 100n) / 10000n;
+
+    await expect(
+      auctionContract
+        .connect(otherBidder)
+        .settleAuction(seller.getAddress(), id, 1)
+    )
+      .to.emit(auctionContract, "AuctionSettled")
+      .withArgs(
+        await seller.getAddress(),
+        await otherBidder.getAddress(),
+        id,
+        1,
+        bidPrice,
+        payPrice,
+        auction.fractions,
+        await stableTokenContract.getAddress()
+      );
+
+    expect(
+      await assetContract.subBalanceOf(otherBidder.getAddress(), id, 1)
+    ).to.eq(auction.fractions);
+    const token = await stableTokenContract.getAddress();
+    expect(
+      await auctionContract.getEscrowBalance(seller.getAddress(), token)
+    ).to.eq(payPrice);
+    expect(
+      await auctionContract.getEscrowBalance(feeWallet.getAddress(), token)
+    ).to.eq(fee);
+
+    await auctionContract.connect(seller).withdraw(token);
+    await auctionContract.connect(feeWallet).withdraw(token);
+    await auctionContract.connect(bidder).withdraw(token);
+
+    expect(await stableTokenContract.balanceOf(seller.getAddress())).to.eq(
+      payPrice
+    );
+    expect(await stableTokenContract.balanceOf(feeWallet.getAddress())).to.eq(
+      fee
+    );
+    expect(
+      await stableTokenContract.balanceOf(auctionContract.getAddress())
+    ).to.eq(0);
+
+    expect(
+      (await auctionContract.getAuctionInfo(seller.getAddress(), id, 1))
+        .fractions
+    ).to.eq(0);
+  });
+
+  it("Should settle with the seller fee and refund the unused fee escrow", async function () {
+    await feeManager.setDefaultFees(100, 200);
+    await feeManager.setSellerFee(500);
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+
+    await feeManager.setInitialFee(id, 1, 50);
+    await time.increaseTo(auction.endTime);
+    await auctionContract.settleAuction(seller.getAddress(), id, 1);
+
+    const token = await stableTokenContract.getAddress();
+    const payPrice = auction.reservePrice * auction.fractions;
+    const fee = (payPrice * 50n) / 10000n;
+    const sellerFee = (payPrice * 500n) / 10000n;
+    expect(
+      await auctionContract.getEscrowBalance(seller.getAddress(), token)
+    ).to.eq(payPrice - sellerFee);
+    expect(
+      await auctionContract.getEscrowBalance(feeWallet.getAddress(), token)
+    ).to.eq(fee + sellerFee);
+    expect(
+      await auctionContract.getEscrowBalance(bidder.getAddress(), token)
+    ).to.eq((payPrice * 100n) / 10000n - fee);
+  });
+
+  it("Should cap the fee of the winner to the fee escrowed with the bid", async function () {
+    await feeManager.setDefaultFees(100, 200);
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+
+    await feeManager.setInitialFee(id, 1, 300);
+    await time.increaseTo(auction.endTime);
+
+    const before = await stableTokenContract.balanceOf(bidder.getAddress());
+    await auctionContract.settleAuction(seller.getAddress(), id, 1);
+
+    const payPrice = auction.reservePrice * auction.fractions;
+    expect(await stableTokenContract.balanceOf(bidder.getAddress())).to.eq(
+      before
+    );
+    expect(
+      await auctionContract.getEscrowBalance(
+        feeWallet.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq((payPrice * 100n) / 10000n);
+  });
+
+  it("Should cap the fee of the winner when its buyer tier is removed before settlement", async function () {
+    await feeManager.setDefaultFees(100, 200);
+    await feeManager.setTierFee(1, 50);
+    await feeManager.setBuyerTier(bidder.getAddress(), 1);
+    await assetContract
+      .connect(seller)
+      .safeTransferFrom(
+        seller.getAddress(),
+        treasuryWallet.getAddress(),
+        id,
+        1,
+        auction.fractions
+      );
+    await assetContract
+      .connect(treasuryWallet)
+      .setApprovalForAll(auctionContract.getAddress(), true);
+    await auctionContract.connect(treasuryWallet).createAuction(id, 1, auction);
+
+    await auctionContract
+      .connect(bidder)
+      .bid(treasuryWallet.getAddress(), id, 1, auction.reservePrice);
+
+    await feeManager.setBuyerTier(bidder.getAddress(), 0);
+    await time.increaseTo(auction.endTime);
+
+    const before = await stableTokenContract.balanceOf(bidder.getAddress());
+    await auctionContract.settleAuction(treasuryWallet.getAddress(), id, 1);
+
+    const payPrice = auction.reservePrice * auction.fractions;
+    expect(await stableTokenContract.balanceOf(bidder.getAddress())).to.eq(
+      before
+    );
+    expect(
+      await auctionContract.getEscrowBalance(
+        bidder.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq(0);
+    expect(
+      await auctionContract.getEscrowBalance(
+        feeWallet.getAddress(),
+        stableTokenContract.getAddress()
+      )
+    ).to.eq((payPrice * 50n) / 10000n);
+  });
+
+  it("Should apply buying fee when the seller is not the initial owner", async function () {
+    await feeManager.setDefaultFees(100, 200);
+    await assetContract
+      .connect(seller)
+      .safeTransferFrom(
+        seller.getAddress(),
+        treasuryWallet.getAddress(),
+        id,
+        1,
+        auction.fractions
+      );
+    await assetContract
+      .connect(treasuryWallet)
+      .setApprovalForAll(auctionContract.getAddress(), true);
+    await auctionContract.connect(treasuryWallet).createAuction(id, 1, auction);
+
+    await auctionContract
+      .connect(bidder)
+      .bid(treasuryWallet.getAddress(), id, 1, auction.reservePrice);
+
+    expect(
+      (await auctionContract.getHighestBid(treasuryWallet.getAddress(), id, 1))
+        .fee
+    ).to.eq((auction.reservePrice * auction.fractions * 200n) / 10000n);
+  });
+
+  it("Should return the fractions to the seller when settling without bids", async function () {
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+    await time.increaseTo(auction.endTime);
+
+    await expect(auctionContract.settleAuction(seller.getAddress(), id, 1))
+      .to.emit(auctionContract, "AuctionCancelled")
+      .withArgs(await seller.getAddress(), id, 1);
+
+    expect(await assetContract.subBalanceOf(seller.getAddress(), id, 1)).to.eq(
+      property.fractions
+    );
+
+    await expect(
+      auctionContract.settleAuction(seller.getAddress(), id, 1)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionNotFound");
+  });
+
+  it("Should cancel an auction without bids", async function () {
+    await expect(
+      auctionContract.connect(seller).cancelAuction(id, 1)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionNotFound");
+
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await expect(auctionContract.connect(seller).cancelAuction(id, 1))
+      .to.emit(auctionContract, "AuctionCancelled")
+      .withArgs(await seller.getAddress(), id, 1);
+
+    expect(await assetContract.subBalanceOf(seller.getAddress(), id, 1)).to.eq(
+      property.fractions
+    );
+  });
+
+  it("Should revert to cancel an auction with bids", async function () {
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+
+    await expect(
+      auctionContract.connect(seller).cancelAuction(id, 1)
+    ).to.be.revertedWithCustomError(auctionContract, "AuctionHasBids");
+  });
+
+  it("Should revert to create, bid on or settle an auction while trading is halted", async function () {
+    const marketplace = await deployMarketplace(assetContract, feeManager);
+    const [admin] = await ethers.getSigners();
+    await marketplace.grantRole(PauserAccess, admin.getAddress());
+    await auctionContract.setMarketplace(marketplace.getAddress());
+    await marketplace.setPaymentToken(stableTokenContract.getAddress(), 0);
+
+    await marketplace.setPaused(true);
+    await expect(
+      auctionContract.connect(seller).createAuction(id, 1, auction)
+    ).to.be.revertedWithCustomError(auctionContract, "TradingHalted");
+    await marketplace.setPaused(false);
+    await auctionContract.connect(seller).createAuction(id, 1, auction);
+
+    await marketplace.setSubIdFrozen(id, 1, true);
+    await expect(
+      auctionContract
+        .connect(bidder)
+        .bid(seller.getAddress(), id, 1, auction.reservePrice)
+    ).to.be.revertedWithCustomError(auctionContract, "TradingHalted");
+    await marketplace.setSubIdFrozen(id, 1, false);
+    await auctionContract
+      .connect(bidder)
+      .bid(seller.getAddress(), id, 1, auction.reservePrice);
+
+    await time.increaseTo(auction.endTime);
+    await marketplace.setPaymentTokenDisabled(
+      stableTokenContract.getAddress(),
+      true
+    );
+    await expect(
+      auctionContract.settleAuction(seller.getAddress(), id, 1)
+    ).to.be.revertedWithCustomError(auctionContract, "PaymentTokenDisabled");
+    await marketplace.setPaymentTokenDisabled(
+      stableTokenContract.getAddress(),
+      false
+    );
+    await expect(
+      auctionContract.settleAuction(seller.getAddress(), id, 1)
+    ).to.emit(auctionContract, "AuctionSettled");
+  });
+
+  it("Should revert to create an auction in a token not allowed on the marketplace", async function () {
+    const marketplace = await deployMarketplace(assetContract, feeManager);
+    await auctionContract.setMarketplace(marketplace.getAddress());
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, seller.getAddress(), 200000);
+    await marketplace.setPaymentToken(daiContract.getAddress(), 0);
+
+    await expect(
+      auctionContract.connect(seller).createAuction(id, 1, auction)
+    ).to.be.revertedWithCustomError(auctionContract, "PaymentTokenNotAllowed");
+
+    await marketplace.setPaymentToken(
+      stableTokenContract.getAddress(),
+      auction.reservePrice + 1n
+    );
+    await expect(
+      auctionContract.connect(seller).createAuction(id, 1, auction)
+    ).to.be.revertedWithCustomError(auctionContract, "PriceBelowMinimum");
+
+    await marketplace.setPaymentToken(
+      stableTokenContract.getAddress(),
+      auction.reservePrice
+    );
+    await expect(
+      auctionContract.connect(seller).createAuction(id, 1, auction)
+    ).to.emit(auctionContract, "AuctionCreated");
+  });
+});
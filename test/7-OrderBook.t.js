@@ -0,0 +1,699 @@
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const {
+  createProperty,
+  OriginatorAccess,
+  AssetManagerAccess,
+  DAY,
+  PauserAccess,
+} = require("./helpers/data.spec");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { now } = require("./helpers/time");
+const { deployMarketplace } = require("./helpers/marketplace");
+const chainId = network.config.chainId;
+
+const getId = async (contract, owner) => {
+  const nonce = await contract.getNonce(owner);
+  return BigInt(
+    ethers.solidityPackedKeccak256(
+      ["uint256", "address", "address", "uint256"],
+      [chainId, await contract.getAddress(), owner, nonce]
+    )
+  );
+};
+
+describe("Order Book", function () {
+  let assetContract;
+  let propertyContract;
+  let stableTokenContract;
+  let orderBookFactory;
+  let orderBookContract;
+  let feeManager;
+  let seller;
+  let bidder;
+  let holder;
+  let treasuryWallet;
+  let feeWallet;
+  let property;
+  let id;
+  let expiresAt;
+
+  const bidPrice = 1000n;
+  const fractions = 1000n;
+
+  const getEscrowBalance = async (account) =>
+    orderBookContract.getEscrowBalance(
+      account.getAddress(),
+      stableTokenContract.getAddress()
+    );
+
+  beforeEach(async () => {
+    [, seller, bidder, treasuryWallet, feeWallet, holder] =
+      await ethers.getSigners();
+
+    assetContract = await (
+      await ethers.getContractFactory("BaseAsset")
+    ).deploy(
+      "Polytrade Asset Collection",
+      "PAC",
+      "2.3",
+      "https://ipfs.io/ipfs"
+    );
+
+    feeManager = await (
+      await ethers.getContractFactory("FeeManager")
+    ).deploy(100, 200, await feeWallet.getAddress());
+
+    stableTokenContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("USD Dollar", "USDC", 18, bidder.getAddress(), 200000);
+
+    const settlement = await (
+      await ethers.getContractFactory("Settlement")
+    ).deploy();
+
+    orderBookFactory = await ethers.getContractFactory("OrderBook", {
+      libraries: { Settlement: await settlement.getAddress() },
+    });
+
+    orderBookContract = await upgrades.deployProxy(
+      orderBookFactory,
+      [await assetContract.getAddress(), await feeManager.getAddress()],
+      { unsafeAllow: ["external-library-linking"] }
+    );
+
+    propertyContract = await upgrades.deployProxy(
+      await ethers.getContractFactory("PropertyAsset"),
+      [await assetContract.getAddress(), await treasuryWallet.getAddress()]
+    );
+
+    await assetContract.grantRole(
+      AssetManagerAccess,
+      propertyContract.getAddress()
+    );
+
+    await propertyContract.grantRole(OriginatorAccess, seller.getAddress());
+
+    property = await createProperty(stableTokenContract.getAddress());
+    id = await getId(propertyContract, await seller.getAddress());
+
+    await propertyContract
+      .connect(seller)
+      .createProperty(seller.getAddress(), property);
+
+    await assetContract
+      .connect(seller)
+      .safeTransferFrom(seller.getAddress(), holder.getAddress(), id, 1, 500);
+
+    await assetContract
+      .connect(seller)
+      .setApprovalForAll(orderBookContract.getAddress(), true);
+
+    await assetContract
+      .connect(holder)
+      .setApprovalForAll(orderBookContract.getAddress(), true);
+
+    await stableTokenContract
+      .connect(bidder)
+      .approve(orderBookContract.getAddress(), ethers.MaxUint256);
+
+    expiresAt = BigInt(await now()) + DAY;
+  });
+
+  it("Should revert to initialize the contract twice", async function () {
+    await expect(
+      orderBookContract.initialize(
+        await assetContract.getAddress(),
+        await feeManager.getAddress()
+      )
+    ).to.revertedWith("Initializable: contract is already initialized");
+  });
+
+  it("Should revert on passing invalid asset collection or fee manager address", async function () {
+    await expect(
+      upgrades.deployProxy(
+        orderBookFactory,
+        [await feeManager.getAddress(), await feeManager.getAddress()],
+        { unsafeAllow: ["external-library-linking"] }
+      )
+    ).to.be.revertedWithCustomError(orderBookContract, "UnsupportedInterface");
+
+    await expect(
+      upgrades.deployProxy(
+        orderBookFactory,
+        [await assetContract.getAddress(), await assetContract.getAddress()],
+        { unsafeAllow: ["external-library-linking"] }
+      )
+    ).to.be.revertedWithCustomError(orderBookContract, "UnsupportedInterface");
+  });
+
+  it("Should return the asset collection and fee manager addresses", async function () {
+    expect(await orderBookContract.getAssetCollection()).to.eq(
+      await assetContract.getAddress()
+    );
+
+    expect(await orderBookContract.getFeeManager()).to.eq(
+      await feeManager.getAddress()
+    );
+  });
+
+  it("Should support order book and trading venue interfaces", async function () {
+    const getSelectors = async (name) => {
+      const { interface: iface } = await ethers.getContractAt(
+        name,
+        await orderBookContract.getAddress()
+      );
+      let selectors = 0n;
+      iface.forEachFunction((fragment) => {
+        selectors ^= BigInt(fragment.selector);
+      });
+      return selectors;
+    };
+    // Interface ids exclude the functions inherited from ITradingVenue
+    const venueId = await getSelectors("ITradingVenue");
+    const interfaceId = (await getSelectors("IOrderBook")) ^ venueId;
+
+    expect(
+      await orderBookContract.supportsInterface(ethers.toBeHex(interfaceId, 4))
+    ).to.eq(true);
+    expect(
+      await orderBookContract.supportsInterface(ethers.toBeHex(venueId, 4))
+    ).to.eq(true);
+  });
+
+  it("Should set a new fee manager address while calling setFeeManager()", async function () {
+    const newFeeManager = await (
+      await ethers.getContractFactory("FeeManager")
+    ).deploy(0, 0, await feeWallet.getAddress());
+
+    await expect(orderBookContract.setFeeManager(newFeeManager.getAddress()))
+      .to.emit(orderBookContract, "FeeManagerSet")
+      .withArgs(
+        await feeManager.getAddress(),
+        await newFeeManager.getAddress()
+      );
+
+    expect(await orderBookContract.getFeeManager()).to.eq(
+      await newFeeManager.getAddress()
+    );
+  });
+
+  it("Should revert when setting a new fee manager by invalid caller address", async function () {
+    await expect(
+      orderBookContract.connect(seller).setFeeManager(feeManager.getAddress())
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await seller.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+  });
+
+  it("Should set the marketplace while calling setMarketplace()", async function () {
+    const marketplace = await deployMarketplace(assetContract, feeManager);
+
+    await expect(
+      orderBookContract.setMarketplace(feeManager.getAddress())
+    ).to.be.revertedWithCustomError(orderBookContract, "UnsupportedInterface");
+
+    await expect(
+      orderBookContract.connect(seller).setMarketplace(marketplace.getAddress())
+    ).to.be.revertedWith(
+      `AccessControl: account ${(
+        await seller.getAddress()
+      ).toLowerCase()} is missing role ${ethers.zeroPadValue(
+        ethers.toBeHex(0),
+        32
+      )}`
+    );
+
+    await expect(orderBookContract.setMarketplace(marketplace.getAddress()))
+      .to.emit(orderBookContract, "MarketplaceSet")
+      .withArgs(ethers.ZeroAddress, await marketplace.getAddress());
+
+    expect(await orderBookContract.getMarketplace()).to.eq(
+      await marketplace.getAddress()
+    );
+  });
+
+  it("Should place a bid and escrow the price with the highest fee", async function () {
+    const payPrice = bidPrice * fractions;
+    const feeEscrow = (payPrice * 200n) / 10000n;
+
+    expect(await orderBookContract.getNextBidId()).to.eq(1);
+
+    await expect(
+      orderBookContract
+        .connect(bidder)
+        .placeBid(
+          id,
+          1,
+          bidPrice,
+          fractions,
+          expiresAt,
+          stableTokenContract.getAddress()
+        )
+    )
+      .to.emit(orderBookContract, "BidPlaced")
+      .withArgs(1, await bidder.getAddress(), [
+        await bidder.getAddress(),
+        id,
+        1,
+        bidPrice,
+        fractions,
+        feeEscrow,
+        expiresAt,
+        await stableTokenContract.getAddress(),
+      ]);
+
+    expect(
+      await stableTokenContract.balanceOf(orderBookContract.getAddress())
+    ).to.eq(payPrice + feeEscrow);
+
+    expect(await orderBookContract.getNextBidId()).to.eq(2);
+
+    const bidInfo = await orderBookContract.getBidInfo(1);
+    expect(bidInfo.bidder).to.eq(await bidder.getAddress());
+    expect(bidInfo.fractions).to.eq(fractions);
+    expect(bidInfo.feeEscrow).to.eq(feeEscrow);
+  });
+
+  it("Should revert to place a bid with invalid params", async function () {
+    await expect(
+      orderBookContract
+        .connect(bidder)
+        .placeBid(id, 1, bidPrice, fractions, expiresAt, ethers.ZeroAddress)
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidAddress");
+
+    await expect(
+      orderBookContract
+        .connect(bidder)
+        .placeBid(
+          id,
+          1,
+          0,
+          fractions,
+          expiresAt,
+          stableTokenContract.getAddress()
+        )
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidPrice");
+
+    await expect(
+      orderBookContract
+        .connect(bidder)
+        .placeBid(
+          id,
+          1,
+          bidPrice,
+          0,
+          expiresAt,
+          stableTokenContract.getAddress()
+        )
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidFraction");
+
+    await expect(
+      orderBookContract
+        .connect(bidder)
+        .placeBid(
+          id,
+          1,
+          bidPrice,
+          fractions,
+          await now(),
+          stableTokenContract.getAddress()
+        )
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidExpiry");
+  });
+
+  it("Should fill a bid partially by multiple holders", async function () {
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    // seller is the initial owner and pays the initial fee
+    await expect(orderBookContract.connect(seller).acceptBid(1, 400))
+      .to.emit(orderBookContract, "BidAccepted")
+      .withArgs(
+        1,
+        await seller.getAddress(),
+        await bidder.getAddress(),
+        id,
+        1,
+        bidPrice,
+        bidPrice * 400n,
+        400,
+        await stableTokenContract.getAddress()
+      );
+
+    expect(await getEscrowBalance(seller)).to.eq(bidPrice * 400n);
+    expect(await getEscrowBalance(feeWallet)).to.eq(
+      (bidPrice * 400n * 100n) / 10000n
+    );
+    expect(await getEscrowBalance(bidder)).to.eq(
+      (bidPrice * 400n * 100n) / 10000n
+    );
+
+    let bidInfo = await orderBookContract.getBidInfo(1);
+    expect(bidInfo.fractions).to.eq(600);
+    expect(bidInfo.feeEscrow).to.eq((bidPrice * 600n * 200n) / 10000n);
+
+    // holder is not the initial owner and pays the buying fee
+    await orderBookContract.connect(holder).acceptBid(1, 500);
+
+    expect(await getEscrowBalance(holder)).to.eq(bidPrice * 500n);
+    expect(await getEscrowBalance(feeWallet)).to.eq(
+      (bidPrice * 400n * 100n) / 10000n + (bidPrice * 500n * 200n) / 10000n
+    );
+
+    await orderBookContract.connect(seller).acceptBid(1, 100);
+
+    expect(await assetContract.subBalanceOf(bidder.getAddress(), id, 1)).to.eq(
+      fractions
+    );
+
+    bidInfo = await orderBookContract.getBidInfo(1);
+    expect(bidInfo.bidder).to.eq(ethers.ZeroAddress);
+    expect(
+      await stableTokenContract.balanceOf(orderBookContract.getAddress())
+    ).to.eq(
+      (await getEscrowBalance(seller)) +
+        (await getEscrowBalance(holder)) +
+        (await getEscrowBalance(feeWallet)) +
+        (await getEscrowBalance(bidder))
+    );
+  });
+
+  it("Should pay royalty when a holder accepts a bid", async function () {
+    await assetContract.setRoyalty(id, treasuryWallet.getAddress(), 500);
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, 400)
+    ).to.not.emit(orderBookContract, "RoyaltyPaid");
+
+    const payPrice = bidPrice * 500n;
+    await expect(orderBookContract.connect(holder).acceptBid(1, 500))
+      .to.emit(orderBookContract, "RoyaltyPaid")
+      .withArgs(
+        id,
+        1,
+        await treasuryWallet.getAddress(),
+        await stableTokenContract.getAddress(),
+        (payPrice * 500n) / 10000n
+      )
+      .to.emit(orderBookContract, "AssetBought")
+      .withArgs(
+        await holder.getAddress(),
+        await bidder.getAddress(),
+        id,
+        1,
+        bidPrice,
+        payPrice,
+        500,
+        await stableTokenContract.getAddress()
+      );
+
+    expect(await getEscrowBalance(treasuryWallet)).to.eq(
+      (payPrice * 500n) / 10000n
+    );
+    expect(await getEscrowBalance(holder)).to.eq(
+      payPrice - (payPrice * 500n) / 10000n
+    );
+  });
+
+  it("Should deduct the seller fee and split the fees of an accepted bid", async function () {
+    await feeManager.setSellerFee(50);
+    await feeManager.setFeeSplits([
+      { wallet: await feeWallet.getAddress(), share: 7000 },
+      { wallet: await treasuryWallet.getAddress(), share: 3000 },
+    ]);
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    await orderBookContract.connect(seller).acceptBid(1, 400);
+
+    const payPrice = bidPrice * 400n;
+    const fee = (payPrice * 100n) / 10000n;
+    const sellerFee = (payPrice * 50n) / 10000n;
+    expect(await getEscrowBalance(seller)).to.eq(payPrice - sellerFee);
+    expect(await getEscrowBalance(feeWallet)).to.eq(
+      ((fee + sellerFee) * 7000n) / 10000n
+    );
+    expect(await getEscrowBalance(treasuryWallet)).to.eq(
+      ((fee + sellerFee) * 3000n) / 10000n
+    );
+    expect(await getEscrowBalance(bidder)).to.eq(
+      (payPrice * 200n) / 10000n - fee
+    );
+  });
+
+  it("Should revert to accept a bid with invalid params", async function () {
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, 100)
+    ).to.be.revertedWithCustomError(orderBookContract, "BidNotFound");
+
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, 0)
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidFraction");
+
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, fractions + 1n)
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidFraction");
+
+    await expect(
+      orderBookContract.connect(holder).acceptBid(1, 501)
+    ).to.be.revertedWithCustomError(orderBookContract, "NotEnoughBalance");
+
+    await time.increaseTo(expiresAt + 1n);
+
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, 100)
+    ).to.be.revertedWithCustomError(orderBookContract, "BidExpired");
+  });
+
+  it("Should cancel a bid and refund the remaining escrow", async function () {
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    await orderBookContract.connect(holder).acceptBid(1, 500);
+
+    const bidderEscrow = await getEscrowBalance(bidder);
+    const refund = bidPrice * 500n + (bidPrice * 500n * 200n) / 10000n;
+
+    await expect(orderBookContract.connect(bidder).cancelBid(1))
+      .to.emit(orderBookContract, "BidCancelled")
+      .withArgs(1, await bidder.getAddress(), refund);
+
+    expect(await getEscrowBalance(bidder)).to.eq(bidderEscrow + refund);
+
+    await expect(
+      orderBookContract.connect(bidder).cancelBid(1)
+    ).to.be.revertedWithCustomError(orderBookContract, "BidNotFound");
+  });
+
+  it("Should withdraw the escrowed refunds and proceeds", async function () {
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+    await orderBookContract.connect(seller).acceptBid(1, 400);
+
+    await expect(
+      orderBookContract
+        .connect(seller)
+        .withdraw(stableTokenContract.getAddress())
+    )
+      .to.emit(orderBookContract, "Withdrawn")
+      .withArgs(
+        await seller.getAddress(),
+        await stableTokenContract.getAddress(),
+        bidPrice * 400n
+      );
+    expect(await stableTokenContract.balanceOf(seller.getAddress())).to.eq(
+      bidPrice * 400n
+    );
+    expect(await getEscrowBalance(seller)).to.eq(0);
+
+    await expect(
+      orderBookContract
+        .connect(seller)
+        .withdraw(stableTokenContract.getAddress())
+    ).to.be.revertedWithCustomError(orderBookContract, "NothingToWithdraw");
+  });
+
+  it("Should allow anyone to cancel an expired bid only", async function () {
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    await expect(
+      orderBookContract.connect(holder).cancelBid(1)
+    ).to.be.revertedWithCustomError(orderBookContract, "InvalidBidder");
+
+    await time.increaseTo(expiresAt + 1n);
+
+    await expect(orderBookContract.connect(holder).cancelBid(1))
+      .to.emit(orderBookContract, "BidCancelled")
+      .withArgs(
+        1,
+        await bidder.getAddress(),
+        bidPrice * fractions + (bidPrice * fractions * 200n) / 10000n
+      );
+  });
+
+  it("Should revert to place or accept a bid while trading is halted", async function () {
+    const marketplace = await deployMarketplace(assetContract, feeManager);
+    const [admin] = await ethers.getSigners();
+    await marketplace.grantRole(PauserAccess, admin.getAddress());
+    await orderBookContract.setMarketplace(marketplace.getAddress());
+    await marketplace.setPaymentToken(stableTokenContract.getAddress(), 0);
+
+    await marketplace.setMainIdFrozen(id, true);
+    await expect(
+      orderBookContract
+        .connect(bidder)
+        .placeBid(
+          id,
+          1,
+          bidPrice,
+          fractions,
+          expiresAt,
+          stableTokenContract.getAddress()
+        )
+    ).to.be.revertedWithCustomError(orderBookContract, "TradingHalted");
+    await marketplace.setMainIdFrozen(id, false);
+    await orderBookContract
+      .connect(bidder)
+      .placeBid(
+        id,
+        1,
+        bidPrice,
+        fractions,
+        expiresAt,
+        stableTokenContract.getAddress()
+      );
+
+    await marketplace.setPaymentTokenDisabled(
+      stableTokenContract.getAddress(),
+      true
+    );
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, 400)
+    ).to.be.revertedWithCustomError(orderBookContract, "PaymentTokenDisabled");
+    await marketplace.setPaymentTokenDisabled(
+      stableTokenContract.getAddress(),
+      false
+    );
+
+    await marketplace.setPaused(true);
+    await expect(
+      orderBookContract.connect(seller).acceptBid(1, 400)
+    ).to.be.revertedWithCustomError(orderBookContract, "TradingHalted");
+    await marketplace.setPaused(false);
+    await expect(orderBookContract.connect(seller).acceptBid(1, 400)).to.emit(
+      orderBookContract,
+      "BidAccepted"
+    );
+  });
+
+  it("Should accept any token until the marketplace allows a payment token", async function () {
+    const marketplace = await deployMarketplace(assetContract, feeManager);
+    await orderBookContract.setMarketplace(marketplace.getAddress());
+
+    const placeBid = () =>
+      orderBookContract
+        .connect(bidder)
+        .placeBid(
+          id,
+          1,
+          bidPrice,
+          fractions,
+          expiresAt,
+          stableTokenContract.getAddress()
+        );
+
+    await expect(placeBid()).to.emit(orderBookContract, "BidPlaced");
+
+    const daiContract = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("DAI Stablecoin", "DAI", 18, bidder.getAddress(), 200000);
+    await marketplace.setPaymentToken(daiContract.getAddress(), 0);
+    await expect(placeBid()).to.be.revertedWithCustomError(
+      orderBookContract,
+      "PaymentTokenNotAllowed"
+    );
+
+    await marketplace.setPaymentToken(
+      stableTokenContract.getAddress(),
+      bidPrice + 1n
+    );
+    await expect(placeBid()).to.be.revertedWithCustomError(
+      orderBookContract,
+      "PriceBelowMinimum"
+    );
+
+    await marketplace.setPaymentToken(
+      stableTokenContract.getAddress(),
+      bidPrice
+    );
+    await expect(placeBid()).to.emit(orderBookContract, "BidPlaced");
+  });
+});
@@ -19,6 +19,8 @@ const AssetManagerAccess = ethers.keccak256(
   ethers.toUtf8Bytes("ASSET_MANAGER")
 );
 
+const PauserAccess = ethers.keccak256(ethers.toUtf8Bytes("PAUSER_ROLE"));
+
 const DAY = 24n * 60n * 60n;
 const YEAR = 360n * DAY;
 
@@ -31,6 +33,36 @@ const createList = async (salePrice, listedFractions, minFraction, token) => {
   };
 };
 
+const createListingTerms = async (
+  floorPrice,
+  decayStartTime,
+  decayEndTime,
+  expiresAt = 0
+) => {
+  return {
+    floorPrice,
+    decayStartTime,
+    decayEndTime,
+    expiresAt,
+  };
+};
+
+const createAuction = async (
+  reservePrice,
+  minIncrement,
+  fractions,
+  endTime,
+  token
+) => {
+  return {
+    reservePrice,
+    minIncrement,
+    fractions,
+    endTime,
+    token,
+  };
+};
+
 const createAsset = async (token) => {
   return {
     price: ethers.parseUnits("10", DECIMALS.SIX),
@@ -97,6 +129,8 @@ module.exports = {
   YEAR,
   createAsset,
   createList,
+  createListingTerms,
+  createAuction,
   zeroPriceAsset,
   nearSettleAsset,
   nearSettleProperty,
@@ -106,4 +140,5 @@ module.exports = {
   MarketplaceAccess,
   OriginatorAccess,
   AssetManagerAccess,
+  PauserAccess,
 };
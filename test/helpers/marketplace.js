@@ -0,0 +1,17 @@
+const { ethers, upgrades } = require("hardhat");
+
+module.exports.deployMarketplace = async function deployMarketplace(
+  assetContract,
+  feeManager
+) {
+  const libraries = {};
+  for (const name of ["Settlement", "Listings", "Offers", "Batches"]) {
+    const library = await (await ethers.getContractFactory(name)).deploy();
+    libraries[name] = await library.getAddress();
+  }
+  return upgrades.deployProxy(
+    await ethers.getContractFactory("Marketplace", { libraries }),
+    [await assetContract.getAddress(), await feeManager.getAddress()],
+    { unsafeAllow: ["external-library-linking"] }
+  );
+};